@@ -249,6 +249,29 @@ export const useEditorStore = defineStore('editor', () => {
     }
   }
 
+  /**
+   * Check a DSL script on the server
+   * @param {string} projectId - Project ID
+   * @param {string} content - Script source
+   * @returns {Promise<Object>} `{ valid, diagnostics }`, each diagnostic
+   * `{ message, severity, range, suggestion }`
+   */
+  async function validateScript(projectId, content) {
+    const response = await fetch(`/api/projects/${projectId}/scripts/validate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ content })
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to validate script: ${response.status}`)
+    }
+
+    return response.json()
+  }
+
   /**
    * Reset store state
    */
@@ -276,6 +299,7 @@ export const useEditorStore = defineStore('editor', () => {
     addScript,
     updateScript,
     deleteScript,
+    validateScript,
     markDirty,
     reset
   }
@@ -5,6 +5,19 @@
 
 import * as PIXI from 'pixi.js'
 
+const PACK_PATH = '/assets/packs/lpc-character-sprites/'
+
+// Draw order of gear layers (see the pack's manifest.json equipmentLayers)
+const SLOT_LAYERS = {
+  legs: 2,
+  body: 4,
+  feet: 5,
+  hands: 6,
+  head: 7,
+  weapon: 9,
+  offhand: 10
+}
+
 export class CharacterSprite extends PIXI.Container {
   constructor(characterData) {
     super()
@@ -19,12 +32,14 @@ export class CharacterSprite extends PIXI.Container {
     this.animationSpeed = 0.15 // frames per tick
     this.lastFrameUpdate = 0
     
+    this.gear = new Map() // Equip slot -> { key, sprite, textures }
+    
     this.sortableChildren = true
-    this.loadCharacterAssets()
+    this.ready = this.loadCharacterAssets()
   }
 
   async loadCharacterAssets() {
-    const packPath = '/assets/packs/lpc-character-sprites/'
+    const packPath = PACK_PATH
     
     try {
       // Load the master animation data
@@ -56,6 +71,46 @@ export class CharacterSprite extends PIXI.Container {
     }
   }
 
+  /**
+   * Show equipped gear as extra sprite layers
+   * Gear sheets share the body's layout, so each layer is a folder holding
+   * the same sheet files (Walk.png, Run.png, ...).
+   * @param {Array<{slot: string, path: string, layer?: number}>} gear - Visible gear
+   */
+  async setEquipment(gear) {
+    // Gear sheets are looked up from the body's animation data
+    await this.ready
+    const wanted = new Map(gear.map(piece => [piece.slot, piece]))
+
+    for (const [slot, layer] of this.gear) {
+      const piece = wanted.get(slot)
+      if (!piece || piece.path !== layer.key) {
+        this.removeChild(layer.sprite)
+        this.gear.delete(slot)
+      }
+    }
+
+    for (const piece of gear) {
+      if (this.gear.has(piece.slot)) continue
+
+      const layer = { key: piece.path, sprite: new PIXI.Sprite(), textures: new Map() }
+      layer.sprite.zIndex = piece.layer ?? SLOT_LAYERS[piece.slot] ?? 4
+      this.gear.set(piece.slot, layer)
+      this.addChild(layer.sprite)
+
+      try {
+        const files = new Set(Object.values(this.animationData?.animations || {}).map(a => a.file))
+        for (const file of files) {
+          const sheet = file.split('/').pop()
+          const texture = await PIXI.Assets.load(`${PACK_PATH}${piece.path}/${sheet}`)
+          layer.textures.set(file, texture.baseTexture)
+        }
+      } catch (e) {
+        console.error(`Failed to load gear for ${piece.slot}:`, e)
+      }
+    }
+  }
+
   updateAnimation(animation, direction) {
     const animName = `${animation}-${direction}`
     if (this.currentAnimation === animName) return
@@ -87,17 +142,24 @@ export class CharacterSprite extends PIXI.Container {
       const frameX = this.currentFrame * this.animationData.frameSize.width
       const frameY = animInfo.row * this.animationData.frameSize.height
       
+      const frame = new PIXI.Rectangle(
+        frameX, 
+        frameY, 
+        this.animationData.frameSize.width, 
+        this.animationData.frameSize.height
+      )
+
       const sheetTexture = this.textures.get(animInfo.file)
       if (sheetTexture) {
-        this.sprite.texture = new PIXI.Texture(
-          sheetTexture, 
-          new PIXI.Rectangle(
-            frameX, 
-            frameY, 
-            this.animationData.frameSize.width, 
-            this.animationData.frameSize.height
-          )
-        )
+        this.sprite.texture = new PIXI.Texture(sheetTexture, frame)
+      }
+
+      // Gear layers follow the body frame for frame
+      for (const layer of this.gear.values()) {
+        const gearTexture = layer.textures.get(animInfo.file)
+        if (gearTexture) {
+          layer.sprite.texture = new PIXI.Texture(gearTexture, frame)
+        }
       }
     }
   }
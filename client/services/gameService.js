@@ -15,7 +15,47 @@ class GameService {
       players: new Map(),
       worldObjects: new Map(),
       chatMessages: [],
-      serverState: {}
+      serverState: {},
+      mapId: null,
+      worldData: null,
+      correction: null,
+      // Effective combat stats of the local player
+      stats: null,
+      inventoryError: null,
+      // Open trade window ({ partnerId, partnerName, own, partner }) and
+      // trade requests waiting for an answer
+      trade: null,
+      tradeRequests: [],
+      tradeResult: null,
+      // Party frames ({ partyId, leaderId, members }), pending invites and
+      // the last party error or leave reason
+      party: null,
+      partyInvites: [],
+      partyResult: null,
+      // Own guild membership ({ guildId, name, tag, rankName, ... }); the
+      // roster itself is managed through the guild REST API
+      guild: null,
+      // Open shop ({ shopId, name, buyBackRatio, items }) and the outcome
+      // of the last buy or sell
+      shop: null,
+      shopResult: null,
+      // Running craft ({ recipeId, endsAt }) and the last craft outcome
+      crafting: null,
+      craftResult: null,
+      // Quest log: active quests with objective progress, completed ids
+      quests: { active: [], completed: [] },
+      questNotice: null,
+      // Current dialogue node ({ npcId, speaker, text, choices, end })
+      dialogue: null,
+      // Properties of the zones the local player stands in
+      zone: { zones: [], bgm: null, pvp: false, safe: false },
+      // Entities outside our area of interest keep their last synced
+      // values, so they are tracked here and hidden by views
+      hidden: {
+        players: new Set(),
+        npcs: new Set(),
+        worldItems: new Set()
+      }
     })
   }
 
@@ -51,6 +91,22 @@ class GameService {
     }
   }
 
+  async changeMap(reservation) {
+    const previousRoom = this.room
+    this.room = null
+
+    try {
+      previousRoom.removeAllListeners()
+      await previousRoom.leave()
+
+      this.room = await this.client.consumeSeatReservation(reservation)
+      this.setupRoomHandlers()
+    } catch (e) {
+      console.error("MAP CHANGE ERROR", e)
+      this.state.connected = false
+    }
+  }
+
   send(type, payload) {
     if (this.room) {
       this.room.send(type, payload)
@@ -73,9 +129,174 @@ class GameService {
       }
     })
     
+    // Rejected chat lines (rate limit, filter, unknown command, ...)
+    this.room.onMessage('chatError', ({ reason }) => {
+      this.state.chatMessages.push({
+        channel: 'system',
+        playerName: 'System',
+        message: reason,
+        timestamp: Date.now()
+      })
+    })
+
     this.room.onMessage('worldData', (data) => {
-      // Handle initial world data if needed
-      console.log('Received world data:', data)
+      // Map rooms send their world data on join; views re-render from it
+      this.state.mapId = data.mapId
+      this.state.worldData = data
+    })
+
+    this.room.onMessage('interest', ({ enter = {}, leave = {} }) => {
+      for (const [collection, keys] of Object.entries(leave)) {
+        keys.forEach(key => this.state.hidden[collection]?.add(key))
+      }
+      for (const [collection, keys] of Object.entries(enter)) {
+        keys.forEach(key => this.state.hidden[collection]?.delete(key))
+      }
+    })
+
+    this.room.onMessage('stats', (stats) => {
+      this.state.stats = stats
+    })
+
+    this.room.onMessage('inventoryError', (error) => {
+      // Rejected inventory actions (full, overweight, equipped, ...)
+      this.state.inventoryError = error
+    })
+
+    this.room.onMessage('tradeRequest', (request) => {
+      this.state.tradeRequests.push(request)
+    })
+
+    this.room.onMessage('tradeUpdate', (trade) => {
+      this.state.trade = trade
+      this.state.tradeRequests = this.state.tradeRequests.filter(r => r.fromId !== trade.partnerId)
+    })
+
+    this.room.onMessage('tradeClosed', ({ reason }) => {
+      // 'completed', or why the trade was cancelled
+      this.state.trade = null
+      this.state.tradeResult = reason
+    })
+
+    this.room.onMessage('tradeDeclined', () => {
+      this.state.tradeResult = 'declined'
+    })
+
+    this.room.onMessage('tradeError', (error) => {
+      this.state.tradeResult = error.reason
+    })
+
+    this.room.onMessage('partyInvite', (invite) => {
+      this.state.partyInvites.push(invite)
+    })
+
+    this.room.onMessage('partyUpdate', (party) => {
+      this.state.party = party
+    })
+
+    this.room.onMessage('partyLeft', ({ reason }) => {
+      // 'left', 'kicked', 'timedOut' or 'disbanded'
+      this.state.party = null
+      this.state.partyResult = reason
+    })
+
+    this.room.onMessage('partyDeclined', () => {
+      this.state.partyResult = 'declined'
+    })
+
+    this.room.onMessage('partyError', (error) => {
+      this.state.partyResult = error.reason
+    })
+
+    this.room.onMessage('guildUpdate', (guild) => {
+      this.state.guild = guild
+    })
+
+    this.room.onMessage('shopOpened', (shop) => {
+      this.state.shop = shop
+      this.state.shopResult = null
+    })
+
+    this.room.onMessage('shopUpdate', (shop) => {
+      if (this.state.shop?.shopId === shop.shopId) {
+        this.state.shop = shop
+      }
+    })
+
+    this.room.onMessage('shopResult', (result) => {
+      this.state.shopResult = result
+      // The vendor is out of reach; the server has closed the shop
+      if (result.reason === 'tooFar' || result.reason === 'notOpen') {
+        this.state.shop = null
+      }
+    })
+
+    this.room.onMessage('craftStarted', ({ recipeId, duration }) => {
+      this.state.crafting = { recipeId, endsAt: Date.now() + duration }
+    })
+
+    this.room.onMessage('craftResult', (result) => {
+      this.state.crafting = null
+      this.state.craftResult = result
+    })
+
+    this.room.onMessage('questLog', (log) => {
+      this.state.quests = log
+    })
+
+    this.room.onMessage('questProgress', (quest) => {
+      const index = this.state.quests.active.findIndex(q => q.questId === quest.questId)
+      if (index === -1) {
+        this.state.quests.active.push(quest)
+      } else {
+        this.state.quests.active[index] = quest
+      }
+    })
+
+    this.room.onMessage('questCompleted', ({ questId, rewards }) => {
+      this.state.quests.active = this.state.quests.active.filter(q => q.questId !== questId)
+      this.state.quests.completed.push(questId)
+      this.state.questNotice = { questId, type: 'completed', rewards }
+    })
+
+    this.room.onMessage('questAbandoned', ({ questId }) => {
+      this.state.quests.active = this.state.quests.active.filter(q => q.questId !== questId)
+    })
+
+    this.room.onMessage('questRewardBlocked', ({ questId, reason }) => {
+      this.state.questNotice = { questId, type: 'blocked', reason }
+    })
+
+    this.room.onMessage('questRejected', ({ questId, reason }) => {
+      this.state.questNotice = { questId, type: 'rejected', reason }
+    })
+
+    this.room.onMessage('dialogueNode', (node) => {
+      this.state.dialogue = node
+    })
+
+    this.room.onMessage('dialogueEnd', () => {
+      this.state.dialogue = null
+    })
+
+    this.room.onMessage('dialogueRejected', ({ reason }) => {
+      // The server drops conversations with NPCs out of reach
+      if (reason === 'tooFar' || reason === 'notTalking') {
+        this.state.dialogue = null
+      }
+    })
+
+    this.room.onMessage('moveCorrection', (correction) => {
+      // The server rejected a move; views snap back to this position
+      this.state.correction = correction
+    })
+
+    this.room.onMessage('zoneChanged', (zone) => {
+      this.state.zone = zone
+    })
+
+    this.room.onMessage('changeMap', (data) => {
+      this.changeMap(data.reservation)
     })
 
     this.room.onError((code, message) => {
@@ -89,18 +310,146 @@ class GameService {
     })
   }
 
+  isHidden(collection, key) {
+    return this.state.hidden[collection].has(key)
+  }
+
   // --- Game Actions ---
   move(x, y, direction, animation) {
     this.send('move', { x, y, direction, animation })
   }
 
-  sendChatMessage(message) {
-    this.send('chat', { text: message })
+  // Lines starting with / are slash commands, parsed by the server
+  sendChatMessage(message, channel = 'say') {
+    this.send('chat', { text: message, channel })
   }
 
   interact(targetType, targetId) {
     this.send('interact', { targetType, targetId })
   }
+
+  equip(slot) {
+    this.send('equip', { slot })
+  }
+
+  unequip(equipSlot) {
+    this.send('unequip', { equipSlot })
+  }
+
+  dropItem(slot, quantity) {
+    this.send('dropItem', { slot, quantity })
+  }
+
+  splitStack(slot, quantity) {
+    this.send('splitStack', { slot, quantity })
+  }
+
+  mergeStacks(fromSlot, toSlot) {
+    this.send('mergeStacks', { fromSlot, toSlot })
+  }
+
+  moveItem(fromSlot, toSlot) {
+    this.send('moveItem', { fromSlot, toSlot })
+  }
+
+  requestTrade(targetId) {
+    this.send('trade', { action: 'request', targetId })
+  }
+
+  answerTrade(fromId, accept) {
+    this.state.tradeRequests = this.state.tradeRequests.filter(r => r.fromId !== fromId)
+    this.send('trade', { action: accept ? 'accept' : 'decline', fromId })
+  }
+
+  offerTradeItem(slot, quantity) {
+    this.send('trade', { action: 'offerItem', slot, quantity })
+  }
+
+  removeTradeItem(slot) {
+    this.send('trade', { action: 'removeItem', slot })
+  }
+
+  setTradeGold(amount) {
+    this.send('trade', { action: 'setGold', amount })
+  }
+
+  lockTrade() {
+    this.send('trade', { action: 'lock' })
+  }
+
+  confirmTrade() {
+    this.send('trade', { action: 'confirm' })
+  }
+
+  cancelTrade() {
+    this.send('trade', { action: 'cancel' })
+  }
+
+  inviteToParty(targetId) {
+    this.send('party', { action: 'invite', targetId })
+  }
+
+  answerPartyInvite(fromId, accept) {
+    this.state.partyInvites = this.state.partyInvites.filter(i => i.fromId !== fromId)
+    this.send('party', { action: accept ? 'accept' : 'decline', fromId })
+  }
+
+  leaveParty() {
+    this.send('party', { action: 'leave' })
+  }
+
+  kickFromParty(characterId) {
+    this.send('party', { action: 'kick', characterId })
+  }
+
+  promoteInParty(characterId) {
+    this.send('party', { action: 'promote', characterId })
+  }
+
+  shopBuy(itemId, quantity) {
+    this.send('shopBuy', { shopId: this.state.shop?.shopId, itemId, quantity })
+  }
+
+  shopSell(slot, quantity) {
+    this.send('shopSell', { shopId: this.state.shop?.shopId, slot, quantity })
+  }
+
+  craft(recipeId) {
+    this.send('craft', { recipeId })
+  }
+
+  cancelCraft() {
+    this.send('craftCancel')
+  }
+
+  turnInQuest(questId) {
+    this.send('questTurnIn', { questId })
+  }
+
+  abandonQuest(questId) {
+    this.send('questAbandon', { questId })
+  }
+
+  startDialogue(npcId) {
+    this.send('dialogueStart', { npcId })
+  }
+
+  chooseDialogue(index) {
+    this.send('dialogueChoice', { index })
+  }
+
+  endDialogue() {
+    // Final nodes already ended the conversation on the server
+    if (this.state.dialogue && !this.state.dialogue.end) {
+      this.send('dialogueEnd')
+    }
+    this.state.dialogue = null
+  }
+
+  closeShop() {
+    this.send('shopClose')
+    this.state.shop = null
+  }
 }
 
 export const gameService = new GameService() 
\ No newline at end of file
@@ -0,0 +1,344 @@
+/**
+ * @file Guild API routes
+ * @description Found, join and manage a world's guilds. Requests act as
+ * the user's character in the project; what they may do depends on the
+ * permissions of their guild rank.
+ */
+
+import {
+  getCharacter,
+  findCharacterByName,
+  getMembership,
+  listGuilds,
+  getGuild,
+  createGuild,
+  createInvite,
+  acceptInvite,
+  setMemberRanks,
+  removeMember,
+  disbandGuild,
+  publishGuildUpdate
+} from '../services/guildService.js'
+
+const TAG_PATTERN = /^[A-Za-z0-9]{2,5}$/
+
+export async function guildRoutes(fastify, options) {
+  // List a world's guilds
+  fastify.get('/:projectId/guilds', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { projectId } = request.params
+
+    try {
+      const rows = await listGuilds(projectId)
+      return {
+        guilds: rows.map(row => ({
+          id: row.id,
+          name: row.name,
+          tag: row.tag,
+          memberCount: row.member_count,
+          createdAt: row.created_at
+        }))
+      }
+    } catch (error) {
+      console.error('Error fetching guilds:', error)
+      return reply.code(500).send({ error: 'Failed to fetch guilds' })
+    }
+  })
+
+  // Get a guild's ranks and roster
+  fastify.get('/:projectId/guilds/:guildId', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { projectId, guildId } = request.params
+
+    try {
+      const guild = await getGuild(projectId, guildId)
+      if (!guild) {
+        return reply.code(404).send({ error: 'Guild not found' })
+      }
+
+      return { guild: formatGuild(guild) }
+    } catch (error) {
+      console.error('Error fetching guild:', error)
+      return reply.code(500).send({ error: 'Failed to fetch guild' })
+    }
+  })
+
+  // Found a guild; the founder becomes its leader
+  fastify.post('/:projectId/guilds', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { projectId } = request.params
+    const { name: rawName, tag: rawTag } = request.body || {}
+    const name = typeof rawName === 'string' ? rawName.trim() : ''
+    const tag = typeof rawTag === 'string' ? rawTag.trim() : ''
+
+    if (!name || name.length < 3 || name.length > 50) {
+      return reply.code(400).send({ error: 'Guild name must be 3 to 50 characters' })
+    }
+    if (!tag || !TAG_PATTERN.test(tag)) {
+      return reply.code(400).send({ error: 'Guild tag must be 2 to 5 letters or digits' })
+    }
+
+    try {
+      const actor = await loadActor(request.user.userId, projectId)
+      if (!actor) {
+        return reply.code(400).send({ error: 'Join the world before founding a guild' })
+      }
+      if (actor.membership) {
+        return reply.code(409).send({ error: 'Already in a guild' })
+      }
+
+      const guild = await createGuild(projectId, actor.character.id, { name, tag })
+      publishGuildUpdate(projectId, [actor.character.id])
+
+      return {
+        success: true,
+        guild: { id: guild.id, name: guild.name, tag: guild.tag, createdAt: guild.created_at }
+      }
+    } catch (error) {
+      if (error.code === '23505') {
+        return reply.code(409).send({ error: 'Guild name or tag is already taken' })
+      }
+      console.error('Error creating guild:', error)
+      return reply.code(500).send({ error: 'Failed to create guild' })
+    }
+  })
+
+  // Invite a character by name
+  fastify.post('/:projectId/guilds/:guildId/invites', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { projectId, guildId } = request.params
+    const characterName = request.body?.characterName
+
+    if (!characterName) {
+      return reply.code(400).send({ error: 'Character name is required' })
+    }
+
+    try {
+      const guild = await getGuild(projectId, guildId)
+      if (!guild) {
+        return reply.code(404).send({ error: 'Guild not found' })
+      }
+
+      const actor = await loadActor(request.user.userId, projectId)
+      if (!hasPermission(actor, guildId, 'invite')) {
+        return reply.code(403).send({ error: 'Not allowed to invite to this guild' })
+      }
+
+      const target = await findCharacterByName(projectId, characterName)
+      if (!target) {
+        return reply.code(404).send({ error: 'Character not found' })
+      }
+      if (await getMembership(target.id)) {
+        return reply.code(409).send({ error: 'Character is already in a guild' })
+      }
+
+      await createInvite(guildId, target.id, actor.character.id)
+      return { success: true, invited: { characterId: target.id, name: target.name } }
+    } catch (error) {
+      console.error('Error inviting to guild:', error)
+      return reply.code(500).send({ error: 'Failed to invite to guild' })
+    }
+  })
+
+  // Accept an invite
+  fastify.post('/:projectId/guilds/:guildId/join', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { projectId, guildId } = request.params
+
+    try {
+      const guild = await getGuild(projectId, guildId)
+      if (!guild) {
+        return reply.code(404).send({ error: 'Guild not found' })
+      }
+
+      const actor = await loadActor(request.user.userId, projectId)
+      if (!actor) {
+        return reply.code(400).send({ error: 'Join the world before joining a guild' })
+      }
+      if (actor.membership) {
+        return reply.code(409).send({ error: 'Already in a guild' })
+      }
+
+      if (!await acceptInvite(guildId, actor.character.id)) {
+        return reply.code(404).send({ error: 'No invite from this guild' })
+      }
+      publishGuildUpdate(projectId, [actor.character.id])
+
+      return { success: true }
+    } catch (error) {
+      console.error('Error joining guild:', error)
+      return reply.code(500).send({ error: 'Failed to join guild' })
+    }
+  })
+
+  // Promote or demote a member; giving away the leader rank hands over
+  // leadership and moves the old leader one rank down
+  fastify.put('/:projectId/guilds/:guildId/members/:characterId', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { projectId, guildId, characterId } = request.params
+    const rankId = request.body?.rankId
+
+    try {
+      const guild = await getGuild(projectId, guildId)
+      if (!guild) {
+        return reply.code(404).send({ error: 'Guild not found' })
+      }
+
+      const actor = await loadActor(request.user.userId, projectId)
+      if (!hasPermission(actor, guildId, 'promote')) {
+        return reply.code(403).send({ error: 'Not allowed to change ranks in this guild' })
+      }
+
+      const member = guild.members.find(m => m.character_id === characterId)
+      const rank = guild.ranks.find(r => r.id === rankId)
+      if (!member || !rank) {
+        return reply.code(404).send({ error: 'Member or rank not found' })
+      }
+
+      // Only members and ranks below your own are yours to change
+      const memberPosition = guild.ranks.find(r => r.id === member.rank_id).position
+      const handover = actor.membership.position === 0 && rank.position === 0
+      if (memberPosition <= actor.membership.position ||
+        (rank.position <= actor.membership.position && !handover)) {
+        return reply.code(403).send({ error: 'Can only change ranks below your own' })
+      }
+
+      const changes = [{ characterId, rankId }]
+      if (handover) {
+        const nextRank = guild.ranks.find(r => r.position > 0)
+        changes.push({ characterId: actor.character.id, rankId: nextRank.id })
+      }
+
+      await setMemberRanks(guildId, changes)
+      publishGuildUpdate(projectId, changes.map(change => change.characterId))
+
+      return { success: true }
+    } catch (error) {
+      console.error('Error changing guild rank:', error)
+      return reply.code(500).send({ error: 'Failed to change guild rank' })
+    }
+  })
+
+  // Kick a member, or leave when removing yourself
+  fastify.delete('/:projectId/guilds/:guildId/members/:characterId', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { projectId, guildId, characterId } = request.params
+
+    try {
+      const guild = await getGuild(projectId, guildId)
+      if (!guild) {
+        return reply.code(404).send({ error: 'Guild not found' })
+      }
+
+      const actor = await loadActor(request.user.userId, projectId)
+      if (actor?.membership?.guildId !== guildId) {
+        return reply.code(403).send({ error: 'Not a member of this guild' })
+      }
+
+      const member = guild.members.find(m => m.character_id === characterId)
+      if (!member) {
+        return reply.code(404).send({ error: 'Member not found' })
+      }
+
+      if (characterId === actor.character.id) {
+        // The last member leaving takes the guild with them
+        if (guild.members.length === 1) {
+          await disbandGuild(guildId)
+          publishGuildUpdate(projectId, [characterId])
+          return { success: true, disbanded: true }
+        }
+        if (actor.membership.position === 0) {
+          return reply.code(409).send({ error: 'Hand over leadership or disband the guild first' })
+        }
+      } else {
+        const memberPosition = guild.ranks.find(r => r.id === member.rank_id).position
+        if (!hasPermission(actor, guildId, 'kick') || memberPosition <= actor.membership.position) {
+          return reply.code(403).send({ error: 'Not allowed to kick this member' })
+        }
+      }
+
+      await removeMember(guildId, characterId)
+      publishGuildUpdate(projectId, [characterId])
+
+      return { success: true }
+    } catch (error) {
+      console.error('Error removing guild member:', error)
+      return reply.code(500).send({ error: 'Failed to remove guild member' })
+    }
+  })
+
+  // Disband a guild
+  fastify.delete('/:projectId/guilds/:guildId', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { projectId, guildId } = request.params
+
+    try {
+      const guild = await getGuild(projectId, guildId)
+      if (!guild) {
+        return reply.code(404).send({ error: 'Guild not found' })
+      }
+
+      const actor = await loadActor(request.user.userId, projectId)
+      if (!hasPermission(actor, guildId, 'disband')) {
+        return reply.code(403).send({ error: 'Not allowed to disband this guild' })
+      }
+
+      const characterIds = await disbandGuild(guildId)
+      publishGuildUpdate(projectId, characterIds)
+
+      return { success: true, message: 'Guild disbanded' }
+    } catch (error) {
+      console.error('Error disbanding guild:', error)
+      return reply.code(500).send({ error: 'Failed to disband guild' })
+    }
+  })
+}
+
+/**
+ * Load the requesting user's character in a project and its membership
+ * @param {string} userId - User id from the JWT
+ * @param {string} projectId - Project id
+ * @returns {Promise<Object|null>} `{ character, membership }`, or null
+ * when the user has no character in the world
+ */
+async function loadActor(userId, projectId) {
+  const character = await getCharacter(userId, projectId)
+  if (!character) return null
+
+  return { character, membership: await getMembership(character.id) }
+}
+
+function hasPermission(actor, guildId, permission) {
+  return actor?.membership?.guildId === guildId &&
+    actor.membership.permissions.includes(permission)
+}
+
+function formatGuild(guild) {
+  return {
+    id: guild.id,
+    name: guild.name,
+    tag: guild.tag,
+    createdAt: guild.created_at,
+    ranks: guild.ranks.map(rank => ({
+      id: rank.id,
+      name: rank.name,
+      position: rank.position,
+      permissions: rank.permissions
+    })),
+    members: guild.members.map(member => ({
+      characterId: member.character_id,
+      name: member.name,
+      level: member.level,
+      rankId: member.rank_id,
+      joinedAt: member.joined_at
+    }))
+  }
+}
@@ -322,7 +322,8 @@ export async function apiRoutes(fastify, options) {
             x: 25,
             y: 25,
             spriteId: 'npc-basic',
-            dialogue: 'Hello! Welcome to bitrealm!'
+            dialogue: 'Hello! Welcome to bitrealm!',
+            dialogueId: 'guide'
           }],
           items: [],
           scripts: [{
@@ -343,6 +344,30 @@ export async function apiRoutes(fastify, options) {
           type: 'misc',
           spriteId: 'item-gift'
         }],
+        dialogues: [{
+          id: 'guide',
+          start: [
+            { node: 'welcomeBack', conditions: [{ type: 'variable', name: 'metGuide', value: true }] },
+            { node: 'greeting' }
+          ],
+          nodes: {
+            greeting: {
+              text: 'Hello! Welcome to bitrealm!',
+              actions: [{ type: 'setVariable', name: 'metGuide', value: true }],
+              choices: [
+                { text: 'What is this place?', next: 'about' },
+                { text: 'Goodbye.' }
+              ]
+            },
+            about: {
+              text: 'A world built by its players. Take this for the road.',
+              actions: [{ type: 'giveGold', amount: 10 }]
+            },
+            welcomeBack: {
+              text: 'Good to see you again, traveller.'
+            }
+          }
+        }],
         scripts: [],
         assets: []
       }
@@ -5,6 +5,8 @@
 
 import { query, cacheGet, cacheSet, cacheDel } from '../database/index.js'
 import { nanoid } from 'nanoid'
+import { getTradeLog } from '../services/tradeService.js'
+import { DSLInterpreter } from '../dsl/interpreter.js'
 
 export async function projectRoutes(fastify, options) {
   // Get project details
@@ -419,4 +421,87 @@ export async function projectRoutes(fastify, options) {
       return reply.code(500).send({ error: 'Failed to remove collaborator' })
     }
   })
+
+  // Get the trade audit log (owners and editors only)
+  fastify.get('/:projectId/trades', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { projectId } = request.params
+    const { characterId } = request.query
+    const limit = Math.min(Number(request.query.limit) || 50, 500)
+
+    try {
+      const accessCheck = await query(
+        `SELECT p.owner_id, pc.role
+         FROM projects p
+         LEFT JOIN project_collaborators pc ON p.id = pc.project_id AND pc.user_id = $2
+         WHERE p.id = $1`,
+        [projectId, request.user.userId]
+      )
+
+      if (accessCheck.rows.length === 0) {
+        return reply.code(404).send({ error: 'Project not found' })
+      }
+
+      const access = accessCheck.rows[0]
+      if (access.owner_id !== request.user.userId && access.role !== 'editor') {
+        return reply.code(403).send({ error: 'Not authorized to view trades' })
+      }
+
+      const rows = await getTradeLog(projectId, { characterId, limit })
+
+      return {
+        trades: rows.map(row => ({
+          id: row.id,
+          mapId: row.map_id,
+          characterA: { id: row.character_a, name: row.character_a_name },
+          characterB: { id: row.character_b, name: row.character_b_name },
+          offerA: row.offer_a,
+          offerB: row.offer_b,
+          createdAt: row.created_at
+        }))
+      }
+    } catch (error) {
+      console.error('Error fetching trades:', error)
+      return reply.code(500).send({ error: 'Failed to fetch trades' })
+    }
+  })
+
+  // Check a DSL script and report its diagnostics to the editor
+  fastify.post('/:projectId/scripts/validate', {
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { projectId } = request.params
+    const content = request.body?.content
+
+    if (typeof content !== 'string') {
+      return reply.code(400).send({ error: 'Script content is required' })
+    }
+
+    try {
+      const accessCheck = await query(
+        `SELECT p.owner_id, pc.role
+         FROM projects p
+         LEFT JOIN project_collaborators pc ON p.id = pc.project_id AND pc.user_id = $2
+         WHERE p.id = $1`,
+        [projectId, request.user.userId]
+      )
+
+      const access = accessCheck.rows[0]
+      if (!access || (access.owner_id !== request.user.userId && !access.role)) {
+        return reply.code(404).send({ error: 'Project not found or access denied' })
+      }
+
+      // Only the function table is needed, so no room is attached
+      const { diagnostics } = new DSLInterpreter(null).checkScript(content)
+
+      return {
+        valid: !diagnostics.some(diagnostic => diagnostic.severity === 'error'),
+        diagnostics
+      }
+    } catch (error) {
+      console.error('Error validating script:', error)
+      return reply.code(500).send({ error: 'Failed to validate script' })
+    }
+  })
 }
\ No newline at end of file
@@ -182,6 +182,103 @@ async function createTables() {
       UNIQUE(name, version)
     );
 
+    -- Characters table (one per user per project)
+    CREATE TABLE IF NOT EXISTS characters (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      level INTEGER DEFAULT 1,
+      experience INTEGER DEFAULT 0,
+      health INTEGER DEFAULT 100,
+      max_health INTEGER DEFAULT 100,
+      mana INTEGER DEFAULT 50,
+      max_mana INTEGER DEFAULT 50,
+      position_x INTEGER DEFAULT 0,
+      position_y INTEGER DEFAULT 0,
+      map_id VARCHAR(100),
+      sprite_data JSONB DEFAULT '{}',
+      stats JSONB DEFAULT '{}',
+      gold INTEGER DEFAULT 0,
+      quests JSONB DEFAULT '{}',
+      character_class VARCHAR(50) DEFAULT '',
+      recipes JSONB DEFAULT '[]',
+      variables JSONB DEFAULT '{}',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE(user_id, project_id)
+    );
+
+    -- Columns added after the characters table was first shipped
+    ALTER TABLE characters ADD COLUMN IF NOT EXISTS gold INTEGER DEFAULT 0;
+    ALTER TABLE characters ADD COLUMN IF NOT EXISTS quests JSONB DEFAULT '{}';
+    ALTER TABLE characters ADD COLUMN IF NOT EXISTS character_class VARCHAR(50) DEFAULT '';
+    ALTER TABLE characters ADD COLUMN IF NOT EXISTS recipes JSONB DEFAULT '[]';
+    ALTER TABLE characters ADD COLUMN IF NOT EXISTS variables JSONB DEFAULT '{}';
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_characters_user_project ON characters(user_id, project_id);
+
+    -- Inventory table
+    CREATE TABLE IF NOT EXISTS inventory (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      character_id UUID REFERENCES characters(id) ON DELETE CASCADE,
+      item_id VARCHAR(100) NOT NULL,
+      quantity INTEGER DEFAULT 1,
+      slot INTEGER,
+      equipped BOOLEAN DEFAULT FALSE,
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    -- Completed player-to-player trades, kept for GM auditing
+    CREATE TABLE IF NOT EXISTS trade_logs (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+      map_id VARCHAR(100),
+      character_a UUID REFERENCES characters(id) ON DELETE SET NULL,
+      character_b UUID REFERENCES characters(id) ON DELETE SET NULL,
+      offer_a JSONB DEFAULT '{}',
+      offer_b JSONB DEFAULT '{}',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    -- Guilds; each belongs to one project, so it only exists in that world
+    CREATE TABLE IF NOT EXISTS guilds (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+      name VARCHAR(50) NOT NULL,
+      tag VARCHAR(5) NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE(project_id, name),
+      UNIQUE(project_id, tag)
+    );
+
+    -- Guild ranks; position 0 is the leader rank, higher positions rank lower
+    CREATE TABLE IF NOT EXISTS guild_ranks (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      guild_id UUID REFERENCES guilds(id) ON DELETE CASCADE,
+      name VARCHAR(50) NOT NULL,
+      position INTEGER NOT NULL,
+      permissions TEXT[] DEFAULT '{}',
+      UNIQUE(guild_id, position)
+    );
+
+    -- Guild roster (a character is in at most one guild)
+    CREATE TABLE IF NOT EXISTS guild_members (
+      character_id UUID PRIMARY KEY REFERENCES characters(id) ON DELETE CASCADE,
+      guild_id UUID REFERENCES guilds(id) ON DELETE CASCADE,
+      rank_id UUID REFERENCES guild_ranks(id),
+      joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    -- Pending guild invites
+    CREATE TABLE IF NOT EXISTS guild_invites (
+      guild_id UUID REFERENCES guilds(id) ON DELETE CASCADE,
+      character_id UUID REFERENCES characters(id) ON DELETE CASCADE,
+      invited_by UUID REFERENCES characters(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      PRIMARY KEY (guild_id, character_id)
+    );
+
     -- Indexes for better performance
     CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
     CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
@@ -197,6 +294,16 @@ async function createTables() {
     CREATE INDEX IF NOT EXISTS idx_sessions_project ON game_sessions(project_id);
     CREATE INDEX IF NOT EXISTS idx_sessions_user ON game_sessions(user_id);
     CREATE INDEX IF NOT EXISTS idx_world_saves_project_user ON world_saves(project_id, user_id);
+    CREATE INDEX IF NOT EXISTS idx_characters_user ON characters(user_id);
+    CREATE INDEX IF NOT EXISTS idx_characters_project ON characters(project_id);
+    CREATE INDEX IF NOT EXISTS idx_inventory_character ON inventory(character_id);
+    CREATE INDEX IF NOT EXISTS idx_trade_logs_project ON trade_logs(project_id);
+    CREATE INDEX IF NOT EXISTS idx_trade_logs_character_a ON trade_logs(character_a);
+    CREATE INDEX IF NOT EXISTS idx_trade_logs_character_b ON trade_logs(character_b);
+    CREATE INDEX IF NOT EXISTS idx_guilds_project ON guilds(project_id);
+    CREATE INDEX IF NOT EXISTS idx_guild_ranks_guild ON guild_ranks(guild_id);
+    CREATE INDEX IF NOT EXISTS idx_guild_members_guild ON guild_members(guild_id);
+    CREATE INDEX IF NOT EXISTS idx_guild_invites_character ON guild_invites(character_id);
 
     -- Updated at trigger function
     CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -222,6 +329,11 @@ async function createTables() {
     CREATE TRIGGER update_plugins_updated_at 
       BEFORE UPDATE ON plugins 
       FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+    DROP TRIGGER IF EXISTS update_characters_updated_at ON characters;
+    CREATE TRIGGER update_characters_updated_at 
+      BEFORE UPDATE ON characters 
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
   `
 
   try {
@@ -0,0 +1,172 @@
+/**
+ * @file Script sandbox
+ * @description Runs DSL `script {}` blocks outside the game server, in a
+ * child process with its own heap limit and no environment, inside a fresh
+ * `vm` context per run (see sandboxProcess.js). Scripts see plain copies
+ * of the event's entities and a capability-limited API; what they do comes
+ * back as a list of actions and stat changes for the interpreter to apply.
+ *
+ * A run that exceeds its time limit is stopped inside the process; a
+ * process that stops answering or runs out of memory is killed and
+ * replaced. Either way the room's tick never waits on a script. A separate
+ * process rather than a worker thread, because a worker running out of
+ * heap can abort the whole server.
+ */
+
+import { fork } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+
+const PROCESS_PATH = fileURLToPath(new URL('./sandboxProcess.js', import.meta.url))
+
+const DEFAULT_TIMEOUT = 50 // ms per run
+const DEFAULT_MEMORY = 32 // MB of heap
+const KILL_GRACE = 250 // ms past the timeout before the process is killed
+const IDLE_TIMEOUT = 60000 // Idle processes are stopped after this long
+const MAX_QUEUE = 100
+
+export class ScriptSandbox {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Time limit of one run in ms
+   * @param {number} [options.memory] - Heap limit in MB
+   * @param {number} [options.maxActions] - Actions one run may queue
+   */
+  constructor({ timeout = DEFAULT_TIMEOUT, memory = DEFAULT_MEMORY, maxActions = 100 } = {}) {
+    this.timeout = timeout
+    this.memory = memory
+    this.limits = { actions: maxActions, logs: 20 }
+    this.child = null
+    this.ready = false
+    this.queue = []
+    this.running = null
+    this.runCount = 0
+    this.idleTimer = null
+    this.disposed = false
+  }
+
+  /**
+   * Queue a script block run
+   * @param {string} code - Script block source
+   * @param {Object} entities - Plain `{ player, npc, item }` copies
+   * @param {Array<string>} actions - Names of the action functions to expose
+   * @param {number} [line] - Line of the DSL script the code starts on
+   * @returns {Promise<Object>} `{ actions: [[name, args]], changes, logs }`;
+   * rejects when the script throws, times out or runs out of memory
+   */
+  run(code, entities, actions, line = 1) {
+    if (this.disposed) return Promise.reject(new Error('Sandbox disposed'))
+    if (this.queue.length >= MAX_QUEUE) return Promise.reject(new Error('Too many scripts queued'))
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: ++this.runCount,
+        message: { code, line, input: { entities, actions, limits: this.limits }, timeout: this.timeout },
+        resolve,
+        reject
+      })
+      this.next()
+    })
+  }
+
+  // Start the next queued run; one runs at a time so each gets the whole budget
+  next() {
+    if (this.running || this.queue.length === 0 || this.disposed) return
+    if (!this.child) this.start()
+    if (!this.ready) return
+
+    clearTimeout(this.idleTimer)
+    const job = this.queue.shift()
+    this.running = job
+    job.timer = setTimeout(() => this.kill('Script timed out'), this.timeout + KILL_GRACE)
+
+    this.child.send({ id: job.id, ...job.message })
+  }
+
+  start() {
+    const child = fork(PROCESS_PATH, [], {
+      env: {},
+      execArgv: [`--max-old-space-size=${this.memory}`],
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+    })
+    child.on('message', message => this.onMessage(child, message))
+    child.on('exit', () => this.onExit(child, 'Script ran out of memory or crashed'))
+    child.on('error', error => console.error('Script sandbox error:', error))
+    child.unref()
+    child.channel?.unref()
+
+    this.child = child
+    this.ready = false
+  }
+
+  onMessage(child, { id, ready, result, error }) {
+    if (child !== this.child) return
+    if (ready) {
+      this.ready = true
+      this.next()
+      return
+    }
+
+    const job = this.running
+    if (job?.id !== id) return
+
+    this.finish(job)
+    if (error) job.reject(new Error(error))
+    else job.resolve(result)
+  }
+
+  // Process died or was killed: fail its run and start afresh
+  onExit(child, reason) {
+    if (child !== this.child) return
+    const started = this.ready
+    this.child = null
+    this.ready = false
+
+    const job = this.running
+    if (job) {
+      this.finish(job)
+      job.reject(new Error(reason))
+    } else if (!started) {
+      // Never came up; don't keep respawning it for the queue
+      for (const queued of this.queue.splice(0)) {
+        queued.reject(new Error('Script sandbox failed to start'))
+      }
+    }
+  }
+
+  kill(reason) {
+    const child = this.child
+    if (!child) return
+
+    this.onExit(child, reason)
+    child.kill('SIGKILL')
+  }
+
+  finish(job) {
+    clearTimeout(job.timer)
+    this.running = null
+    setImmediate(() => this.next())
+
+    clearTimeout(this.idleTimer)
+    this.idleTimer = setTimeout(() => {
+      if (!this.running && this.queue.length === 0) this.stop()
+    }, IDLE_TIMEOUT)
+    this.idleTimer.unref()
+  }
+
+  stop() {
+    const child = this.child
+    this.child = null
+    this.ready = false
+    child?.kill()
+  }
+
+  dispose() {
+    this.disposed = true
+    clearTimeout(this.idleTimer)
+    for (const job of this.queue.splice(0)) {
+      job.reject(new Error('Sandbox disposed'))
+    }
+    this.kill('Sandbox disposed')
+    this.stop()
+  }
+}
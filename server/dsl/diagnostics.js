@@ -0,0 +1,79 @@
+/**
+ * @file DSL diagnostics
+ * @description Syntax errors and diagnostics for DSL scripts. Positions
+ * are `{ line, column, offset }` with 1-based lines and columns; a range's
+ * end is exclusive.
+ */
+
+export class DSLSyntaxError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} range - `{ start, end }` of the offending source
+   * @param {string} [suggestion] - How to fix it
+   */
+  constructor(message, range, suggestion = null) {
+    super(message)
+    this.name = 'DSLSyntaxError'
+    this.range = range
+    this.suggestion = suggestion
+  }
+}
+
+/**
+ * Build a diagnostic for the editor
+ * @param {string} message - What went wrong
+ * @param {Object} range - `{ start, end }` of the offending source
+ * @param {Object} [options]
+ * @param {string} [options.severity] - 'error' or 'warning'
+ * @param {string} [options.suggestion] - How to fix it
+ * @returns {Object} `{ message, severity, range, suggestion }`
+ */
+export function createDiagnostic(message, range, { severity = 'error', suggestion = null } = {}) {
+  return { message, severity, range, suggestion }
+}
+
+/**
+ * Format a diagnostic as `line:column: severity: message (suggestion)`
+ * @param {Object} diagnostic - Diagnostic to format
+ * @returns {string} One-line description
+ */
+export function formatDiagnostic({ message, severity, range, suggestion }) {
+  const hint = suggestion ? ` (${suggestion})` : ''
+  return `${range.start.line}:${range.start.column}: ${severity}: ${message}${hint}`
+}
+
+/**
+ * Find the candidate closest to a misspelt word
+ * @param {string} word - Word as written
+ * @param {Iterable<string>} candidates - Known words
+ * @returns {string|null} Closest candidate within two edits, if any
+ */
+export function closestMatch(word, candidates) {
+  const maxDistance = Math.min(2, Math.floor(word.length / 2))
+  let best = null
+  let bestDistance = maxDistance + 1
+
+  for (const candidate of candidates) {
+    const distance = editDistance(word.toLowerCase(), candidate.toLowerCase())
+    if (distance < bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  }
+  return best
+}
+
+// Levenshtein distance
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost)
+    }
+    previous = row
+  }
+  return previous[b.length]
+}
@@ -1,4 +1,19 @@
+import vm from 'node:vm'
 import { DSLParser } from './parser.js'
+import { createDiagnostic, formatDiagnostic, closestMatch } from './diagnostics.js'
+import { ScriptSandbox } from './ScriptSandbox.js'
+import { createNPC, createItem } from '../services/worldService.js'
+import { addItem, removeItem, countItem } from '../services/inventoryService.js'
+
+// Functions `script {}` blocks may call; they run once the block is done
+const SCRIPT_ACTIONS = [
+  'giveItem', 'takeItem', 'warp', 'heal', 'damage', 'applyEffect', 'removeEffect', 'openShop',
+  'learnRecipe', 'giveExp', 'giveGold', 'emit', 'whisper', 'spawnNPC', 'spawnItem',
+  'setNPCBehaviour', 'removeNPC', 'startQuest', 'completeQuest'
+]
+
+// Handlers paused in a `wait` at once, per room; more are stopped
+const MAX_WAITING_HANDLERS = 200
 
 /**
  * DSL Interpreter for bitrealm game logic
@@ -11,6 +26,8 @@ export class DSLInterpreter {
     this.eventHandlers = new Map()
     this.variables = new Map()
     this.functions = new Map()
+    this.sandbox = null // Started by the first script block
+    this.waiting = new Set() // Handler runs paused in a `wait`
     
     // Initialize built-in functions
     this.initBuiltinFunctions()
@@ -22,6 +39,14 @@ export class DSLInterpreter {
       return this.giveItem(player, itemId, quantity)
     })
 
+    this.functions.set('takeItem', (player, itemId, quantity = 1) => {
+      return removeItem(player, this.room.items, itemId, quantity).success
+    })
+
+    this.functions.set('countItem', (player, itemId) => {
+      return countItem(player, itemId, this.room.items)
+    })
+
     this.functions.set('warp', (player, mapId, x, y) => {
       return this.warp(player, mapId, x, y)
     })
@@ -32,10 +57,27 @@ export class DSLInterpreter {
     })
 
     this.functions.set('damage', (player, amount) => {
-      player.health = Math.max(0, player.health - amount)
+      // Goes through combat so scripted damage can kill
+      this.room.combat.applyDamage(player, amount)
       return true
     })
 
+    this.functions.set('applyEffect', (target, effectId, duration) => {
+      return this.room.effects.apply(target, effectId, { duration })
+    })
+
+    this.functions.set('openShop', (player, shopId, npc) => {
+      return this.room.shops.open(player, shopId, npc)
+    })
+
+    this.functions.set('learnRecipe', (player, recipeId) => {
+      return this.room.crafting.learn(player, recipeId)
+    })
+
+    this.functions.set('removeEffect', (target, effectId) => {
+      return this.room.effects.remove(target, effectId)
+    })
+
     this.functions.set('giveExp', (player, amount) => {
       player.experience += amount
       this.checkLevelUp(player)
@@ -55,7 +97,8 @@ export class DSLInterpreter {
           playerName: 'System',
           message: message.replace(/\$playerName/g, data.playerName || ''),
           timestamp: Date.now(),
-          type: 'system'
+          type: 'system',
+          channel: 'system'
         })
       } else {
         this.room.broadcast(channel, { message, ...data })
@@ -80,8 +123,13 @@ export class DSLInterpreter {
       return this.spawnItem(itemId, x, y, data)
     })
 
+    this.functions.set('setNPCBehaviour', (npc, behaviour, options = {}) => {
+      const target = typeof npc === 'string' ? this.room.state.npcs.get(npc) : npc
+      return this.room.ai.setBehaviour(target, behaviour, options)
+    })
+
     this.functions.set('removeNPC', (npcId) => {
-      this.room.state.npcs.delete(npcId)
+      this.room.removeNPC(npcId)
       return true
     })
 
@@ -95,12 +143,6 @@ export class DSLInterpreter {
     })
 
     // Utility functions
-    this.functions.set('wait', async (duration) => {
-      return new Promise(resolve => {
-        setTimeout(resolve, duration * 1000)
-      })
-    })
-
     this.functions.set('random', (min, max) => {
       return Math.floor(Math.random() * (max - min + 1)) + min
     })
@@ -113,10 +155,28 @@ export class DSLInterpreter {
     })
   }
 
+  /**
+   * Parse a script and register its event handlers
+   * Scripts with syntax errors are not loaded; all their diagnostics are
+   * logged with line and column. Loading a script again replaces its
+   * handlers and stops their pending waits.
+   * @param {Object} scriptData - `{ id, content }`
+   * @returns {Array<Object>} Diagnostics of the script
+   */
   loadScript(scriptData) {
     try {
-      const ast = this.parser.parse(scriptData.content)
-      
+      const { ast, diagnostics } = this.checkScript(scriptData.content)
+
+      for (const diagnostic of diagnostics) {
+        const log = diagnostic.severity === 'error' ? console.error : console.warn
+        log(`Script ${scriptData.id}:${formatDiagnostic(diagnostic)}`)
+      }
+      if (diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+        console.error(`Script ${scriptData.id} not loaded`)
+        return diagnostics
+      }
+
+      this.unloadScript(scriptData.id)
       for (const eventBlock of ast.events) {
         if (!this.eventHandlers.has(eventBlock.event)) {
           this.eventHandlers.set(eventBlock.event, [])
@@ -130,11 +190,87 @@ export class DSLInterpreter {
       }
       
       console.log(`Loaded script: ${scriptData.id}`)
+      return diagnostics
     } catch (error) {
       console.error(`Error loading script ${scriptData.id}:`, error)
+      return []
     }
   }
 
+  /**
+   * Remove a script's event handlers and stop those waiting
+   * @param {string} scriptId - Script id
+   */
+  unloadScript(scriptId) {
+    for (const [eventName, handlers] of this.eventHandlers) {
+      const kept = handlers.filter(handler => handler.id !== scriptId)
+      if (kept.length > 0) this.eventHandlers.set(eventName, kept)
+      else this.eventHandlers.delete(eventName)
+    }
+    this.cancelWaits(run => run.handler.id === scriptId)
+  }
+
+  /**
+   * Parse a script and check it against the functions available to it
+   * @param {string} source - Script source
+   * @returns {Object} `{ ast, diagnostics }`; JavaScript syntax errors in
+   * script blocks are errors, calls to unknown functions are warnings
+   */
+  checkScript(source) {
+    const ast = this.parser.parse(source)
+    const diagnostics = [...ast.diagnostics]
+
+    for (const block of collectNodes(ast.events, 'script')) {
+      const error = this.checkJavaScript(block)
+      if (error) diagnostics.push(error)
+    }
+
+    for (const call of collectNodes(ast.events, 'call')) {
+      if (this.functions.has(call.callee)) continue
+
+      const match = closestMatch(call.callee, this.functions.keys())
+      diagnostics.push(createDiagnostic(`Unknown function \`${call.callee}\``, call.range, {
+        severity: 'warning',
+        suggestion: match ? `Did you mean \`${match}\`?` : null
+      }))
+    }
+
+    diagnostics.sort((a, b) => a.range.start.offset - b.range.start.offset)
+    return { ast, diagnostics }
+  }
+
+  /**
+   * Compile, without running, the JavaScript of a script block
+   * @param {Object} block - Script statement
+   * @returns {Object|null} Diagnostic placed in the DSL source, or null
+   */
+  checkJavaScript(block) {
+    try {
+      new vm.Script(`(function () {\n${block.code}\n})`, { filename: 'script' })
+      return null
+    } catch (error) {
+      // The stack starts with `script:<line>`, the source line and a caret
+      const [location = '', , caret = ''] = String(error.stack).split('\n')
+      const codeLine = Math.max(1, Number(location.split(':')[1]) - 1 || 1)
+      const line = block.codeStart.line + codeLine - 1
+      const column = Math.max(0, caret.indexOf('^')) + 1 +
+        (codeLine === 1 ? block.codeStart.column - 1 : 0)
+
+      const start = this.parser.positionOf(line, column)
+      const end = this.parser.positionOf(line, column + Math.max(1, caret.trim().length))
+      return createDiagnostic(`JavaScript: ${error.message}`, { start, end })
+    }
+  }
+
+  /**
+   * Check whether any loaded script handles an event
+   * @param {string} eventName - Event name
+   * @returns {boolean} True when a handler is registered
+   */
+  hasEvent(eventName) {
+    return this.eventHandlers.get(eventName)?.length > 0
+  }
+
   fireEvent(eventName, context) {
     const handlers = this.eventHandlers.get(eventName)
     if (!handlers) return
@@ -148,29 +284,103 @@ export class DSLInterpreter {
           )
           if (!conditionsMet) continue
         }
-
-        // Execute statements
-        this.executeStatements(handler.statements, context)
       } catch (error) {
         console.error(`Error executing ${eventName} handler:`, error)
+        continue
       }
+
+      // Execute statements
+      this.resume({
+        eventName,
+        handler,
+        context,
+        steps: this.executeStatements(handler.statements, context),
+        timer: null
+      })
+    }
+  }
+
+  /**
+   * Run a handler until it finishes, reaches a `wait` or runs a script block
+   * Statements run as a generator that yields the milliseconds each `wait`
+   * pauses for, or the promise of a script block's result. Waits resume
+   * from the room clock, so they pause with the room; script blocks resume
+   * with their result. Other handlers keep running meanwhile.
+   * @param {Object} run - `{ eventName, handler, context, steps, timer }`
+   * @param {Object} [input] - `{ value }` or `{ error }` of the script
+   * block the run waited for
+   */
+  resume(run, { value, error: failure } = {}) {
+    this.waiting.delete(run)
+
+    let step
+    try {
+      step = failure ? run.steps.throw(failure) : run.steps.next(value)
+    } catch (error) {
+      console.error(`Error executing ${run.eventName} handler:`, error)
+      return
+    }
+    if (step.done) return
+
+    if (this.waiting.size >= MAX_WAITING_HANDLERS) {
+      console.warn(`Too many script handlers waiting; stopped ${run.eventName} handler of script ${run.handler.id}`)
+      run.steps.return()
+      return
+    }
+
+    if (typeof step.value?.then === 'function') {
+      // Cancelled runs are no longer waiting and ignore the result
+      run.timer = null
+      step.value.then(
+        result => this.waiting.has(run) && this.resume(run, { value: result }),
+        error => this.waiting.has(run) && this.resume(run, { error })
+      )
+    } else {
+      run.timer = this.room.clock.setTimeout(() => this.resume(run), step.value)
+    }
+    this.waiting.add(run)
+  }
+
+  /**
+   * Stop waiting handlers without running the rest of them
+   * @param {Function} [match] - Picks the runs to stop; all when omitted
+   */
+  cancelWaits(match = () => true) {
+    for (const run of [...this.waiting]) {
+      if (!match(run)) continue
+
+      run.timer?.clear()
+      run.steps.return()
+      this.waiting.delete(run)
     }
   }
 
-  executeStatements(statements, context) {
+  /**
+   * Stop the waiting handlers fired for a player, e.g. when they leave
+   * @param {Object} player - Player entity
+   */
+  cancelPlayerWaits(player) {
+    this.cancelWaits(run => run.context.player === player)
+  }
+
+  *executeStatements(statements, context) {
     for (const statement of statements) {
-      this.executeStatement(statement, context)
+      yield* this.executeStatement(statement, context)
     }
   }
 
-  executeStatement(statement, context) {
+  *executeStatement(statement, context) {
     switch (statement.type) {
       case 'assignment':
         this.executeAssignment(statement, context)
         break
       
+      case 'expression':
+        this.evaluateExpression(statement.expression, context)
+        break
+      
       case 'if':
-        this.executeIf(statement, context)
+        yield* this.executeIf(statement, context)
         break
       
       case 'give':
@@ -186,11 +396,23 @@ export class DSLInterpreter {
         break
       
       case 'wait':
-        this.executeWait(statement, context)
+        yield this.executeWait(statement, context)
+        break
+      
+      case 'applyEffect':
+        this.executeApplyEffect(statement, context)
+        break
+      
+      case 'openShop':
+        this.executeOpenShop(statement, context)
+        break
+      
+      case 'learnRecipe':
+        this.executeLearnRecipe(statement, context)
         break
       
       case 'script':
-        this.executeScript(statement, context)
+        yield* this.executeScript(statement, context)
         break
       
       default:
@@ -203,12 +425,12 @@ export class DSLInterpreter {
     this.variables.set(statement.variable, value)
   }
 
-  executeIf(statement, context) {
+  *executeIf(statement, context) {
     const condition = this.evaluateCondition(statement.condition, context)
     if (condition) {
-      this.executeStatements(statement.thenStatements, context)
+      yield* this.executeStatements(statement.thenStatements, context)
     } else if (statement.elseStatements) {
-      this.executeStatements(statement.elseStatements, context)
+      yield* this.executeStatements(statement.elseStatements, context)
     }
   }
 
@@ -233,6 +455,38 @@ export class DSLInterpreter {
     }
   }
 
+  executeApplyEffect(statement, context) {
+    const player = this.resolvePlayerRef(statement.player, context)
+    const effectId = this.evaluateExpression(statement.effect, context)
+    const duration = statement.duration !== null
+      ? this.evaluateExpression(statement.duration, context)
+      : undefined
+
+    if (player) {
+      this.room.effects.apply(player, effectId, { duration })
+    }
+  }
+
+  executeOpenShop(statement, context) {
+    const player = this.resolvePlayerRef(statement.player, context)
+    const shopId = this.evaluateExpression(statement.shop, context)
+
+    if (player && !this.room.shops.open(player, shopId, context.npc)) {
+      console.warn(`openShop: unknown shop "${shopId}"`)
+    }
+  }
+
+  executeLearnRecipe(statement, context) {
+    const player = this.resolvePlayerRef(statement.player, context)
+    const recipeId = this.evaluateExpression(statement.recipe, context)
+
+    if (player && !this.room.crafting.recipes.has(recipeId)) {
+      console.warn(`learnRecipe: unknown recipe "${recipeId}"`)
+    } else if (player) {
+      this.room.crafting.learn(player, recipeId)
+    }
+  }
+
   executeEmit(statement, context) {
     const channel = this.evaluateExpression(statement.channel, context)
     const message = this.evaluateExpression(statement.message, context)
@@ -240,74 +494,202 @@ export class DSLInterpreter {
     this.functions.get('emit')(channel, message, context)
   }
 
+  // Milliseconds to pause for; durations are in seconds
   executeWait(statement, context) {
-    const duration = this.evaluateExpression(statement.duration, context)
-    return this.functions.get('wait')(duration)
+    const duration = Number(this.evaluateExpression(statement.duration, context))
+    return Number.isFinite(duration) && duration > 0 ? duration * 1000 : 0
   }
 
-  executeScript(statement, context) {
-    // Execute JavaScript block with JSDoc types
+  /**
+   * Run a JavaScript block in the script sandbox
+   * The block sees copies of the event's player, npc and item, and the
+   * SCRIPT_ACTIONS functions. The handler pauses until the block has
+   * finished and its actions and changes to gold, health, mana and
+   * experience are applied, so later statements see them.
+   */
+  *executeScript(statement, context) {
+    if (!this.sandbox) this.sandbox = new ScriptSandbox()
+
+    const entities = {
+      player: this.snapshot(context.player),
+      npc: this.snapshot(context.npc),
+      item: this.snapshot(context.item)
+    }
+
+    let result
     try {
-      // Create a safe execution context
-      const safeContext = {
-        player: context.player,
-        npc: context.npc,
-        item: context.item,
-        client: context.client,
-        room: this.room,
-        ...Object.fromEntries(this.functions),
-        console: {
-          log: (...args) => console.log('[DSL Script]', ...args)
-        }
+      result = yield this.sandbox.run(statement.code, entities, SCRIPT_ACTIONS, statement.codeStart?.line)
+    } catch (error) {
+      // A failed block doesn't stop the rest of the handler
+      const diagnostic = createDiagnostic(`JavaScript: ${error.message}`, statement.range)
+      console.error(`Script block ${formatDiagnostic(diagnostic)}`)
+      return
+    }
+    this.applyScriptResult(result, context)
+  }
+
+  // Plain copy of an entity for the sandbox; inventory entries carry
+  // item names so scripts can count items either way
+  snapshot(entity) {
+    if (!entity) return null
+
+    const data = typeof entity.toJSON === 'function' ? entity.toJSON() : { ...entity }
+    if (Array.isArray(data.inventory)) {
+      data.inventory = data.inventory.map(entry => ({
+        ...entry,
+        name: this.room.items.get(entry.itemId)?.name
+      }))
+    }
+    return JSON.parse(JSON.stringify(data))
+  }
+
+  applyScriptResult({ actions = [], changes = {}, logs = [] }, context) {
+    for (const line of logs) {
+      console.log('[DSL Script]', line)
+    }
+
+    // Entities may have left the room while the script ran
+    const live = {
+      player: this.room.state.players.get(context.player?.id) === context.player ? context.player : null,
+      npc: this.room.state.npcs.get(context.npc?.id) === context.npc ? context.npc : null,
+      item: context.item || null
+    }
+
+    for (const [name, fields] of Object.entries(changes)) {
+      if (live[name] && name !== 'item') this.applyStatChanges(live[name], fields)
+    }
+
+    for (const [name, args] of actions) {
+      if (!SCRIPT_ACTIONS.includes(name) || !Array.isArray(args)) continue
+
+      const resolved = args.map(arg => arg?.$entity ? live[arg.$entity] : arg)
+      if (resolved.some((arg, index) => args[index]?.$entity && !arg)) continue
+      try {
+        this.functions.get(name)(...resolved)
+      } catch (error) {
+        console.error(`Error applying script action ${name}:`, error)
       }
+    }
+  }
 
-      // Execute the JavaScript code
-      const fn = new Function(...Object.keys(safeContext), statement.code)
-      fn(...Object.values(safeContext))
-    } catch (error) {
-      console.error('Error executing script block:', error)
+  applyStatChanges(entity, fields) {
+    for (const [field, delta] of Object.entries(fields)) {
+      if (typeof delta !== 'number' || !Number.isFinite(delta)) continue
+
+      switch (field) {
+        case 'gold':
+          entity.gold = Math.max(0, (entity.gold || 0) + delta)
+          break
+        case 'experience':
+          entity.experience = Math.max(0, entity.experience + delta)
+          if (entity.characterId) this.checkLevelUp(entity)
+          break
+        case 'health':
+          // Damage goes through combat so scripts can kill
+          if (delta < 0) this.room.combat.applyDamage(entity, -delta)
+          else entity.health = Math.min(entity.maxHealth, entity.health + delta)
+          break
+        case 'mana':
+          entity.mana = Math.min(entity.maxMana, Math.max(0, entity.mana + delta))
+          break
+      }
     }
   }
 
+  /**
+   * Stop the script sandbox
+   */
+  dispose() {
+    this.cancelWaits()
+    this.sandbox?.dispose()
+  }
+
   evaluateCondition(condition, context) {
-    const left = this.evaluateExpression(condition.left, context)
-    const right = this.evaluateExpression(condition.right, context)
-    
-    switch (condition.operator) {
+    return Boolean(this.evaluateExpression(condition, context))
+  }
+
+  /**
+   * Evaluate an expression node produced by the parser
+   * @param {Object} expression - Expression node
+   * @param {Object} context - Event context
+   * @returns {*} Value of the expression
+   */
+  evaluateExpression(expression, context) {
+    switch (expression.type) {
+      case 'literal':
+        return expression.value
+
+      case 'identifier':
+        return this.resolveIdentifier(expression.name, context)
+
+      case 'member':
+        return this.evaluateExpression(expression.object, context)?.[expression.property]
+
+      case 'index': {
+        const object = this.evaluateExpression(expression.object, context)
+        return object?.[this.evaluateExpression(expression.index, context)]
+      }
+
+      case 'call': {
+        const fn = this.functions.get(expression.callee)
+        if (!fn) throw new Error(`Unknown function: ${expression.callee}`)
+
+        const args = expression.args.map(arg => this.evaluateExpression(arg, context))
+        return fn(...args)
+      }
+
+      case 'unary': {
+        const value = this.evaluateExpression(expression.argument, context)
+        return expression.operator === '-' ? -value : !value
+      }
+
+      case 'logical': {
+        // Short-circuits like JavaScript, so `npc && npc.name` is safe
+        const left = this.evaluateExpression(expression.left, context)
+        if (expression.operator === '&&') {
+          return left ? this.evaluateExpression(expression.right, context) : left
+        }
+        return left ? left : this.evaluateExpression(expression.right, context)
+      }
+
+      case 'binary':
+        return this.evaluateBinary(
+          expression.operator,
+          this.evaluateExpression(expression.left, context),
+          this.evaluateExpression(expression.right, context)
+        )
+
+      default:
+        throw new Error(`Unknown expression type: ${expression.type}`)
+    }
+  }
+
+  evaluateBinary(operator, left, right) {
+    switch (operator) {
+      case '+': return left + right
+      case '-': return left - right
+      case '*': return left * right
+      case '/': return left / right
+      case '%': return left % right
       case '==': return left == right
       case '!=': return left != right
       case '>': return left > right
       case '<': return left < right
       case '>=': return left >= right
       case '<=': return left <= right
-      default: return false
+      default: throw new Error(`Unknown operator: ${operator}`)
     }
   }
 
-  evaluateExpression(expression, context) {
-    if (typeof expression === 'string') {
-      // Check if it's a variable reference
-      if (expression.startsWith('$')) {
-        const varName = expression.slice(1)
-        return this.variables.get(varName) || context[varName]
-      }
-      // Check if it's a property access
-      if (expression.includes('.')) {
-        const parts = expression.split('.')
-        let value = context[parts[0]]
-        for (let i = 1; i < parts.length; i++) {
-          value = value?.[parts[i]]
-        }
-        return value
-      }
-      return expression
-    }
-    
-    if (typeof expression === 'number') {
-      return expression
+  // Names read from the event context first, then script variables;
+  // `$name` is the explicit variable form
+  resolveIdentifier(name, context) {
+    if (name.startsWith('$')) {
+      const varName = name.slice(1)
+      return this.variables.get(varName) ?? context[varName]
     }
-    
-    return expression
+    if (context[name] !== undefined) return context[name]
+    return this.variables.get(name)
   }
 
   resolvePlayerRef(playerRef, context) {
@@ -321,127 +703,55 @@ export class DSLInterpreter {
 
   // Built-in function implementations
   giveItem(player, itemId, quantity) {
-    // Add item to player inventory
-    const existingItem = player.inventory.find(item => item.itemId === itemId)
-    
-    if (existingItem) {
-      existingItem.quantity += quantity
-    } else {
-      // Find empty slot
-      let emptySlot = -1
-      for (let i = 0; i < 20; i++) {
-        if (!player.inventory.find(item => item.slot === i)) {
-          emptySlot = i
-          break
-        }
-      }
-      
-      if (emptySlot !== -1) {
-        player.inventory.push({
-          slot: emptySlot,
-          itemId: itemId,
-          quantity: quantity
-        })
-      }
-    }
-    
-    // Notify client
+    const result = addItem(player, this.room.items, itemId, quantity)
     const client = this.room.clients.find(c => c.sessionId === player.id)
-    if (client) {
-      client.send('itemReceived', { itemId, quantity })
+
+    if (!result.success) {
+      client?.send('inventoryFull', { itemId, quantity, reason: result.reason })
+      return false
     }
-    
+
+    // Notify client
+    client?.send('itemReceived', { itemId: result.itemId, quantity })
+    this.room.quests.onInventoryChanged(player)
     return true
   }
 
   warp(player, mapId, x, y) {
-    // Update player position
-    player.x = x
-    player.y = y
-    player.mapId = mapId
-    
-    // Notify client
-    const client = this.room.clients.find(c => c.sessionId === player.id)
-    if (client) {
-      client.send('warp', { mapId, x, y })
-    }
-    
+    // The room moves the player in place or hands it off to the map's room
+    this.room.transferPlayer(player, mapId, x, y)
     return true
   }
 
   spawnNPC(npcId, x, y, data) {
     // Create NPC instance
-    const npc = {
-      id: npcId,
-      x: x,
-      y: y,
-      health: 100,
-      maxHealth: 100,
-      ...data
-    }
+    const npc = createNPC({ ...data, id: npcId, x, y }, this.room.mapId)
     
-    this.room.state.npcs.set(npcId, npc)
+    this.room.addNPC(npc)
     return true
   }
 
   spawnItem(itemId, x, y, data) {
     // Create world item instance
-    const item = {
+    const item = createItem({
+      ...data,
       id: `${itemId}_${Date.now()}`,
       itemId: itemId,
       x: x,
-      y: y,
-      ...data
-    }
+      y: y
+    }, this.room.mapId)
     
-    this.room.state.worldItems.set(item.id, item)
+    this.room.addWorldItem(item)
     return true
   }
 
   startQuest(player, questId) {
-    if (!player.activeQuests) {
-      player.activeQuests = []
-    }
-    
-    if (!player.activeQuests.includes(questId)) {
-      player.activeQuests.push(questId)
-      
-      // Notify client
-      const client = this.room.clients.find(c => c.sessionId === player.id)
-      if (client) {
-        client.send('questStarted', { questId })
-      }
-    }
-    
-    return true
+    return !this.room.quests.start(player, questId)
   }
 
   completeQuest(player, questId) {
-    if (player.activeQuests) {
-      const index = player.activeQuests.indexOf(questId)
-      if (index !== -1) {
-        player.activeQuests.splice(index, 1)
-        
-        if (!player.completedQuests) {
-          player.completedQuests = []
-        }
-        player.completedQuests.push(questId)
-        
-        // Notify client
-        const client = this.room.clients.find(c => c.sessionId === player.id)
-        if (client) {
-          client.send('questCompleted', { questId })
-        }
-        
-        // Fire questComplete event
-        this.fireEvent('questComplete', {
-          player: player,
-          questId: questId
-        })
-      }
-    }
-    
-    return true
+    // Scripts decide themselves when a quest is done
+    return !this.room.quests.complete(player, questId, { force: true })
   }
 
   checkLevelUp(player) {
@@ -469,4 +779,17 @@ export class DSLInterpreter {
       })
     }
   }
+}
+
+// Every node of a type in an AST
+function collectNodes(node, type, found = []) {
+  if (Array.isArray(node)) {
+    for (const child of node) collectNodes(child, type, found)
+  } else if (node && typeof node === 'object') {
+    if (node.type === type) found.push(node)
+    for (const [key, child] of Object.entries(node)) {
+      if (key !== 'range' && key !== 'codeStart') collectNodes(child, type, found)
+    }
+  }
+  return found
 }
\ No newline at end of file
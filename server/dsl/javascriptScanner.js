@@ -0,0 +1,156 @@
+/**
+ * @file JavaScript scanner
+ * @description Finds where the JavaScript of a DSL `script {}` block ends
+ * without tokenizing it, so the block's source can be kept exactly as
+ * written. Braces are counted outside of strings, template literals,
+ * comments and regular expression literals.
+ */
+
+// Words after which a `/` starts a regular expression rather than a division
+const REGEX_KEYWORDS = [
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await'
+]
+
+/**
+ * Find the `}` closing a block of JavaScript
+ * @param {string} source - Source text
+ * @param {number} start - Offset just past the block's `{`
+ * @returns {number} Offset of the closing `}`, or -1 when the block (or a
+ * string, comment or template in it) is never closed
+ */
+export function findBlockEnd(source, start) {
+  let depth = 0
+  let regexAllowed = true
+  let i = start
+
+  while (i < source.length) {
+    const char = source[i]
+
+    if (/\s/.test(char)) {
+      i++
+      continue
+    }
+
+    if (char === '/' && source[i + 1] === '/') {
+      const end = source.indexOf('\n', i)
+      i = end === -1 ? source.length : end
+      continue
+    }
+
+    if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2)
+      if (end === -1) return -1
+      i = end + 2
+      continue
+    }
+
+    if (char === '"' || char === "'") {
+      i = skipString(source, i)
+      if (i === -1) return -1
+      regexAllowed = false
+      continue
+    }
+
+    if (char === '`') {
+      i = skipTemplate(source, i)
+      if (i === -1) return -1
+      regexAllowed = false
+      continue
+    }
+
+    if (char === '/' && regexAllowed) {
+      i = skipRegex(source, i)
+      if (i === -1) return -1
+      regexAllowed = false
+      continue
+    }
+
+    if (/[\w$]/.test(char)) {
+      let word = ''
+      while (i < source.length && /[\w$]/.test(source[i])) {
+        word += source[i]
+        i++
+      }
+      regexAllowed = REGEX_KEYWORDS.includes(word)
+      continue
+    }
+
+    if (char === '{') {
+      depth++
+    } else if (char === '}') {
+      if (depth === 0) return i
+      depth--
+    }
+
+    // After a value a `/` divides; after any other punctuation it starts a regex
+    regexAllowed = char !== ')' && char !== ']'
+    i++
+  }
+
+  return -1
+}
+
+// Offset just past a quoted string, or -1 when it isn't closed on its line
+function skipString(source, start) {
+  const quote = source[start]
+  let i = start + 1
+
+  while (i < source.length) {
+    const char = source[i]
+    if (char === '\\') {
+      i += 2
+      continue
+    }
+    if (char === quote) return i + 1
+    if (char === '\n') return -1
+    i++
+  }
+  return -1
+}
+
+// Offset just past a template literal, including its `${}` expressions
+function skipTemplate(source, start) {
+  let i = start + 1
+
+  while (i < source.length) {
+    const char = source[i]
+    if (char === '\\') {
+      i += 2
+      continue
+    }
+    if (char === '`') return i + 1
+    if (char === '$' && source[i + 1] === '{') {
+      const end = findBlockEnd(source, i + 2)
+      if (end === -1) return -1
+      i = end + 1
+      continue
+    }
+    i++
+  }
+  return -1
+}
+
+// Offset just past a regular expression literal and its flags
+function skipRegex(source, start) {
+  let inClass = false
+  let i = start + 1
+
+  while (i < source.length) {
+    const char = source[i]
+    if (char === '\\') {
+      i += 2
+      continue
+    }
+    if (char === '\n') return -1
+    if (char === '[') inClass = true
+    else if (char === ']') inClass = false
+    else if (char === '/' && !inClass) {
+      i++
+      while (i < source.length && /\w/.test(source[i])) i++
+      return i
+    }
+    i++
+  }
+  return -1
+}
@@ -4,16 +4,77 @@
  * 
  * script := { event_block } ;
  * event_block := 'on' event_name '{' { statement } '}' ;
- * statement := assignment | if_stmt | give | warp | emit | wait | script_block ;
+ * statement := assignment | call_stmt | if_stmt | give | warp | emit | wait | apply_effect
+ *   | open_shop | learn_recipe | script_block ;
+ * call_stmt := call ';' ;
+ * apply_effect := 'applyEffect' player_ref expression [ expression ] ';' ;
+ * open_shop := 'openShop' player_ref expression ';' ;
+ * learn_recipe := 'learnRecipe' player_ref expression ';' ;
+ * script_block := 'script' '{' <JavaScript, kept as written> '}' ;
+ *
+ * expression := unary { binary_op unary } ;   (precedence climbing, see BINARY_PRECEDENCE)
+ * unary := ( '-' | '!' ) unary | postfix ;
+ * postfix := primary { '.' identifier | '[' expression ']' } ;
+ * primary := number | string | 'true' | 'false' | call | identifier | '(' expression ')' ;
+ * call := identifier '(' [ expression { ',' expression } ] ')' ;
+ *
+ * Expressions parse into typed nodes that the interpreter evaluates:
+ * literal, identifier, member, index, call, unary, binary and logical.
+ *
+ * Every token, statement and expression node carries its source `range`
+ * (see diagnostics.js). Syntax errors don't stop the parse: each is
+ * recorded as a diagnostic and parsing resumes at the next statement or
+ * event block, so one typo doesn't hide the rest.
  */
+
+import { DSLSyntaxError, createDiagnostic, closestMatch } from './diagnostics.js'
+import { findBlockEnd } from './javascriptScanner.js'
+
+const KEYWORDS = [
+  'on', 'if', 'else', 'give', 'warp', 'emit', 'wait', 'script', 'applyEffect', 'openShop', 'learnRecipe',
+  'player', 'npc', 'item', 'true', 'false'
+]
+
+// Binding power of binary operators by token type; higher binds tighter
+const BINARY_PRECEDENCE = {
+  OR: 1,
+  AND: 2,
+  EQ: 3, NEQ: 3,
+  LT: 4, GT: 4, LTE: 4, GTE: 4,
+  PLUS: 5, MINUS: 5,
+  MULTIPLY: 6, DIVIDE: 6, MODULO: 6
+}
+
+// Context names that are keywords but read like any other identifier
+const NAME_KEYWORDS = ['PLAYER', 'NPC', 'ITEM']
+
+const STATEMENT_KEYWORDS = [
+  'if', 'give', 'warp', 'emit', 'wait', 'script', 'applyEffect', 'openShop', 'learnRecipe'
+]
+
+// Source text of punctuation tokens, for error messages
+const TOKEN_TEXT = {
+  LBRACE: '{', RBRACE: '}', LPAREN: '(', RPAREN: ')', LBRACKET: '[', RBRACKET: ']',
+  SEMICOLON: ';', COMMA: ',', ASSIGN: '=', DOT: '.'
+}
+
 export class DSLParser {
   constructor() {
     this.position = 0
     this.tokens = []
     this.current = null
+    this.lineStarts = [0]
+    this.diagnostics = []
   }
 
+  /**
+   * Parse a script
+   * @param {string} source - Script source
+   * @returns {Object} `{ events, diagnostics }`; when there are error
+   * diagnostics, events hold only the parts that parsed cleanly
+   */
   parse(source) {
+    this.diagnostics = []
     this.tokens = this.tokenize(source)
     this.position = 0
     this.current = this.tokens[0]
@@ -24,9 +85,20 @@ export class DSLParser {
   tokenize(source) {
     const tokens = []
     let i = 0
+    let start = 0
+    // Tokens run from `start` to `end`; operators end after their text
+    const push = (token, end = start + token.value.length) => {
+      tokens.push({ ...token, start: this.positionAt(start), end: this.positionAt(end) })
+    }
+
+    this.lineStarts = [0]
+    for (let offset = 0; offset < source.length; offset++) {
+      if (source[offset] === '\n') this.lineStarts.push(offset + 1)
+    }
     
     while (i < source.length) {
       const char = source[i]
+      start = i
       
       // Skip whitespace
       if (/\s/.test(char)) {
@@ -44,13 +116,13 @@ export class DSLParser {
       
       // Block comments
       if (char === '/' && source[i + 1] === '*') {
-        i += 2
-        while (i < source.length - 1) {
-          if (source[i] === '*' && source[i + 1] === '/') {
-            i += 2
-            break
-          }
-          i++
+        const end = source.indexOf('*/', i + 2)
+        if (end === -1) {
+          this.report(new DSLSyntaxError('Unterminated comment', this.rangeOf(i, i + 2),
+            'Close the comment with `*/`'))
+          i = source.length
+        } else {
+          i = end + 2
         }
         continue
       }
@@ -81,19 +153,38 @@ export class DSLParser {
           i++
         }
         
-        tokens.push({ type: 'STRING', value })
+        if (i >= source.length) {
+          this.report(new DSLSyntaxError('Unterminated string', this.rangeOf(start, i),
+            `Close the string with ${quote}`))
+        }
         i++
+        push({ type: 'STRING', value }, Math.min(i, source.length))
         continue
       }
       
-      // Numbers
+      // Numbers, with at most one decimal point
       if (/\d/.test(char)) {
         let value = ''
-        while (i < source.length && /[\d.]/.test(source[i])) {
+        while (i < source.length && /\d/.test(source[i])) {
           value += source[i]
           i++
         }
-        tokens.push({ type: 'NUMBER', value: parseFloat(value) })
+        if (source[i] === '.' && /\d/.test(source[i + 1])) {
+          value += source[i]
+          i++
+          while (i < source.length && /\d/.test(source[i])) {
+            value += source[i]
+            i++
+          }
+        }
+        push({ type: 'NUMBER', value: parseFloat(value) }, i)
+
+        // `1.2.3`: the second point can't continue the number
+        while (source[i] === '.' && /\d/.test(source[i + 1])) {
+          this.reportCharacter('.', i, 'A number has at most one decimal point')
+          i++
+          while (i < source.length && /\d/.test(source[i])) i++
+        }
         continue
       }
       
@@ -106,75 +197,131 @@ export class DSLParser {
         }
         
         // Check for keywords
-        const keywords = [
-          'on', 'if', 'else', 'give', 'warp', 'emit', 'wait', 'script',
-          'player', 'npc', 'item', 'true', 'false'
-        ]
-        
-        if (keywords.includes(value)) {
-          tokens.push({ type: value.toUpperCase(), value })
+        if (KEYWORDS.includes(value)) {
+          push({ type: value.toUpperCase(), value })
         } else {
-          tokens.push({ type: 'IDENTIFIER', value })
+          push({ type: 'IDENTIFIER', value })
+        }
+
+        // The JavaScript of a script block is kept as written, up to the
+        // brace that closes it; an unclosed block runs to the end
+        const brace = value === 'script' ? this.skipTrivia(source, i) : -1
+        if (source[brace] === '{') {
+          start = brace
+          push({ type: 'LBRACE', value: '{' })
+
+          const end = findBlockEnd(source, brace + 1)
+          start = brace + 1
+          i = end === -1 ? source.length : end
+          push({ type: 'SCRIPT_BODY', value: source.slice(start, i) }, i)
+
+          if (end !== -1) {
+            start = end
+            push({ type: 'RBRACE', value: '}' })
+            i = end + 1
+          }
         }
         continue
       }
       
       // Operators and punctuation
       switch (char) {
-        case '{': tokens.push({ type: 'LBRACE', value: char }); break
-        case '}': tokens.push({ type: 'RBRACE', value: char }); break
-        case '(': tokens.push({ type: 'LPAREN', value: char }); break
-        case ')': tokens.push({ type: 'RPAREN', value: char }); break
-        case ';': tokens.push({ type: 'SEMICOLON', value: char }); break
-        case ',': tokens.push({ type: 'COMMA', value: char }); break
+        case '{': push({ type: 'LBRACE', value: char }); break
+        case '}': push({ type: 'RBRACE', value: char }); break
+        case '(': push({ type: 'LPAREN', value: char }); break
+        case ')': push({ type: 'RPAREN', value: char }); break
+        case '[': push({ type: 'LBRACKET', value: char }); break
+        case ']': push({ type: 'RBRACKET', value: char }); break
+        case ';': push({ type: 'SEMICOLON', value: char }); break
+        case ',': push({ type: 'COMMA', value: char }); break
         case '=':
           if (source[i + 1] === '=') {
-            tokens.push({ type: 'EQ', value: '==' })
+            push({ type: 'EQ', value: '==' })
             i++
           } else {
-            tokens.push({ type: 'ASSIGN', value: char })
+            push({ type: 'ASSIGN', value: char })
           }
           break
         case '!':
           if (source[i + 1] === '=') {
-            tokens.push({ type: 'NEQ', value: '!=' })
+            push({ type: 'NEQ', value: '!=' })
             i++
           } else {
-            tokens.push({ type: 'NOT', value: char })
+            push({ type: 'NOT', value: char })
           }
           break
         case '<':
           if (source[i + 1] === '=') {
-            tokens.push({ type: 'LTE', value: '<=' })
+            push({ type: 'LTE', value: '<=' })
             i++
           } else {
-            tokens.push({ type: 'LT', value: char })
+            push({ type: 'LT', value: char })
           }
           break
         case '>':
           if (source[i + 1] === '=') {
-            tokens.push({ type: 'GTE', value: '>=' })
+            push({ type: 'GTE', value: '>=' })
             i++
           } else {
-            tokens.push({ type: 'GT', value: char })
+            push({ type: 'GT', value: char })
           }
           break
-        case '+': tokens.push({ type: 'PLUS', value: char }); break
-        case '-': tokens.push({ type: 'MINUS', value: char }); break
-        case '*': tokens.push({ type: 'MULTIPLY', value: char }); break
-        case '/': tokens.push({ type: 'DIVIDE', value: char }); break
-        case '.': tokens.push({ type: 'DOT', value: char }); break
+        case '+': push({ type: 'PLUS', value: char }); break
+        case '-': push({ type: 'MINUS', value: char }); break
+        case '*': push({ type: 'MULTIPLY', value: char }); break
+        case '/': push({ type: 'DIVIDE', value: char }); break
+        case '%': push({ type: 'MODULO', value: char }); break
+        case '&':
+          if (source[i + 1] !== '&') {
+            this.reportCharacter(char, i, 'Use `&&` for "and"')
+            break
+          }
+          push({ type: 'AND', value: '&&' })
+          i++
+          break
+        case '|':
+          if (source[i + 1] !== '|') {
+            this.reportCharacter(char, i, 'Use `||` for "or"')
+            break
+          }
+          push({ type: 'OR', value: '||' })
+          i++
+          break
+        case '.': push({ type: 'DOT', value: char }); break
         default:
-          throw new Error(`Unexpected character: ${char} at position ${i}`)
+          this.reportCharacter(char, i)
       }
       
       i++
     }
     
-    tokens.push({ type: 'EOF', value: null })
+    tokens.push({
+      type: 'EOF',
+      value: null,
+      start: this.positionAt(source.length),
+      end: this.positionAt(source.length)
+    })
     return tokens
   }
 
+  // Offset of the first character after whitespace and comments
+  skipTrivia(source, offset) {
+    while (offset < source.length) {
+      if (/\s/.test(source[offset])) {
+        offset++
+      } else if (source.startsWith('//', offset)) {
+        const end = source.indexOf('\n', offset)
+        offset = end === -1 ? source.length : end
+      } else if (source.startsWith('/*', offset)) {
+        const end = source.indexOf('*/', offset + 2)
+        offset = end === -1 ? source.length : end + 2
+      } else {
+        break
+      }
+    }
+    return offset
+  }
+
   advance() {
     this.position++
     if (this.position < this.tokens.length) {
@@ -183,9 +330,21 @@ export class DSLParser {
     return this.current
   }
 
+  peek(offset = 1) {
+    return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)]
+  }
+
+  previous() {
+    return this.tokens[Math.max(this.position - 1, 0)]
+  }
+
   expect(tokenType) {
     if (this.current.type !== tokenType) {
-      throw new Error(`Expected ${tokenType}, got ${this.current.type}`)
+      // A missing `;` is best pointed out where the statement ends
+      if (tokenType === 'SEMICOLON' && this.position > 0) {
+        throw this.error('Missing `;`', this.previous(), 'Add `;` at the end of the statement')
+      }
+      throw this.error(`Expected ${this.label(tokenType)} but found ${this.describe(this.current)}`)
     }
     const token = this.current
     this.advance()
@@ -196,53 +355,158 @@ export class DSLParser {
     const events = []
     
     while (this.current.type !== 'EOF') {
-      if (this.current.type === 'ON') {
+      const start = this.position
+      try {
+        if (this.current.type !== 'ON') {
+          throw this.error(`Expected \`on\` but found ${this.describe(this.current)}`, this.current,
+            'Scripts are made of `on <event> { ... }` blocks')
+        }
         events.push(this.parseEventBlock())
-      } else {
-        throw new Error(`Unexpected token: ${this.current.type}`)
+      } catch (error) {
+        if (!(error instanceof DSLSyntaxError)) throw error
+        this.report(error)
+
+        // Resume at the next event block
+        if (this.position === start) this.advance()
+        while (this.current.type !== 'ON' && this.current.type !== 'EOF') {
+          this.advance()
+        }
       }
     }
     
-    return { events }
+    // Tokenizer errors were recorded first; list everything in source order
+    this.diagnostics.sort((a, b) => a.range.start.offset - b.range.start.offset)
+    return { events, diagnostics: this.diagnostics }
   }
 
   parseEventBlock() {
+    const start = this.current.start
     this.expect('ON')
-    const eventName = this.expect('IDENTIFIER').value
-    this.expect('LBRACE')
-    
-    const statements = []
-    while (this.current.type !== 'RBRACE') {
-      statements.push(this.parseStatement())
+    if (this.current.type !== 'IDENTIFIER') {
+      throw this.error(`Expected an event name after \`on\` but found ${this.describe(this.current)}`)
     }
+    const eventName = this.current.value
+    this.advance()
+    const statements = this.parseBlock()
     
-    this.expect('RBRACE')
-    
-    return {
+    return this.finish({
       event: eventName,
       statements
+    }, start)
+  }
+
+  /**
+   * Parse `{ statements }`
+   * A statement with a syntax error is reported and skipped, and parsing
+   * carries on with the next one.
+   * @returns {Array<Object>} Statements that parsed
+   */
+  parseBlock() {
+    this.expect('LBRACE')
+
+    const statements = []
+    // A stray `on` means the block was never closed
+    while (!['RBRACE', 'ON', 'EOF'].includes(this.current.type)) {
+      const start = this.position
+      try {
+        statements.push(this.parseStatement())
+      } catch (error) {
+        if (!(error instanceof DSLSyntaxError)) throw error
+        this.report(error)
+        this.synchronize(start)
+      }
+    }
+
+    if (this.current.type !== 'RBRACE') {
+      throw this.error(`Expected \`}\` but found ${this.describe(this.current)}`, this.current,
+        'Close the block with `}`')
+    }
+    this.advance()
+    return statements
+  }
+
+  /**
+   * Skip past a broken statement: up to its `;`, or past the block it
+   * opened (and any `else` block), stopping before the enclosing `}`
+   * @param {number} start - Token index the statement started at
+   */
+  synchronize(start) {
+    if (this.position === start) this.advance()
+
+    let depth = 0
+    while (this.current.type !== 'EOF' && this.current.type !== 'ON') {
+      const type = this.current.type
+      if (type === 'SEMICOLON' && depth === 0) {
+        this.advance()
+        return
+      }
+      if (type === 'RBRACE') {
+        if (depth === 0) return
+        depth--
+        this.advance()
+        if (depth === 0 && this.current.type !== 'ELSE') return
+        continue
+      }
+      if (type === 'LBRACE') depth++
+      this.advance()
     }
   }
 
   parseStatement() {
+    const start = this.current.start
+    let statement
+
     switch (this.current.type) {
-      case 'IDENTIFIER':
-        return this.parseAssignment()
+      case 'IDENTIFIER': {
+        const next = this.peek().type
+        if (next === 'LPAREN') {
+          statement = this.parseCallStatement()
+        } else if (next === 'ASSIGN') {
+          statement = this.parseAssignment()
+        } else {
+          const keyword = closestMatch(this.current.value, STATEMENT_KEYWORDS)
+          throw this.error(`Unknown statement \`${this.current.value}\``, this.current,
+            keyword
+              ? `Did you mean \`${keyword}\`?`
+              : 'Statements start with a keyword, a function call or `name =`')
+        }
+        break
+      }
       case 'IF':
-        return this.parseIfStatement()
+        statement = this.parseIfStatement()
+        break
       case 'GIVE':
-        return this.parseGiveStatement()
+        statement = this.parseGiveStatement()
+        break
       case 'WARP':
-        return this.parseWarpStatement()
+        statement = this.parseWarpStatement()
+        break
       case 'EMIT':
-        return this.parseEmitStatement()
+        statement = this.parseEmitStatement()
+        break
       case 'WAIT':
-        return this.parseWaitStatement()
+        statement = this.parseWaitStatement()
+        break
+      case 'APPLYEFFECT':
+        statement = this.parseApplyEffectStatement()
+        break
+      case 'OPENSHOP':
+        statement = this.parseOpenShopStatement()
+        break
+      case 'LEARNRECIPE':
+        statement = this.parseLearnRecipeStatement()
+        break
       case 'SCRIPT':
-        return this.parseScriptBlock()
+        statement = this.parseScriptBlock()
+        break
+      case 'ELSE':
+        throw this.error('`else` without `if`', this.current,
+          '`else` must follow the closing `}` of an `if` block')
       default:
-        throw new Error(`Unexpected statement: ${this.current.type}`)
+        throw this.error(`Unexpected ${this.describe(this.current)} at the start of a statement`)
     }
+
+    return this.finish(statement, start)
   }
 
   parseAssignment() {
@@ -258,28 +522,27 @@ export class DSLParser {
     }
   }
 
+  parseCallStatement() {
+    const expression = this.parseExpression()
+    this.expect('SEMICOLON')
+
+    return {
+      type: 'expression',
+      expression
+    }
+  }
+
   parseIfStatement() {
     this.expect('IF')
     this.expect('LPAREN')
     const condition = this.parseCondition()
     this.expect('RPAREN')
-    this.expect('LBRACE')
-    
-    const thenStatements = []
-    while (this.current.type !== 'RBRACE') {
-      thenStatements.push(this.parseStatement())
-    }
-    this.expect('RBRACE')
+    const thenStatements = this.parseBlock()
     
     let elseStatements = null
     if (this.current.type === 'ELSE') {
       this.advance()
-      this.expect('LBRACE')
-      elseStatements = []
-      while (this.current.type !== 'RBRACE') {
-        elseStatements.push(this.parseStatement())
-      }
-      this.expect('RBRACE')
+      elseStatements = this.parseBlock()
     }
     
     return {
@@ -293,7 +556,7 @@ export class DSLParser {
   parseGiveStatement() {
     this.expect('GIVE')
     const player = this.parsePlayerRef()
-    const item = this.parseExpression()
+    const item = this.parseArgument()
     const quantity = this.parseExpression()
     this.expect('SEMICOLON')
     
@@ -308,8 +571,8 @@ export class DSLParser {
   parseWarpStatement() {
     this.expect('WARP')
     const player = this.parsePlayerRef()
-    const mapId = this.parseExpression()
-    const x = this.parseExpression()
+    const mapId = this.parseArgument()
+    const x = this.parseArgument()
     const y = this.parseExpression()
     this.expect('SEMICOLON')
     
@@ -347,101 +610,210 @@ export class DSLParser {
     }
   }
 
+  parseApplyEffectStatement() {
+    this.expect('APPLYEFFECT')
+    const player = this.parsePlayerRef()
+    const effect = this.parseArgument()
+
+    // Duration in seconds is optional and defaults to the effect's own
+    let duration = null
+    if (this.current.type !== 'SEMICOLON') {
+      duration = this.parseExpression()
+    }
+    this.expect('SEMICOLON')
+
+    return {
+      type: 'applyEffect',
+      player,
+      effect,
+      duration
+    }
+  }
+
+  parseOpenShopStatement() {
+    this.expect('OPENSHOP')
+    const player = this.parsePlayerRef()
+    const shop = this.parseExpression()
+    this.expect('SEMICOLON')
+
+    return {
+      type: 'openShop',
+      player,
+      shop
+    }
+  }
+
+  parseLearnRecipeStatement() {
+    this.expect('LEARNRECIPE')
+    const player = this.parsePlayerRef()
+    const recipe = this.parseExpression()
+    this.expect('SEMICOLON')
+
+    return {
+      type: 'learnRecipe',
+      player,
+      recipe
+    }
+  }
+
+  // The tokenizer hands over the block's JavaScript as one SCRIPT_BODY token
   parseScriptBlock() {
+    const scriptToken = this.current
     this.expect('SCRIPT')
     this.expect('LBRACE')
-    
-    // Collect everything until the closing brace as JavaScript code
-    let code = ''
-    let braceCount = 1
-    
-    while (braceCount > 0 && this.current.type !== 'EOF') {
-      if (this.current.type === 'LBRACE') {
-        braceCount++
-      } else if (this.current.type === 'RBRACE') {
-        braceCount--
-      }
-      
-      if (braceCount > 0) {
-        if (this.current.type === 'STRING') {
-          code += `"${this.current.value}"`
-        } else if (this.current.type === 'NUMBER') {
-          code += this.current.value
-        } else {
-          code += this.current.value
-        }
-        code += ' '
-      }
-      
-      this.advance()
+    const body = this.expect('SCRIPT_BODY')
+
+    if (this.current.type !== 'RBRACE') {
+      throw this.error('Unterminated `script` block', scriptToken,
+        'Close the block with `}`, and check for unclosed strings or comments in it')
     }
+    this.advance()
     
     return {
       type: 'script',
-      code: code.trim()
+      code: body.value,
+      // Where the code starts, so errors in it can be placed in the script
+      codeStart: body.start
     }
   }
 
+  /**
+   * Parse a statement argument followed by another one, side by side
+   * Binary operators would run into the next argument (`warp player "d"
+   * 10 -5` is not `10 - 5`), so only unary and postfix forms are read;
+   * arithmetic needs parentheses.
+   * @returns {Object} Expression node
+   */
+  parseArgument() {
+    return this.parseUnary()
+  }
+
   parseCondition() {
-    const left = this.parseExpression()
-    const operator = this.parseOperator()
-    const right = this.parseExpression()
-    
-    return {
-      left,
-      operator,
-      right
-    }
+    return this.parseExpression()
   }
 
-  parseOperator() {
-    const operators = ['EQ', 'NEQ', 'LT', 'GT', 'LTE', 'GTE']
-    if (operators.includes(this.current.type)) {
-      const op = this.current.value
+  /**
+   * Parse an expression by precedence climbing
+   * Operands are parsed first, then binary operators binding at least as
+   * tightly as `minPrecedence` are folded in left to right.
+   * @param {number} [minPrecedence] - Weakest operator to consume
+   * @returns {Object} Expression node
+   */
+  parseExpression(minPrecedence = 1) {
+    let left = this.parseUnary()
+
+    while (BINARY_PRECEDENCE[this.current.type] >= minPrecedence) {
+      const precedence = BINARY_PRECEDENCE[this.current.type]
+      const operator = this.current.value
       this.advance()
-      return op
+
+      const right = this.parseExpression(precedence + 1)
+      left = {
+        type: operator === '&&' || operator === '||' ? 'logical' : 'binary',
+        operator,
+        left,
+        right,
+        range: { start: left.range.start, end: right.range.end }
+      }
     }
-    throw new Error(`Expected operator, got ${this.current.type}`)
+
+    return left
   }
 
-  parseExpression() {
-    // Simple expression parsing - can be extended for complex expressions
-    if (this.current.type === 'STRING') {
-      const value = this.current.value
+  parseUnary() {
+    if (this.current.type === 'MINUS' || this.current.type === 'NOT') {
+      const start = this.current.start
+      const operator = this.current.value
       this.advance()
-      return value
+      return this.finish({ type: 'unary', operator, argument: this.parseUnary() }, start)
     }
-    
-    if (this.current.type === 'NUMBER') {
-      const value = this.current.value
-      this.advance()
-      return value
+
+    return this.parsePostfix()
+  }
+
+  // Member (`a.b`) and index (`a[b]`) access after a primary
+  parsePostfix() {
+    let expression = this.parsePrimary()
+
+    while (true) {
+      if (this.current.type === 'DOT') {
+        this.advance()
+        const property = this.parseName()
+        expression = this.finish({ type: 'member', object: expression, property }, expression.range.start)
+      } else if (this.current.type === 'LBRACKET') {
+        this.advance()
+        const index = this.parseExpression()
+        this.expect('RBRACKET')
+        expression = this.finish({ type: 'index', object: expression, index }, expression.range.start)
+      } else {
+        return expression
+      }
     }
-    
-    if (this.current.type === 'IDENTIFIER') {
-      let value = this.current.value
-      this.advance()
-      
-      // Handle property access (e.g., player.level)
-      while (this.current.type === 'DOT') {
+  }
+
+  parsePrimary() {
+    const token = this.current
+
+    switch (token.type) {
+      case 'STRING':
+      case 'NUMBER':
+        this.advance()
+        return this.finish({ type: 'literal', value: token.value }, token.start)
+
+      case 'TRUE':
+      case 'FALSE':
         this.advance()
-        value += '.' + this.expect('IDENTIFIER').value
+        return this.finish({ type: 'literal', value: token.type === 'TRUE' }, token.start)
+
+      case 'LPAREN': {
+        this.advance()
+        const expression = this.parseExpression()
+        this.expect('RPAREN')
+        return expression
       }
-      
-      return value
+
+      case 'IDENTIFIER':
+        if (this.peek().type === 'LPAREN') return this.parseCall()
+        this.advance()
+        return this.finish({ type: 'identifier', name: token.value }, token.start)
+
+      default:
+        if (NAME_KEYWORDS.includes(token.type)) {
+          this.advance()
+          return this.finish({ type: 'identifier', name: token.value }, token.start)
+        }
+        throw this.error(`Expected an expression but found ${this.describe(token)}`)
     }
-    
-    if (this.current.type === 'TRUE') {
-      this.advance()
-      return true
+  }
+
+  // Call of a function from the interpreter's function table
+  parseCall() {
+    const start = this.current.start
+    const callee = this.expect('IDENTIFIER').value
+    this.expect('LPAREN')
+
+    const args = []
+    if (this.current.type !== 'RPAREN') {
+      args.push(this.parseExpression())
+      while (this.current.type === 'COMMA') {
+        this.advance()
+        args.push(this.parseExpression())
+      }
     }
-    
-    if (this.current.type === 'FALSE') {
-      this.advance()
-      return false
+    this.expect('RPAREN')
+
+    return this.finish({ type: 'call', callee, args }, start)
+  }
+
+  // Property names may be any word, keywords included (`quest.item`)
+  parseName() {
+    const token = this.current
+    const isKeyword = token.type !== 'STRING' && KEYWORDS.includes(token.value)
+    if (token.type !== 'IDENTIFIER' && !isKeyword) {
+      throw this.error(`Expected a property name after \`.\` but found ${this.describe(token)}`)
     }
-    
-    throw new Error(`Unexpected expression: ${this.current.type}`)
+    this.advance()
+    return token.value
   }
 
   parsePlayerRef() {
@@ -456,6 +828,84 @@ export class DSLParser {
       return ref
     }
     
-    throw new Error(`Expected player reference, got ${this.current.type}`)
+    throw this.error(`Expected a player reference but found ${this.describe(this.current)}`,
+      this.current, 'Use `player` for the player the event is about')
+  }
+
+  // Give a node the range from `start` to the end of the last token read
+  finish(node, start) {
+    node.range = { start, end: this.previous().end }
+    return node
+  }
+
+  /**
+   * Create a syntax error pointing at a token
+   * @param {string} message - What went wrong
+   * @param {Object} [token] - Offending token, the current one by default
+   * @param {string} [suggestion] - How to fix it
+   * @returns {DSLSyntaxError} Error to throw
+   */
+  error(message, token = this.current, suggestion = null) {
+    return new DSLSyntaxError(message, { start: token.start, end: token.end }, suggestion)
+  }
+
+  // Record an error; a second one at the same spot adds nothing
+  report(error) {
+    const last = this.diagnostics[this.diagnostics.length - 1]
+    if (last && last.range.start.offset === error.range.start.offset) return
+
+    this.diagnostics.push(createDiagnostic(error.message, error.range, { suggestion: error.suggestion }))
+  }
+
+  reportCharacter(char, offset, suggestion = null) {
+    this.report(new DSLSyntaxError(`Unexpected character \`${char}\``, this.rangeOf(offset, offset + 1), suggestion))
+  }
+
+  /**
+   * Convert a source offset to a position
+   * @param {number} offset - Character offset
+   * @returns {Object} `{ line, column, offset }`, 1-based
+   */
+  positionAt(offset) {
+    let low = 0
+    let high = this.lineStarts.length - 1
+    while (low < high) {
+      const mid = (low + high + 1) >> 1
+      if (this.lineStarts[mid] <= offset) low = mid
+      else high = mid - 1
+    }
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1, offset }
+  }
+
+  /**
+   * Position of a line and column of the last parsed source
+   * @returns {Object} `{ line, column, offset }`
+   */
+  positionOf(line, column) {
+    const lineStart = this.lineStarts[line - 1] ?? 0
+    return { line, column, offset: lineStart + column - 1 }
+  }
+
+  rangeOf(startOffset, endOffset) {
+    return { start: this.positionAt(startOffset), end: this.positionAt(endOffset) }
+  }
+
+  // How a token type is written, for "Expected ..." messages
+  label(tokenType) {
+    if (TOKEN_TEXT[tokenType]) return `\`${TOKEN_TEXT[tokenType]}\``
+    if (tokenType === 'IDENTIFIER') return 'a name'
+
+    const keyword = KEYWORDS.find(word => word.toUpperCase() === tokenType)
+    return keyword ? `\`${keyword}\`` : tokenType
+  }
+
+  // How a token reads in "... but found" messages
+  describe(token) {
+    switch (token.type) {
+      case 'EOF': return 'the end of the script'
+      case 'STRING': return `string "${token.value}"`
+      case 'NUMBER': return `number ${token.value}`
+      default: return `\`${token.value}\``
+    }
   }
 }
\ No newline at end of file
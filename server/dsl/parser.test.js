@@ -0,0 +1,27 @@
+import { DSLParser } from './parser.js'
+
+function parseStatement(source) {
+  const result = new DSLParser().parse(`on playerJoin { ${source} }`)
+  expect(result.diagnostics).toEqual([])
+  return result.events[0].statements[0]
+}
+
+describe('statement arguments', () => {
+  test('a negative literal stays its own argument', () => {
+    const statement = parseStatement('warp player "dungeon" 10 -5;')
+
+    expect(statement.x).toMatchObject({ type: 'literal', value: 10 })
+    expect(statement.y).toMatchObject({
+      type: 'unary',
+      operator: '-',
+      argument: { type: 'literal', value: 5 }
+    })
+  })
+
+  test('the last argument is a full expression', () => {
+    const statement = parseStatement('give player "Health Potion" (count + 1) * 2;')
+
+    expect(statement.item).toMatchObject({ type: 'literal', value: 'Health Potion' })
+    expect(statement.quantity).toMatchObject({ type: 'binary', operator: '*' })
+  })
+})
@@ -0,0 +1,138 @@
+/**
+ * @file Script sandbox process
+ * @description Runs DSL `script {}` blocks for ScriptSandbox. Every run
+ * gets a fresh `vm` context holding nothing but plain copies of the event
+ * entities and the script API, with string code generation disabled and a
+ * time limit. Nothing from this process's realm is handed to the script:
+ * data goes in and results come out as JSON text.
+ */
+
+import vm from 'node:vm'
+
+// Parameters of the script body; keep in step with the scope built below
+const API_NAMES = ['player', 'npc', 'item', 'console', 'random', 'distance', 'countItem']
+
+// Evaluated inside the context, so every object the script can reach
+// belongs to the context's own realm
+const BOOTSTRAP = `
+const __api = (function (input) {
+  const WRITABLE = ['gold', 'health', 'mana', 'experience']
+  const before = JSON.parse(JSON.stringify(input.entities))
+  const actions = []
+  const logs = []
+  const entities = new Map()
+  const scope = { console: { log: (...args) => log(args) } }
+
+  for (const name of ['player', 'npc', 'item']) {
+    scope[name] = input.entities[name]
+    if (scope[name]) entities.set(scope[name], name)
+  }
+
+  function log(args) {
+    if (logs.length < input.limits.logs) {
+      logs.push(args.map(String).join(' ').slice(0, 500))
+    }
+  }
+
+  // Entities are passed by name so the game applies actions to the live ones
+  function toArg(value) {
+    return entities.has(value) ? { $entity: entities.get(value) } : value
+  }
+
+  for (const name of input.actions) {
+    scope[name] = (...args) => {
+      if (actions.length >= input.limits.actions) throw new Error('Too many actions in one script block')
+      actions.push([name, JSON.parse(JSON.stringify(args.map(toArg)) || '[]')])
+    }
+  }
+
+  scope.random = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min
+  scope.distance = (a, b) => Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2))
+  scope.countItem = (player, itemId) => (player?.inventory || [])
+    .filter(entry => entry.itemId === itemId || entry.name === itemId)
+    .reduce((count, entry) => count + entry.quantity, 0)
+
+  return {
+    values: ${JSON.stringify(API_NAMES)}.map(name => scope[name]).concat(input.actions.map(name => scope[name])),
+
+    // Numeric stat changes as deltas, so they add up with whatever the
+    // game did to the entity while the script ran
+    result() {
+      const changes = {}
+      for (const [name, original] of Object.entries(before)) {
+        if (!original || !scope[name]) continue
+        for (const field of WRITABLE) {
+          const delta = Number(scope[name][field]) - original[field]
+          if (typeof original[field] === 'number' && Number.isFinite(delta) && delta !== 0) {
+            changes[name] = { ...changes[name], [field]: delta }
+          }
+        }
+      }
+      return JSON.stringify({ actions, changes, logs })
+    }
+  }
+})(JSON.parse(__input))
+delete globalThis.__input
+`
+
+process.on('message', ({ id, code, line = 1, input, timeout }) => {
+  let context = null
+  try {
+    // A null-prototype global keeps this realm's Object, and with it
+    // its Function constructor, out of reach
+    const sandbox = Object.create(null)
+    sandbox.__input = JSON.stringify(input)
+    context = vm.createContext(sandbox, {
+      codeGeneration: { strings: false, wasm: false },
+      microtaskMode: 'afterEvaluate'
+    })
+    vm.runInContext(BOOTSTRAP, context, { timeout })
+
+    // The code starts on the wrapper's second line; offset it so errors
+    // report the line of the DSL script it came from
+    const names = [...API_NAMES, ...input.actions]
+    const body = `(function (${names.join(', ')}) {\n${code}\n}).apply(undefined, __api.values)`
+    vm.runInContext(body, context, { filename: 'script', lineOffset: line - 2, timeout })
+
+    const result = vm.runInContext('__api.result()', context, { timeout })
+    if (typeof result !== 'string') throw new Error('Invalid script result')
+
+    process.send({ id, result: JSON.parse(result) })
+  } catch (error) {
+    process.send({ id, error: describeError(error, context, timeout) })
+  }
+})
+
+// Go with the game server
+process.on('disconnect', () => process.exit(0))
+process.send({ ready: true })
+
+/**
+ * Turn a thrown value into a message with the script line it came from
+ * Values thrown by the script belong to its realm and may carry getters,
+ * so they are only read inside the context, under the time limit.
+ */
+function describeError(error, context, timeout) {
+  if (error instanceof Error || !context) {
+    return withLine(String(error?.message ?? error), String(error?.stack ?? ''))
+  }
+
+  try {
+    context.__error = error
+    const [message, stack] = vm.runInContext(
+      `[String(__error && __error.message !== undefined ? __error.message : __error),
+        String(__error && __error.stack || '')]`,
+      context,
+      { timeout }
+    )
+    return typeof message === 'string' ? withLine(message.slice(0, 500), String(stack)) : 'Script error'
+  } catch {
+    return 'Script error'
+  }
+}
+
+// Stacks name the code `script`, see the run above
+function withLine(message, stack) {
+  const match = /\bscript:(\d+)/.exec(stack)
+  return match ? `${message} (line ${match[1]})` : message
+}
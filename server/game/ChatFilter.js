@@ -0,0 +1,39 @@
+/**
+ * @file Chat filters
+ * @description Moderation filters for chat. A filter has a
+ * `check(text, context)` method returning `{ allowed, text, reason }`;
+ * it may rewrite the text (masking) or reject the message.
+ */
+
+const DEFAULT_WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard']
+
+export class WordlistFilter {
+  /**
+   * @param {Array<string>} [words] - Words to filter, defaults to a small
+   * built-in list
+   * @param {Object} [options]
+   * @param {string} [options.mode='mask'] - `mask` stars words out,
+   * `block` rejects the whole message
+   */
+  constructor(words = DEFAULT_WORDS, { mode = 'mask' } = {}) {
+    this.mode = mode === 'block' ? 'block' : 'mask'
+    const escaped = words
+      .filter(word => typeof word === 'string' && word.trim())
+      .map(word => word.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    this.pattern = escaped.length > 0
+      ? new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'gi')
+      : null
+  }
+
+  /**
+   * Check a message against the word list
+   * @param {string} text - Message text
+   * @returns {Object} `{ allowed, text, reason }`
+   */
+  check(text) {
+    if (!this.pattern || !text.match(this.pattern)) return { allowed: true, text }
+
+    if (this.mode === 'block') return { allowed: false, text, reason: 'filtered' }
+    return { allowed: true, text: text.replace(this.pattern, word => '*'.repeat(word.length)) }
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * @file Chat system
+ * @description Chat channels, server-side slash commands, per-player rate
+ * limiting and moderation filters. Global, party and guild chat and
+ * whispers reach every map of a world through the room presence.
+ */
+
+import { pluginManager } from '../plugins/PluginManager.js'
+import { WordlistFilter } from './ChatFilter.js'
+import { findCharacterIds } from '../services/characterService.js'
+
+export const CHANNELS = ['say', 'emote', 'global', 'party', 'guild', 'whisper']
+
+const DEFAULT_MAX_LENGTH = 200
+const DEFAULT_SAY_RANGE = 12 // Tiles
+const DEFAULT_RATE_LIMIT = { messages: 5, seconds: 5 }
+
+export class ChatSystem {
+  /**
+   * @param {GameRoom} room - Room the players chat in
+   * @param {Object} [config] - `chat` settings of the world data:
+   * `{ maxLength, sayRange, rateLimit: { messages, seconds },
+   * blockedWords, filterMode }`
+   */
+  constructor(room, config = {}) {
+    const rateLimit = { ...DEFAULT_RATE_LIMIT, ...config.rateLimit }
+
+    this.room = room
+    this.maxLength = Number(config.maxLength) || DEFAULT_MAX_LENGTH
+    this.sayRange = Number(config.sayRange) || DEFAULT_SAY_RANGE
+    this.rateLimit = {
+      messages: Number(rateLimit.messages) || DEFAULT_RATE_LIMIT.messages,
+      interval: (Number(rateLimit.seconds) || DEFAULT_RATE_LIMIT.seconds) * 1000
+    }
+    this.buckets = new Map() // playerId -> { tokens, updatedAt }
+    this.commands = new Map() // name or alias -> { name, handler, description }
+    this.filters = [new WordlistFilter(config.blockedWords, { mode: config.filterMode })]
+
+    // Presence topics are per world so every map room of it shares them
+    const prefix = `chat:${room.projectId}`
+    this.topics = {
+      global: `${prefix}:global`,
+      whisper: `${prefix}:whisper`,
+      online: `${prefix}:online`
+    }
+    this.onGlobal = message => this.room.broadcast('chat', message)
+    this.onWhisper = message => this.deliverWhisper(message)
+    room.presence.subscribe(this.topics.global, this.onGlobal)
+    room.presence.subscribe(this.topics.whisper, this.onWhisper)
+
+    this.registerBuiltinCommands()
+  }
+
+  /**
+   * Handle a `chat` client message
+   * Text starting with `/` runs a command; anything else goes to the
+   * requested channel (say by default).
+   * @param {Player} player - Sender
+   * @param {Object} message - `{ text, channel, to }`
+   * @returns {Promise<string|null>} Rejection reason
+   */
+  async handleMessage(player, { text, channel = 'say', to } = {}) {
+    if (typeof text !== 'string' || typeof channel !== 'string') return 'invalid'
+    if (to !== undefined && to !== null && typeof to !== 'string') return 'invalid'
+
+    const trimmed = text.trim()
+    if (!trimmed) return 'empty'
+    if (trimmed.length > this.maxLength) return 'tooLong'
+    if (!this.takeToken(player)) return 'rateLimited'
+
+    if (trimmed.startsWith('/')) return this.runCommand(player, trimmed.slice(1))
+    return this.post(player, channel, trimmed, to)
+  }
+
+  /**
+   * Add a slash command
+   * Handlers get `(player, args, text)` where `args` are the words after
+   * the command and `text` the rest of the line; they return a rejection
+   * reason or null.
+   * @param {string} name - Command name, without the slash
+   * @param {Function} handler - Command handler
+   * @param {Object} [options]
+   * @param {string} [options.description] - Shown by /help
+   * @param {Array<string>} [options.aliases] - Other names for the command
+   */
+  registerCommand(name, handler, { description = '', aliases = [] } = {}) {
+    const command = { name, handler, description }
+    for (const key of [name, ...aliases]) {
+      this.commands.set(key.toLowerCase(), command)
+    }
+  }
+
+  /**
+   * Add a moderation filter, run after the built-in word list
+   * @param {Object} filter - Object with a `check(text, context)` method
+   */
+  addFilter(filter) {
+    this.filters.push(filter)
+  }
+
+  /**
+   * Run a slash command
+   * Built-in commands come first, then commands registered by plugins
+   * (`registerChatCommand`), then DSL `on command_<name>` blocks.
+   * @returns {Promise<string|null>} Rejection reason
+   */
+  async runCommand(player, line) {
+    const [name = '', ...args] = line.split(/\s+/)
+    const text = line.slice(name.length).trim()
+    const key = name.toLowerCase()
+
+    const command = this.commands.get(key)
+    if (command) return command.handler(player, args, text)
+    if (!/^\w+$/.test(key)) return 'unknownCommand'
+
+    const hook = `chat.command.${key}`
+    if (pluginManager.hooks.get(hook)?.length) {
+      await pluginManager.executeHooks(hook, {
+        room: this.room,
+        player,
+        args,
+        text,
+        reply: message => this.reply(player, message)
+      })
+      return null
+    }
+
+    const event = `command_${key}`
+    if (this.room.dslInterpreter.hasEvent(event)) {
+      this.room.dslInterpreter.fireEvent(event, {
+        player: player,
+        args: args,
+        text: text,
+        client: this.room.clients.find(c => c.sessionId === player.id)
+      })
+      return null
+    }
+
+    return 'unknownCommand'
+  }
+
+  /**
+   * Filter a message and deliver it on a channel
+   * @param {Player} player - Sender
+   * @param {string} channel - One of CHANNELS
+   * @param {string} text - Message text
+   * @param {string} [to] - Whisper target name
+   * @returns {Promise<string|null>} Rejection reason
+   */
+  async post(player, channel, text, to = null) {
+    if (!CHANNELS.includes(channel)) return 'unknownChannel'
+    if (!text) return 'empty'
+
+    const moderated = await this.moderate(player, channel, text)
+    if (!moderated.allowed) return moderated.reason || 'filtered'
+
+    const message = {
+      channel,
+      playerId: player.id,
+      playerName: player.name,
+      message: moderated.text,
+      timestamp: Date.now()
+    }
+
+    let rejection = null
+    switch (channel) {
+      case 'say':
+      case 'emote':
+        this.sendNearby(player, message)
+        break
+      case 'global':
+        this.room.presence.publish(this.topics.global, message)
+        break
+      case 'party':
+        rejection = this.room.parties.sendChat(player, message)
+        break
+      case 'guild':
+        rejection = this.room.guilds.sendChat(player, message)
+        break
+      case 'whisper':
+        rejection = await this.sendWhisper(player, to, message)
+        break
+    }
+    if (rejection) return rejection
+
+    this.room.dslInterpreter.fireEvent('playerChat', {
+      player: player,
+      message: message.message,
+      channel: channel,
+      client: this.room.clients.find(c => c.sessionId === player.id)
+    })
+    return null
+  }
+
+  /**
+   * Run a message through the built-in filters and plugin `chat.filter`
+   * hooks
+   * @returns {Promise<Object>} `{ allowed, text, reason }`
+   */
+  async moderate(player, channel, text) {
+    const context = { room: this.room, player, channel }
+    let result = { allowed: true, text }
+
+    for (const filter of this.filters) {
+      result = filter.check(result.text, context)
+      if (!result.allowed) return result
+    }
+    return pluginManager.applyFilters('chat.filter', result, context)
+  }
+
+  // Say and emotes reach players within sayRange
+  sendNearby(player, message) {
+    for (const id of this.room.grid.getNearby(player, this.sayRange)) {
+      const listener = this.room.state.players.get(id)
+      if (listener && this.room.isInRange(player, listener, this.sayRange)) {
+        this.send(listener, 'chat', message)
+      }
+    }
+  }
+
+  /**
+   * Whisper a player by name, on any map of the world
+   * Names aren't unique within a world; the whisper goes to the first
+   * online character other than the sender with that name.
+   * @returns {Promise<string|null>} Rejection reason
+   */
+  async sendWhisper(player, name, message) {
+    if (!name) return 'usage'
+
+    const ids = await findCharacterIds(this.room.projectId, name)
+    const others = ids.filter(id => id !== player.characterId)
+    if (others.length === 0 && ids.length > 0) return 'invalidTarget'
+
+    for (const id of others) {
+      const online = await this.room.presence.hget(this.topics.online, id)
+      if (!online) continue
+
+      const to = JSON.parse(online).name
+      this.room.presence.publish(this.topics.whisper, { ...message, to, toId: id })
+      this.send(player, 'chat', { ...message, to })
+      return null
+    }
+    return 'playerNotFound'
+  }
+
+  deliverWhisper({ toId, ...message }) {
+    for (const player of this.room.state.players.values()) {
+      if (player.characterId === toId) this.send(player, 'chat', message)
+    }
+  }
+
+  /**
+   * Take one message from a player's allowance
+   * Allowances refill continuously up to `rateLimit.messages` per
+   * `rateLimit.seconds`.
+   * @returns {boolean} False when the player is sending too fast
+   */
+  takeToken(player) {
+    const now = this.room.clock.currentTime
+    const { messages, interval } = this.rateLimit
+    const bucket = this.buckets.get(player.id) || { tokens: messages, updatedAt: now }
+
+    bucket.tokens = Math.min(messages, bucket.tokens + (now - bucket.updatedAt) * messages / interval)
+    bucket.updatedAt = now
+    this.buckets.set(player.id, bucket)
+
+    if (bucket.tokens < 1) return false
+    bucket.tokens -= 1
+    return true
+  }
+
+  /**
+   * List a joined player as online for whispers and /who
+   * @param {Player} player - Player that joined
+   */
+  onJoin(player) {
+    this.room.presence.hset(this.topics.online, player.characterId,
+      JSON.stringify({ name: player.name, mapId: this.room.mapId }))
+  }
+
+  /**
+   * Forget a leaving player; players moving to another map stay online
+   * @param {Player} player - Player leaving the room
+   */
+  onLeave(player) {
+    this.buckets.delete(player.id)
+    if (!player.transferring) {
+      this.room.presence.hdel(this.topics.online, player.characterId)
+    }
+  }
+
+  dispose() {
+    this.room.presence.unsubscribe(this.topics.global, this.onGlobal)
+    this.room.presence.unsubscribe(this.topics.whisper, this.onWhisper)
+  }
+
+  registerBuiltinCommands() {
+    this.registerCommand('say', (player, args, text) => this.post(player, 'say', text), {
+      description: 'Talk to players nearby',
+      aliases: ['s']
+    })
+    this.registerCommand('global', (player, args, text) => this.post(player, 'global', text), {
+      description: 'Talk to everyone in the world',
+      aliases: ['g']
+    })
+    this.registerCommand('party', (player, args, text) => this.post(player, 'party', text), {
+      description: 'Talk to your party',
+      aliases: ['p']
+    })
+    this.registerCommand('guild', (player, args, text) => this.post(player, 'guild', text), {
+      description: 'Talk to your guild on every map',
+      aliases: ['gu']
+    })
+    this.registerCommand('emote', (player, args, text) => this.post(player, 'emote', text), {
+      description: 'Act something out',
+      aliases: ['me']
+    })
+    this.registerCommand('whisper', (player, [name], text) =>
+      this.post(player, 'whisper', text.slice(name?.length || 0).trim(), name), {
+      description: 'Whisper a player: /w <name> <message>',
+      aliases: ['w', 'tell']
+    })
+    this.registerCommand('who', async (player) => {
+      const online = Object.values(await this.room.presence.hgetall(this.topics.online) || {})
+      const names = online.map(entry => JSON.parse(entry).name).sort()
+      this.reply(player, `Online (${names.length}): ${names.join(', ')}`)
+      return null
+    }, { description: 'List players online' })
+    this.registerCommand('help', (player) => {
+      const commands = new Set(this.commands.values())
+      const lines = Array.from(commands, command => `/${command.name} - ${command.description}`)
+      this.reply(player, lines.join('\n'))
+      return null
+    }, { description: 'List chat commands' })
+  }
+
+  // System line shown only to one player
+  reply(player, text) {
+    this.send(player, 'chat', {
+      channel: 'system',
+      playerId: 'system',
+      playerName: 'System',
+      message: text,
+      timestamp: Date.now()
+    })
+  }
+
+  send(player, type, message) {
+    const client = this.room.clients.find(c => c.sessionId === player.id)
+    client?.send(type, message)
+  }
+}
@@ -0,0 +1,316 @@
+/**
+ * @file Combat system
+ * @description Stat blocks, damage formulas, attack cooldowns and NPC
+ * target selection for a GameRoom
+ */
+
+import { Player } from '../schemas/Player.js'
+
+const DEFAULT_STATS = {
+  attack: 10,
+  defense: 0,
+  crit: 0.05,
+  critMultiplier: 1.5,
+  speed: 1,
+  range: 2,
+  resistances: {}
+}
+
+// Base for bonus blocks (level growth, equipment) that only add stats
+const EMPTY_STATS = {
+  attack: 0,
+  defense: 0,
+  crit: 0,
+  speed: 0,
+  range: 0,
+  resistances: {}
+}
+
+const ADDITIVE_STATS = ['attack', 'defense', 'crit', 'speed', 'range']
+const MAX_RESISTANCE = 0.9
+
+const DAMAGE_FORMULAS = new Map()
+
+/**
+ * Register a damage formula worlds can select with `combat.formula`
+ * A formula receives `{ attacker, defender, attackerStats, defenderStats,
+ * damageType, random }` and returns `{ damage, crit }`.
+ * @param {string} name - Formula name
+ * @param {Function} formula - Damage formula
+ */
+export function registerDamageFormula(name, formula) {
+  if (typeof formula !== 'function') {
+    throw new Error(`Damage formula "${name}" must be a function`)
+  }
+  DAMAGE_FORMULAS.set(name, formula)
+}
+
+// Attack scaled by +/-10%, reduced by defense with diminishing returns
+registerDamageFormula('standard', ({ attackerStats, defenderStats, damageType, random }) => {
+  const roll = attackerStats.attack * (0.9 + random() * 0.2)
+  const mitigated = roll * (100 / (100 + Math.max(0, defenderStats.defense)))
+  const resistance = Math.min(MAX_RESISTANCE, defenderStats.resistances[damageType] || 0)
+  const crit = random() < attackerStats.crit
+  const damage = mitigated * (1 - resistance) * (crit ? attackerStats.critMultiplier : 1)
+  return { damage: Math.max(1, Math.floor(damage)), crit }
+})
+
+// Attack minus defense, for worlds that want predictable numbers
+registerDamageFormula('flat', ({ attackerStats, defenderStats, damageType }) => {
+  const resistance = Math.min(MAX_RESISTANCE, defenderStats.resistances[damageType] || 0)
+  const damage = (attackerStats.attack - defenderStats.defense) * (1 - resistance)
+  return { damage: Math.max(1, Math.floor(damage)), crit: false }
+})
+
+/**
+ * Build a complete stat block from a partial JSON block
+ * @param {Object|string} [block] - Stat block, or its JSON string
+ * @param {Object} [base] - Stats used for missing fields
+ * @returns {Object} Stat block
+ */
+export function normalizeStats(block, base = DEFAULT_STATS) {
+  const source = typeof block === 'string' ? parseStats(block) : block || {}
+  const stats = { ...base, resistances: { ...base.resistances } }
+
+  for (const key of [...ADDITIVE_STATS, 'critMultiplier']) {
+    const value = Number(source[key])
+    if (source[key] != null && Number.isFinite(value)) {
+      stats[key] = value
+    }
+  }
+  for (const [type, value] of Object.entries(source.resistances || {})) {
+    stats.resistances[type] = Number(value) || 0
+  }
+
+  return stats
+}
+
+/**
+ * Add a stat block onto another, scaled by a factor
+ * @param {Object} target - Stat block to modify
+ * @param {Object} block - Stats to add
+ * @param {number} [factor=1] - Multiplier for the added stats
+ */
+function addStats(target, block, factor = 1) {
+  for (const key of ADDITIVE_STATS) {
+    target[key] += (Number(block[key]) || 0) * factor
+  }
+  for (const [type, value] of Object.entries(block.resistances || {})) {
+    target.resistances[type] = (target.resistances[type] || 0) + (Number(value) || 0) * factor
+  }
+}
+
+function parseStats(json) {
+  try {
+    return JSON.parse(json)
+  } catch (error) {
+    return {}
+  }
+}
+
+export class CombatSystem {
+  /**
+   * @param {GameRoom} room - Room the combat runs in
+   * @param {Object} [config] - `combat` block of the world data
+   */
+  constructor(room, config = {}) {
+    this.room = room
+    this.random = Math.random
+
+    const formulaName = config.formula || 'standard'
+    this.formula = DAMAGE_FORMULAS.get(formulaName)
+    if (!this.formula) {
+      console.warn(`Unknown damage formula "${formulaName}", using "standard"`)
+      this.formula = DAMAGE_FORMULAS.get('standard')
+    }
+
+    this.playerStats = normalizeStats(config.playerStats)
+    this.statsPerLevel = normalizeStats(config.statsPerLevel, EMPTY_STATS)
+  }
+
+  /**
+   * Get the effective stats of a player or NPC
+   * Players combine the world's base block, per-level growth and the
+   * stats of their equipped items.
+   * @param {Player|NPC} entity - Combatant
+   * @returns {Object} Stat block
+   */
+  getStats(entity) {
+    if (!(entity instanceof Player)) {
+      const stats = normalizeStats(null, entity.stats || DEFAULT_STATS)
+      this.room.effects.applyModifiers(entity, stats)
+      return stats
+    }
+
+    const stats = normalizeStats(null, this.playerStats)
+    addStats(stats, this.statsPerLevel, Math.max(0, (entity.level || 1) - 1))
+
+    for (const definition of this.getEquippedDefinitions(entity)) {
+      if (definition.stats) {
+        addStats(stats, normalizeStats(definition.stats, EMPTY_STATS))
+      }
+    }
+
+    this.room.effects.applyModifiers(entity, stats)
+    return stats
+  }
+
+  /**
+   * Get the item definitions of a player's equipped items
+   * @param {Player} player - Player
+   * @returns {Array<Object>} Item definitions
+   */
+  getEquippedDefinitions(player) {
+    const definitions = []
+    for (const entry of player.inventory) {
+      if (!entry.equipped) continue
+      const definition = this.room.findItemDefinition(entry.itemId)
+      if (definition) definitions.push(definition)
+    }
+    return definitions
+  }
+
+  /**
+   * Check whether an attacker's cooldown has elapsed
+   * @param {Player|NPC} attacker - Combatant
+   * @returns {boolean} True when the attacker may attack again
+   */
+  isReady(attacker) {
+    const speed = Math.max(0.1, this.getStats(attacker).speed)
+    return this.room.clock.currentTime - (attacker.lastAttackAt || 0) >= 1000 / speed
+  }
+
+  /**
+   * Resolve one attack and apply its damage
+   * Callers check range and cooldown first; this always lands.
+   * @param {Player|NPC} attacker - Attacking entity
+   * @param {Player|NPC} defender - Defending entity
+   * @param {string} [damageType='physical'] - Damage type for resistances
+   * @returns {{damage: number, crit: boolean}} Attack result
+   */
+  attack(attacker, defender, damageType = 'physical') {
+    const result = this.formula({
+      attacker,
+      defender,
+      attackerStats: this.getStats(attacker),
+      defenderStats: this.getStats(defender),
+      damageType,
+      random: this.random
+    })
+
+    attacker.lastAttackAt = this.room.clock.currentTime
+
+    // NPCs that get hit fight back
+    if (!(defender instanceof Player) && attacker instanceof Player) {
+      defender.targetId = attacker.id
+    }
+
+    this.room.broadcastNearby(defender, 'attack', {
+      attackerId: attacker.id,
+      targetId: defender.id,
+      damage: result.damage,
+      crit: result.crit,
+      targetHealth: Math.max(0, defender.health - result.damage)
+    })
+
+    this.applyDamage(defender, result.damage, attacker)
+    if (defender.health > 0) {
+      this.applyOnHitEffects(attacker, defender)
+    }
+    return result
+  }
+
+  /**
+   * Roll the on-hit effects of an attacker against a defender
+   * NPCs declare `onHit` in their map data, players get it from equipped
+   * items: `[{ "effect": "poison", "chance": 0.25, "duration": 5 }]`.
+   * @param {Player|NPC} attacker - Attacking entity
+   * @param {Player|NPC} defender - Entity that was hit
+   */
+  applyOnHitEffects(attacker, defender) {
+    const onHit = attacker instanceof Player
+      ? this.getEquippedDefinitions(attacker).flatMap(definition => definition.onHit || [])
+      : attacker.onHit || []
+
+    for (const entry of onHit) {
+      if (this.random() < (entry.chance ?? 1)) {
+        this.room.effects.apply(defender, entry.effect, {
+          duration: entry.duration,
+          source: attacker
+        })
+      }
+    }
+  }
+
+  /**
+   * Reduce an entity's health and handle its death
+   * @param {Player|NPC} target - Entity taking damage
+   * @param {number} amount - Damage amount
+   * @param {Player|NPC} [source] - Entity that dealt the damage
+   * @param {string} [damageType] - Damage type, reduced by the target's resistance
+   */
+  applyDamage(target, amount, source = null, damageType = null) {
+    if (target.dead || target.health <= 0) return
+
+    if (damageType) {
+      const resistance = this.getStats(target).resistances[damageType] || 0
+      amount = Math.max(1, Math.floor(amount * (1 - Math.min(MAX_RESISTANCE, resistance))))
+    }
+
+    target.health = Math.max(0, target.health - amount)
+    if (target.health > 0) return
+
+    if (target instanceof Player) {
+      this.clearTarget(target.id)
+      this.room.onPlayerDeath(target, source)
+    } else {
+      this.room.onNPCDefeated(target, source)
+    }
+  }
+
+  /**
+   * Make every NPC targeting a player lose interest in it
+   * @param {string} playerId - Player session ID
+   */
+  clearTarget(playerId) {
+    for (const npc of this.room.state.npcs.values()) {
+      if (npc.targetId === playerId) npc.targetId = null
+    }
+  }
+
+  /**
+   * Find the closest player a hostile NPC can aggro on
+   * @param {NPC} npc - Hostile NPC
+   * @returns {Player|null} Target
+   */
+  findTarget(npc) {
+    let closest = null
+    let closestDistance = Infinity
+
+    for (const playerId of this.room.grid.getNearby(npc)) {
+      const player = this.room.state.players.get(playerId)
+      if (!player || !this.canEngage(npc, player, npc.aggroRange)) continue
+
+      const distance = Math.hypot(player.x - npc.x, player.y - npc.y)
+      if (distance < closestDistance) {
+        closest = player
+        closestDistance = distance
+      }
+    }
+
+    return closest
+  }
+
+  /**
+   * Check whether an NPC may keep fighting a player
+   * @param {NPC} npc - NPC
+   * @param {Player} player - Player
+   * @param {number} range - Maximum distance
+   * @returns {boolean} True when the player is a valid target
+   */
+  canEngage(npc, player, range) {
+    if (player.dead || player.transferring) return false
+    if (this.room.getZoneFlags(player).safe) return false
+    return Math.hypot(player.x - npc.x, player.y - npc.y) <= range
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * @file Crafting system
+ * @description Recipes that turn input items into an output over a
+ * crafting time, optionally at a station (an NPC or map object)
+ */
+
+import {
+  addItem,
+  removeItem,
+  cloneInventory
+} from '../services/inventoryService.js'
+
+const STATION_RANGE = 2 // Tiles
+
+export class CraftingSystem {
+  /**
+   * @param {GameRoom} room - Room the crafters are in
+   * @param {Array<Object>} [recipes] - `recipes` list of the world data
+   */
+  constructor(room, recipes = []) {
+    this.room = room
+    this.recipes = new Map()
+    this.jobs = new Map() // playerId -> { recipe, timer }
+
+    for (const recipe of recipes) {
+      if (recipe?.id) this.recipes.set(recipe.id, normalizeRecipe(recipe))
+    }
+  }
+
+  /**
+   * Start crafting a recipe
+   * Inputs are checked now and taken when the timer ends, so nothing is
+   * lost if the craft is cancelled.
+   * @param {Player} player - Crafter
+   * @param {string} recipeId - Recipe id
+   * @returns {string|null} Rejection reason, or null when started
+   */
+  start(player, recipeId) {
+    const recipe = this.recipes.get(recipeId)
+    if (!recipe) return 'unknownRecipe'
+    if (this.jobs.has(player.id)) return 'busy'
+    if (!this.knows(player, recipe)) return 'notLearned'
+
+    const rejection = this.check(player, recipe)
+    if (rejection) return rejection
+
+    const timer = this.room.clock.setTimeout(() => this.complete(player), recipe.time)
+    this.jobs.set(player.id, { recipe, timer })
+    this.send(player, 'craftStarted', { recipeId, duration: recipe.time })
+    return null
+  }
+
+  /**
+   * Stop a running craft
+   * @param {Player} player - Crafter
+   * @param {string} [reason='cancelled'] - Reason sent to the client
+   * @returns {boolean} True when a craft was running
+   */
+  cancel(player, reason = 'cancelled') {
+    const job = this.jobs.get(player.id)
+    if (!job) return false
+
+    job.timer.clear()
+    this.jobs.delete(player.id)
+    this.send(player, 'craftResult', { recipeId: job.recipe.id, success: false, reason })
+    return true
+  }
+
+  complete(player) {
+    const job = this.jobs.get(player.id)
+    this.jobs.delete(player.id)
+    if (!job || this.room.state.players.get(player.id) !== player || player.dead) return
+
+    const { recipe } = job
+    const rejection = this.check(player, recipe)
+    if (rejection) {
+      this.send(player, 'craftResult', { recipeId: recipe.id, success: false, reason: rejection })
+      return
+    }
+
+    for (const input of recipe.inputs) {
+      removeItem(player, this.room.items, input.itemId, input.quantity)
+    }
+
+    // Failed rolls still use up the inputs
+    const success = Math.random() < recipe.output.chance
+    if (success) {
+      addItem(player, this.room.items, recipe.output.itemId, recipe.output.quantity)
+      this.room.quests.onInventoryChanged(player)
+    }
+
+    this.send(player, 'craftResult', {
+      recipeId: recipe.id,
+      success,
+      reason: success ? null : 'failed',
+      itemId: recipe.output.itemId,
+      quantity: success ? recipe.output.quantity : 0
+    })
+
+    this.room.dslInterpreter.fireEvent('craftComplete', {
+      player: player,
+      recipe: recipe.id,
+      item: success ? recipe.output.itemId : null,
+      success: success,
+      client: this.room.clients.find(c => c.sessionId === player.id)
+    })
+  }
+
+  /**
+   * Check station range, inputs and room for the output
+   * The whole craft is replayed on a copy of the inventory, so a stack
+   * freed by the inputs counts as space for the output.
+   * @returns {string|null} Rejection reason
+   */
+  check(player, recipe) {
+    if (recipe.station && !this.isNearStation(player, recipe.station)) return 'noStation'
+
+    const copy = cloneInventory(player)
+    for (const input of recipe.inputs) {
+      if (!removeItem(copy, this.room.items, input.itemId, input.quantity).success) {
+        return 'missingInputs'
+      }
+    }
+
+    const result = addItem(copy, this.room.items, recipe.output.itemId, recipe.output.quantity)
+    return result.success ? null : result.reason
+  }
+
+  /**
+   * Find a station near the player
+   * NPCs and map objects are stations when their id or `station`
+   * property matches the recipe's station.
+   * @param {Player} player - Crafter
+   * @param {string} station - Station name
+   * @returns {boolean} True when one is in range
+   */
+  isNearStation(player, station) {
+    const candidates = [
+      ...this.room.state.npcs.values(),
+      ...(this.room.map.objects || [])
+    ]
+    return candidates.some(entity =>
+      (entity.id === station || entity.station === station || entity.spawnData?.station === station) &&
+      this.room.isInRange(player, entity, STATION_RANGE)
+    )
+  }
+
+  knows(player, recipe) {
+    return !recipe.locked || player.knownRecipes.includes(recipe.id)
+  }
+
+  /**
+   * Unlock a recipe for a player (used by DSL scripts)
+   * @param {Player} player - Player learning the recipe
+   * @param {string} recipeId - Recipe id
+   * @returns {boolean} False when the recipe doesn't exist or is known
+   */
+  learn(player, recipeId) {
+    if (!this.recipes.has(recipeId) || player.knownRecipes.includes(recipeId)) return false
+
+    player.knownRecipes.push(recipeId)
+    this.send(player, 'recipeLearned', { recipeId })
+    return true
+  }
+
+  send(player, type, message) {
+    const client = this.room.clients.find(c => c.sessionId === player.id)
+    client?.send(type, message)
+  }
+}
+
+/**
+ * Fill in recipe defaults
+ * Recipes look like `{ id, inputs: [{ itemId, quantity }], station, time,
+ * output: { itemId, quantity, chance }, locked }`. Time is in seconds;
+ * locked recipes have to be learned first.
+ * @param {Object} recipe - Recipe from the world data
+ * @returns {Object} Recipe with time in ms
+ */
+function normalizeRecipe(recipe) {
+  const chance = Number(recipe.output?.chance)
+  return {
+    id: recipe.id,
+    name: recipe.name || recipe.id,
+    inputs: (recipe.inputs || []).map(input => ({
+      itemId: input.itemId,
+      quantity: Number(input.quantity) || 1
+    })),
+    station: recipe.station || null,
+    time: (Number(recipe.time) || 0) * 1000,
+    output: {
+      itemId: recipe.output?.itemId,
+      quantity: Number(recipe.output?.quantity) || 1,
+      chance: Number.isFinite(chance) ? Math.min(Math.max(chance, 0), 1) : 1
+    },
+    locked: Boolean(recipe.locked)
+  }
+}
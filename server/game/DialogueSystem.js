@@ -0,0 +1,240 @@
+/**
+ * @file Dialogue system
+ * @description Branching NPC conversations. The server keeps each
+ * player's place in the dialogue graph and only offers choices whose
+ * conditions pass, so clients can't pick lines they weren't shown.
+ */
+
+import { removeItem, countItem } from '../services/inventoryService.js'
+
+export const CONDITION_TYPES = ['quest', 'level', 'item', 'gold', 'variable']
+export const ACTION_TYPES = [
+  'giveItem', 'takeItem', 'giveGold', 'startQuest', 'completeQuest',
+  'openShop', 'learnRecipe', 'setVariable'
+]
+
+const DIALOGUE_RANGE = 3 // Tiles
+
+export class DialogueSystem {
+  /**
+   * @param {GameRoom} room - Room the conversations happen in
+   * @param {Array<Object>} [dialogues] - `dialogues` list of the world data
+   */
+  constructor(room, dialogues = []) {
+    this.room = room
+    this.dialogues = new Map()
+    this.sessions = new Map() // playerId -> { npcId, dialogue, nodeId, choices }
+
+    for (const dialogue of dialogues) {
+      if (dialogue?.id) this.dialogues.set(dialogue.id, dialogue)
+    }
+  }
+
+  /**
+   * Start talking to an NPC
+   * NPCs without a dialogue tree say their plain `dialogue` line.
+   * @param {Player} player - Player
+   * @param {NPC} npc - NPC spoken to
+   * @returns {string|null} Rejection reason, or null when started
+   */
+  start(player, npc) {
+    if (!npc || !this.room.isInRange(player, npc, DIALOGUE_RANGE)) return 'tooFar'
+
+    const dialogue = this.dialogues.get(npc.dialogueId) || {
+      id: '',
+      start: 'greeting',
+      nodes: { greeting: { text: npc.dialogue } }
+    }
+
+    this.sessions.set(player.id, { npcId: npc.id, dialogue, nodeId: null, choices: [] })
+    this.enter(player, this.resolveNext(player, dialogue.start))
+    return null
+  }
+
+  /**
+   * Pick one of the choices the current node offered
+   * @param {Player} player - Player
+   * @param {number} index - Index into the offered choices
+   * @returns {string|null} Rejection reason
+   */
+  choose(player, index) {
+    const session = this.sessions.get(player.id)
+    if (!session) return 'notTalking'
+
+    const npc = this.room.state.npcs.get(session.npcId)
+    if (!npc || !this.room.isInRange(player, npc, DIALOGUE_RANGE)) {
+      this.end(player)
+      return 'tooFar'
+    }
+
+    // Conditions are checked again; state may have changed since
+    const choice = session.choices[index]
+    if (!choice || !this.checkConditions(player, choice.conditions)) return 'invalidChoice'
+
+    const rejection = this.runActions(player, choice.actions, npc)
+    if (rejection) return rejection
+    if (this.sessions.get(player.id) !== session) return null
+
+    this.enter(player, this.resolveNext(player, choice.next))
+    return null
+  }
+
+  /**
+   * Close a player's conversation
+   * @param {Player} player - Player
+   */
+  end(player) {
+    if (!this.sessions.delete(player.id)) return
+    this.send(player, 'dialogueEnd', {})
+  }
+
+  enter(player, nodeId) {
+    const session = this.sessions.get(player.id)
+    const node = nodeId && session.dialogue.nodes?.[nodeId]
+    if (!node) {
+      this.end(player)
+      return
+    }
+
+    session.nodeId = nodeId
+    const rejection = this.runActions(player, node.actions, this.room.state.npcs.get(session.npcId))
+    if (rejection) {
+      this.send(player, 'dialogueRejected', { reason: rejection })
+      this.end(player)
+      return
+    }
+    if (this.sessions.get(player.id) !== session) return
+
+    // A node without choices but with a next node gets a "Continue" choice
+    const choices = Array.isArray(node.choices)
+      ? node.choices
+      : node.next ? [{ text: node.continueText || 'Continue', next: node.next }] : []
+    session.choices = choices.filter(choice => this.checkConditions(player, choice.conditions))
+
+    const npc = this.room.state.npcs.get(session.npcId)
+    this.send(player, 'dialogueNode', {
+      npcId: session.npcId,
+      speaker: node.speaker || npc?.name || '',
+      text: node.text || '',
+      choices: session.choices.map((choice, index) => ({ index, text: choice.text })),
+      end: session.choices.length === 0
+    })
+
+    // Last lines close the conversation on the server; the client keeps
+    // showing the text until dismissed
+    if (session.choices.length === 0) this.sessions.delete(player.id)
+  }
+
+  /**
+   * Resolve a `next` reference
+   * `next` is a node id, or a list of `{ node, conditions }` where the
+   * first entry whose conditions pass wins.
+   * @returns {string|null} Node id
+   */
+  resolveNext(player, next) {
+    if (!Array.isArray(next)) return next || null
+    const branch = next.find(entry => this.checkConditions(player, entry.conditions))
+    return branch?.node || null
+  }
+
+  /**
+   * Check a list of conditions; all have to pass
+   * @param {Player} player - Player
+   * @param {Array<Object>} [conditions] - Conditions from the dialogue data
+   * @returns {boolean} True when every condition passes
+   */
+  checkConditions(player, conditions = []) {
+    return conditions.every(condition => this.checkCondition(player, condition))
+  }
+
+  checkCondition(player, condition) {
+    switch (condition.type) {
+      case 'quest':
+        return this.getQuestState(player, condition.quest) === (condition.state || 'completed')
+      case 'level':
+        return player.level >= (Number(condition.min) || 0) &&
+          player.level <= (Number(condition.max) || Infinity)
+      case 'item':
+        return countItem(player, condition.itemId, this.room.items) >= (Number(condition.count) || 1)
+      case 'gold':
+        return (player.gold || 0) >= (Number(condition.min) || 0)
+      case 'variable':
+        return compare(player.variables.get(condition.name), condition.operator || '==', condition.value)
+      default:
+        return false
+    }
+  }
+
+  /**
+   * Quest state as seen by dialogue conditions
+   * @returns {string} notStarted, active, ready (objectives done) or completed
+   */
+  getQuestState(player, questId) {
+    if (player.completedQuests.includes(questId)) return 'completed'
+    if (!player.activeQuests.includes(questId)) return 'notStarted'
+
+    const quests = this.room.quests
+    return quests.isReady(player, quests.getQuest(questId)) ? 'ready' : 'active'
+  }
+
+  /**
+   * Run a node's or choice's actions in order
+   * A `takeItem` the player can't pay stops the actions that follow it.
+   * @returns {string|null} Rejection reason when an action failed
+   */
+  runActions(player, actions = [], npc = null) {
+    for (const action of actions) {
+      switch (action.type) {
+        case 'giveItem':
+          this.room.dslInterpreter.giveItem(player, action.itemId, Number(action.quantity) || 1)
+          break
+        case 'takeItem': {
+          const result = removeItem(player, this.room.items, action.itemId, Number(action.quantity) || 1)
+          if (!result.success) return result.reason
+          this.room.quests.onInventoryChanged(player)
+          break
+        }
+        case 'giveGold':
+          player.gold = Math.max(0, (player.gold || 0) + (Number(action.amount) || 0))
+          break
+        case 'startQuest':
+          this.room.quests.start(player, action.quest)
+          break
+        case 'completeQuest':
+          this.room.quests.complete(player, action.quest)
+          break
+        case 'openShop':
+          // The shop UI takes over from the conversation
+          this.end(player)
+          this.room.shops.open(player, action.shop, npc)
+          return null
+        case 'learnRecipe':
+          this.room.crafting.learn(player, action.recipe)
+          break
+        case 'setVariable':
+          player.variables.set(action.name, action.value)
+          break
+        default:
+          console.warn(`Unknown dialogue action: ${action.type}`)
+      }
+    }
+    return null
+  }
+
+  send(player, type, message) {
+    const client = this.room.clients.find(c => c.sessionId === player.id)
+    client?.send(type, message)
+  }
+}
+
+function compare(left, operator, right) {
+  switch (operator) {
+    case '==': return left == right
+    case '!=': return left != right
+    case '>': return left > right
+    case '<': return left < right
+    case '>=': return left >= right
+    case '<=': return left <= right
+    default: return false
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * @file Status effect system
+ * @description Timed effects on players and NPCs: stacking, periodic
+ * damage and healing, stat and movement modifiers, and immunities
+ */
+
+import { Player } from '../schemas/Player.js'
+import { StatusEffect } from '../schemas/StatusEffect.js'
+
+// Durations and intervals are in seconds, like the rest of the world data
+const BUILTIN_EFFECTS = {
+  poison: {
+    name: 'Poison',
+    harmful: true,
+    duration: 10,
+    tickInterval: 1,
+    tick: { damage: 3, damageType: 'poison' },
+    stacking: 'stack',
+    maxStacks: 5
+  },
+  burn: {
+    name: 'Burn',
+    harmful: true,
+    duration: 5,
+    tickInterval: 1,
+    tick: { damage: 5, damageType: 'fire' }
+  },
+  regeneration: {
+    name: 'Regeneration',
+    duration: 10,
+    tickInterval: 1,
+    tick: { heal: 5 }
+  },
+  slow: {
+    name: 'Slow',
+    harmful: true,
+    duration: 5,
+    moveSpeed: 0.5
+  },
+  haste: {
+    name: 'Haste',
+    duration: 10,
+    moveSpeed: 1.5,
+    stats: { speed: 0.5 }
+  },
+  strength: {
+    name: 'Strength',
+    duration: 30,
+    stats: { attack: 5 }
+  },
+  protection: {
+    name: 'Protection',
+    duration: 30,
+    stats: { defense: 10 }
+  }
+}
+
+const STACKING_RULES = ['refresh', 'stack', 'extend', 'ignore']
+
+export class EffectSystem {
+  /**
+   * @param {GameRoom} room - Room the effects run in
+   * @param {Array<Object>} [definitions] - `effects` list of the world data,
+   * adding to or overriding the built-in effects by id
+   */
+  constructor(room, definitions = []) {
+    this.room = room
+    this.definitions = new Map(Object.entries(BUILTIN_EFFECTS))
+
+    for (const definition of definitions) {
+      if (!definition?.id) continue
+      this.definitions.set(definition.id, {
+        ...this.definitions.get(definition.id),
+        ...definition
+      })
+    }
+  }
+
+  /**
+   * Apply an effect to a player or NPC
+   * @param {Player|NPC} target - Entity receiving the effect
+   * @param {string} effectId - Effect definition id
+   * @param {Object} [options] - Apply options
+   * @param {number} [options.duration] - Duration in seconds, overriding the definition
+   * @param {Player|NPC} [options.source] - Entity that applied the effect
+   * @returns {boolean} False when the effect is unknown, ignored or resisted
+   */
+  apply(target, effectId, options = {}) {
+    const definition = this.definitions.get(effectId)
+    if (!definition) {
+      console.warn(`Unknown status effect "${effectId}"`)
+      return false
+    }
+    if (target.dead || target.health <= 0 || this.isImmune(target, effectId)) {
+      return false
+    }
+
+    const now = this.room.clock.currentTime
+    const duration = (Number(options.duration) || Number(definition.duration) || 0) * 1000
+    const stacking = STACKING_RULES.includes(definition.stacking) ? definition.stacking : 'refresh'
+    let effect = target.effects.get(effectId)
+
+    if (effect) {
+      if (stacking === 'ignore') return false
+
+      if (stacking === 'extend') {
+        effect.endsAt += duration
+        effect.duration += duration
+      } else {
+        if (stacking === 'stack') {
+          effect.stacks = Math.min(effect.stacks + 1, Number(definition.maxStacks) || Infinity)
+        }
+        effect.endsAt = now + duration
+        effect.duration = duration
+      }
+    } else {
+      effect = new StatusEffect()
+      effect.id = effectId
+      effect.name = definition.name || effectId
+      effect.icon = definition.icon || ''
+      effect.harmful = Boolean(definition.harmful)
+      effect.stacks = 1
+      effect.duration = duration
+      effect.endsAt = now + duration
+      effect.nextTickAt = now + (Number(definition.tickInterval) || 0) * 1000
+      target.effects.set(effectId, effect)
+    }
+
+    effect.source = options.source || null
+    // Clients don't share the room clock, so expiry is sent as a timestamp
+    effect.expiresAt = Date.now() + (effect.endsAt - now)
+
+    this.room.dslInterpreter.fireEvent('effectApplied', this.eventContext(target, effect))
+    return true
+  }
+
+  /**
+   * Remove an effect before it expires
+   * @param {Player|NPC} target - Entity with the effect
+   * @param {string} effectId - Effect definition id
+   * @returns {boolean} True when the effect was active
+   */
+  remove(target, effectId) {
+    if (!target.effects.has(effectId)) return false
+    target.effects.delete(effectId)
+    return true
+  }
+
+  /**
+   * Remove every effect from an entity, e.g. on death
+   * @param {Player|NPC} target - Entity to clear
+   */
+  clear(target) {
+    target.effects.clear()
+  }
+
+  /**
+   * Check an entity's permanent and post-effect immunities
+   * NPCs list immunities in their map data; players get them from
+   * equipped items.
+   * @param {Player|NPC} target - Entity to check
+   * @param {string} effectId - Effect definition id
+   * @returns {boolean} True when the effect cannot be applied
+   */
+  isImmune(target, effectId) {
+    if ((target.immuneUntil?.get(effectId) || 0) > this.room.clock.currentTime) {
+      return true
+    }
+
+    if (!(target instanceof Player)) {
+      return (target.immunities || []).includes(effectId)
+    }
+
+    for (const entry of target.inventory) {
+      if (!entry.equipped) continue
+      const definition = this.room.findItemDefinition(entry.itemId)
+      if (definition?.immunities?.includes(effectId)) return true
+    }
+    return false
+  }
+
+  /**
+   * Add the stat modifiers of active effects to a stat block
+   * @param {Player|NPC} entity - Entity with effects
+   * @param {Object} stats - Stat block to modify
+   */
+  applyModifiers(entity, stats) {
+    for (const effect of entity.effects.values()) {
+      const modifiers = this.definitions.get(effect.id)?.stats
+      if (!modifiers) continue
+
+      for (const [key, value] of Object.entries(modifiers)) {
+        if (key === 'resistances') {
+          for (const [type, resistance] of Object.entries(value)) {
+            stats.resistances[type] = (stats.resistances[type] || 0) + resistance * effect.stacks
+          }
+        } else if (typeof stats[key] === 'number') {
+          stats[key] += (Number(value) || 0) * effect.stacks
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the combined movement speed multiplier of active effects
+   * @param {Player|NPC} entity - Entity with effects
+   * @returns {number} Multiplier for the entity's movement speed
+   */
+  getMoveSpeedMultiplier(entity) {
+    let multiplier = 1
+    for (const effect of entity.effects.values()) {
+      const moveSpeed = Number(this.definitions.get(effect.id)?.moveSpeed)
+      if (moveSpeed >= 0) multiplier *= moveSpeed
+    }
+    return multiplier
+  }
+
+  /**
+   * Run periodic ticks and expire finished effects
+   * Called from the room's simulation loop.
+   */
+  update() {
+    const now = this.room.clock.currentTime
+
+    for (const collection of [this.room.state.players, this.room.state.npcs]) {
+      for (const entity of collection.values()) {
+        if (entity.effects.size > 0) {
+          this.updateEntity(entity, now)
+        }
+      }
+    }
+  }
+
+  updateEntity(entity, now) {
+    if (entity.dead) return
+
+    for (const effect of Array.from(entity.effects.values())) {
+      const definition = this.definitions.get(effect.id) || {}
+      const interval = (Number(definition.tickInterval) || 0) * 1000
+
+      // Catch up on every tick that fell inside the effect's lifetime
+      while (interval > 0 && effect.nextTickAt <= Math.min(now, effect.endsAt)) {
+        effect.nextTickAt += interval
+        this.tick(entity, effect, definition.tick || {})
+        if (entity.dead || entity.health <= 0) return
+      }
+
+      if (now >= effect.endsAt) {
+        entity.effects.delete(effect.id)
+
+        if (definition.immunityAfter) {
+          entity.immuneUntil = entity.immuneUntil || new Map()
+          entity.immuneUntil.set(effect.id, now + definition.immunityAfter * 1000)
+        }
+
+        this.room.dslInterpreter.fireEvent('effectExpired', this.eventContext(entity, effect))
+      }
+    }
+  }
+
+  tick(entity, effect, tick) {
+    if (tick.heal) {
+      entity.health = Math.min(entity.maxHealth, entity.health + tick.heal * effect.stacks)
+    }
+    if (tick.damage) {
+      this.room.combat.applyDamage(entity, tick.damage * effect.stacks, effect.source, tick.damageType)
+    }
+  }
+
+  eventContext(entity, effect) {
+    const isPlayer = entity instanceof Player
+    return {
+      [isPlayer ? 'player' : 'npc']: entity,
+      effect: effect,
+      client: isPlayer ? this.room.clients.find(c => c.sessionId === entity.id) : undefined
+    }
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * @file Equipment system
+ * @description Equip slots, requirement checks and the synced equipment
+ * set that clients use to draw gear
+ */
+
+export const EQUIPMENT_SLOTS = ['head', 'body', 'legs', 'feet', 'hands', 'weapon', 'offhand', 'neck', 'ring']
+
+export class EquipmentSystem {
+  /**
+   * @param {GameRoom} room - Room the players are in
+   */
+  constructor(room) {
+    this.room = room
+  }
+
+  /**
+   * Equip the item in an inventory slot
+   * Whatever is in the item's equip slot is unequipped first.
+   * @param {Player} player - Player equipping
+   * @param {number} inventorySlot - Inventory slot of the item
+   * @returns {string|null} Rejection reason, or null when equipped
+   */
+  equip(player, inventorySlot) {
+    const entry = player.inventory.find(item => item.slot === inventorySlot)
+    if (!entry) return 'notFound'
+    if (entry.equipped) return null
+
+    const definition = this.room.findItemDefinition(entry.itemId)
+    const equipSlot = definition?.equipSlot
+    if (!EQUIPMENT_SLOTS.includes(equipSlot)) return 'notEquippable'
+
+    const unmet = this.checkRequirements(player, definition)
+    if (unmet) return unmet
+
+    this.unequip(player, equipSlot)
+    entry.equipped = true
+    player.equipment.set(equipSlot, entry.itemId)
+    return null
+  }
+
+  /**
+   * Unequip whatever is in an equip slot
+   * @param {Player} player - Player unequipping
+   * @param {string} equipSlot - Equip slot name
+   * @returns {boolean} True when something was unequipped
+   */
+  unequip(player, equipSlot) {
+    const entry = this.findEquipped(player, equipSlot)
+    if (!entry) return false
+
+    entry.equipped = false
+    player.equipment.delete(equipSlot)
+    return true
+  }
+
+  /**
+   * Check an item's requirements against a player
+   * Items declare `requirements: { "level": 5, "class": ["warrior"] }`.
+   * @param {Player} player - Player
+   * @param {Object} definition - Item definition
+   * @returns {string|null} First unmet requirement, or null
+   */
+  checkRequirements(player, definition) {
+    const requirements = definition.requirements || {}
+
+    if (requirements.level && player.level < requirements.level) {
+      return 'level'
+    }
+    if (requirements.class) {
+      const classes = Array.isArray(requirements.class) ? requirements.class : [requirements.class]
+      if (!classes.includes(player.characterClass)) return 'class'
+    }
+    return null
+  }
+
+  /**
+   * Rebuild the synced equipment set from the inventory's equipped flags
+   * Used after a character is loaded. Items that no longer fit (removed
+   * from the catalog, slot taken, requirements changed) are unequipped.
+   * @param {Player} player - Player to sync
+   */
+  sync(player) {
+    player.equipment.clear()
+
+    for (const entry of player.inventory) {
+      if (!entry.equipped) continue
+
+      const definition = this.room.findItemDefinition(entry.itemId)
+      const equipSlot = definition?.equipSlot
+      if (!EQUIPMENT_SLOTS.includes(equipSlot) || player.equipment.has(equipSlot) ||
+        this.checkRequirements(player, definition)) {
+        entry.equipped = false
+        continue
+      }
+      player.equipment.set(equipSlot, entry.itemId)
+    }
+  }
+
+  findEquipped(player, equipSlot) {
+    return player.inventory.find(entry =>
+      entry.equipped &&
+      this.room.findItemDefinition(entry.itemId)?.equipSlot === equipSlot
+    )
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * @file Guild system
+ * @description Keeps online players' guild membership and tag in step
+ * with the roster (managed through the REST API), and carries guild chat
+ * to every map room of the world through the room presence.
+ */
+
+import { getMembership } from '../services/guildService.js'
+
+export class GuildSystem {
+  /**
+   * @param {GameRoom} room - Room the guild members are in
+   */
+  constructor(room) {
+    this.room = room
+    this.topics = {
+      update: `guild:${room.projectId}`,
+      chat: `chat:${room.projectId}:guild`
+    }
+
+    this.onUpdate = ({ characterIds }) => this.onRosterChanged(characterIds)
+    this.onChat = message => this.deliverChat(message)
+    room.presence.subscribe(this.topics.update, this.onUpdate)
+    room.presence.subscribe(this.topics.chat, this.onChat)
+  }
+
+  /**
+   * Load a joining player's membership
+   * @param {Player} player - Player that joined
+   */
+  async onJoin(player) {
+    await this.refresh(player)
+  }
+
+  /**
+   * Reload the membership of online players whose roster entry changed
+   * @param {Array<string>} characterIds - Changed characters
+   */
+  onRosterChanged(characterIds) {
+    for (const player of this.room.state.players.values()) {
+      if (characterIds.includes(player.characterId)) this.refresh(player)
+    }
+  }
+
+  async refresh(player) {
+    try {
+      const membership = await getMembership(player.characterId)
+      player.guildId = membership?.guildId || null
+      player.guildTag = membership?.tag || ''
+      this.send(player, 'guildUpdate', membership)
+    } catch (error) {
+      console.error(`Error loading guild of ${player.characterId}:`, error)
+    }
+  }
+
+  /**
+   * Send a guild chat message to members on every map
+   * @param {Player} player - Sender
+   * @param {Object} message - Chat message
+   * @returns {string|null} Rejection reason
+   */
+  sendChat(player, message) {
+    if (!player.guildId) return 'notInGuild'
+
+    this.room.presence.publish(this.topics.chat, { guildId: player.guildId, message })
+    return null
+  }
+
+  deliverChat({ guildId, message }) {
+    for (const player of this.room.state.players.values()) {
+      if (player.guildId === guildId) this.send(player, 'chat', message)
+    }
+  }
+
+  dispose() {
+    this.room.presence.unsubscribe(this.topics.update, this.onUpdate)
+    this.room.presence.unsubscribe(this.topics.chat, this.onChat)
+  }
+
+  send(player, type, message) {
+    const client = this.room.clients.find(c => c.sessionId === player.id)
+    client?.send(type, message)
+  }
+}
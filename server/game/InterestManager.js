@@ -0,0 +1,139 @@
+/**
+ * @file Interest manager
+ * @description Keeps a per-client area of interest built from the room's
+ * spatial grids. The WorldState schema filters read these views, so each
+ * client only syncs the players, NPCs and items around its own player.
+ */
+
+export const INTEREST_COLLECTIONS = ['players', 'npcs', 'worldItems']
+
+export class InterestManager {
+  /**
+   * @param {Room} room - Game room owning the state
+   * @param {Object<string, SpatialGrid>} grids - Grid per state collection
+   */
+  constructor(room, grids) {
+    this.room = room
+    this.grids = grids
+  }
+
+  /**
+   * Start tracking a client and compute its initial view
+   * Must run before the client receives its first full state.
+   * @param {Client} client - Joining client
+   */
+  track(client) {
+    client.userData = client.userData || {}
+    client.userData.view = {}
+    for (const collection of INTEREST_COLLECTIONS) {
+      client.userData.view[collection] = new Set()
+    }
+    this.refresh(client)
+  }
+
+  /**
+   * Recompute every tracked client's view
+   */
+  update() {
+    for (const client of this.room.clients) {
+      this.refresh(client)
+    }
+  }
+
+  /**
+   * Recompute one client's view, revealing entities that entered it and
+   * telling the client what entered and left
+   * @param {Client} client - Client to refresh
+   */
+  refresh(client) {
+    const view = client.userData?.view
+    const player = this.room.state.players.get(client.sessionId)
+    if (!view || !player) return
+
+    const entered = {}
+    const left = {}
+    let changed = false
+
+    for (const collection of INTEREST_COLLECTIONS) {
+      const nearby = this.grids[collection].getNearby(player)
+      if (collection === 'players') {
+        nearby.add(client.sessionId)
+      }
+
+      const added = []
+      for (const key of nearby) {
+        if (!view[collection].has(key)) {
+          this.reveal(collection, key)
+          added.push(key)
+        }
+      }
+
+      const gone = []
+      for (const key of view[collection]) {
+        if (!nearby.has(key)) gone.push(key)
+      }
+
+      if (added.length > 0) {
+        entered[collection] = added
+        changed = true
+      }
+      if (gone.length > 0) {
+        left[collection] = gone
+        changed = true
+      }
+
+      view[collection] = nearby
+    }
+
+    // Schema filters never send deletes for filtered-out entries, so the
+    // client is told explicitly what entered and left its area of interest
+    if (changed) {
+      client.send('interest', { enter: entered, leave: left })
+    }
+  }
+
+  /**
+   * Mark an entity as changed so the schema filters are evaluated for it
+   * again on the next patch
+   * @param {string} collection - State collection name
+   * @param {string} key - Entity key
+   */
+  reveal(collection, key) {
+    const entities = this.room.state[collection]
+    const entity = entities.get(key)
+    if (!entity) return
+
+    const changes = entities['$changes']
+    changes.change(key)
+    changes.touchParents()
+
+    // Clients that had this entity hidden skipped its field changes, so
+    // fields and nested collections are resent along with the entry
+    resendFields(entity)
+  }
+}
+
+/**
+ * Mark every defined field of a schema instance as changed, descending
+ * into child schemas and collections (e.g. status effects)
+ * Entries removed while the client could not see the entity are not
+ * resent as deletes, so clients should not trust stale collection entries.
+ * @param {Schema} entity - Schema instance
+ */
+function resendFields(entity) {
+  for (const [field, type] of Object.entries(entity._definition.schema)) {
+    const value = entity[field]
+    if (value === undefined) continue
+
+    if (typeof type === 'string') {
+      entity['$changes'].change(field)
+    } else if (typeof value.forEach === 'function') {
+      value.forEach((child, key) => {
+        value['$changes'].change(key)
+        if (child?.['$changes']) resendFields(child)
+      })
+    } else if (value['$changes']) {
+      resendFields(value)
+    }
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * @file Item catalog
+ * @description Project-level item definitions with stacking and weight
+ * defaults, plus the world's inventory limits
+ */
+
+const DEFAULT_CAPACITY = 20
+const DEFAULT_MAX_STACK = 99
+
+export class ItemCatalog {
+  /**
+   * @param {Array<Object>} [items] - `items` list of the world data
+   * @param {Object} [inventory] - `inventory` block of the world data
+   * (`capacity` slots and optional `maxWeight`)
+   */
+  constructor(items = [], inventory = {}) {
+    this.items = new Map()
+    this.names = new Map()
+    this.capacity = Number(inventory.capacity) || DEFAULT_CAPACITY
+    this.maxWeight = Number(inventory.maxWeight) || 0
+
+    for (const item of items) {
+      if (!item?.id) continue
+      const definition = normalizeItem(item)
+      this.items.set(definition.id, definition)
+      if (!this.names.has(definition.name)) {
+        this.names.set(definition.name, definition)
+      }
+    }
+  }
+
+  /**
+   * Look up an item definition
+   * Inventories reference items by id; scripts may also use the name.
+   * @param {string} itemId - Item id or name
+   * @returns {Object|undefined} Item definition
+   */
+  get(itemId) {
+    return this.items.get(itemId) || this.names.get(itemId)
+  }
+}
+
+/**
+ * Fill in catalog defaults for an item definition
+ * @param {Object} item - Item from the world data
+ * @returns {Object} Item definition
+ */
+function normalizeItem(item) {
+  const stackable = Boolean(item.stackable)
+  return {
+    ...item,
+    id: String(item.id),
+    name: item.name || String(item.id),
+    icon: item.icon || '',
+    type: item.type || 'misc',
+    stackable,
+    maxStack: stackable ? Number(item.maxStack) || DEFAULT_MAX_STACK : 1,
+    weight: Number(item.weight) || 0,
+    value: Number(item.value) || 0
+  }
+}
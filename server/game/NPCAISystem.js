@@ -0,0 +1,347 @@
+/**
+ * @file NPC AI system
+ * @description Per-NPC behaviour state machine (idle, wander, patrol,
+ * chase, flee, return) with A* movement and leash ranges
+ */
+
+import { Pathfinder } from './Pathfinder.js'
+
+export const BEHAVIOURS = ['idle', 'wander', 'patrol']
+
+// Decisions run a few times a second; movement and attacks run every tick
+const THINK_INTERVAL = 200
+const REPATH_INTERVAL = 500
+const ARRIVE_DISTANCE = 0.1
+const DEFAULT_WANDER_RADIUS = 3
+const LEASH_FACTOR = 3
+
+/**
+ * Build the runtime AI block of an NPC from its map data
+ * Map data uses `ai: { behaviour, waypoints, wanderRadius, leashRange,
+ * fleeHealth }`; older maps only set `aiType`.
+ * @param {Object} npcData - NPC definition from the map
+ * @param {number} x - Home x
+ * @param {number} y - Home y
+ * @returns {Object} AI state
+ */
+export function normalizeAI(npcData, x, y) {
+  const config = npcData.ai || {}
+  const behaviour = [config.behaviour, npcData.aiType].find(b => BEHAVIOURS.includes(b)) || 'idle'
+
+  return {
+    behaviour,
+    state: behaviour,
+    home: { x, y },
+    waypoints: normalizeWaypoints(config.waypoints),
+    waypointIndex: 0,
+    wanderRadius: Number(config.wanderRadius) || DEFAULT_WANDER_RADIUS,
+    leashRange: Number(config.leashRange) || 0,
+    fleeHealth: Number(config.fleeHealth) || 0,
+    path: [],
+    pathGoal: null,
+    nextPathAt: 0,
+    waitUntil: 0,
+    nextThinkAt: 0
+  }
+}
+
+function normalizeWaypoints(waypoints) {
+  if (!Array.isArray(waypoints)) return []
+  return waypoints
+    .filter(point => Number.isFinite(Number(point?.x)) && Number.isFinite(Number(point?.y)))
+    .map(point => ({ x: Number(point.x), y: Number(point.y), wait: Number(point.wait) || 0 }))
+}
+
+export class NPCAISystem {
+  /**
+   * @param {GameRoom} room - Room the NPCs live in
+   */
+  constructor(room) {
+    this.room = room
+    this.pathfinder = new Pathfinder(room.collision)
+    this.thinkOffset = 0
+  }
+
+  /**
+   * Advance one NPC by a simulation tick
+   * NPCs with no player nearby sleep unless they are in combat or
+   * walking home, so idle parts of the map cost almost nothing.
+   * @param {NPC} npc - NPC to update
+   * @param {number} deltaTime - Milliseconds since the last tick
+   */
+  update(npc, deltaTime) {
+    const ai = npc.ai
+    if (!ai) return
+
+    const engaged = ai.state === 'chase' || ai.state === 'flee' || ai.state === 'return'
+    if (!engaged && this.room.grid.getNearby(npc).size === 0) {
+      npc.moving = false
+      return
+    }
+
+    const now = this.room.clock.currentTime
+    if (now >= ai.nextThinkAt) {
+      // Spread decisions of NPCs spawned together across ticks
+      if (ai.nextThinkAt === 0) {
+        this.thinkOffset = (this.thinkOffset + 17) % THINK_INTERVAL
+        ai.nextThinkAt = now + this.thinkOffset
+      } else {
+        ai.nextThinkAt = now + THINK_INTERVAL
+        this.think(npc, now)
+      }
+    }
+
+    if (ai.state === 'chase' && this.updateChase(npc, now)) return
+    this.move(npc, deltaTime)
+  }
+
+  think(npc, now) {
+    const ai = npc.ai
+    const target = npc.targetId ? this.room.state.players.get(npc.targetId) : null
+
+    switch (ai.state) {
+      case 'chase':
+        if (!target || !this.canChase(npc, target)) {
+          this.startReturn(npc, now)
+        } else if (ai.fleeHealth > 0 && npc.health <= npc.maxHealth * ai.fleeHealth) {
+          ai.state = 'flee'
+          this.flee(npc, target, now)
+        } else if (now >= ai.nextPathAt && this.goalMoved(ai, target)) {
+          this.pathTo(npc, target.x, target.y, now)
+        }
+        break
+
+      case 'flee':
+        if (!target || distance(npc, target) > npc.aggroRange * 2 || !this.canChase(npc, target)) {
+          this.startReturn(npc, now)
+        } else if (ai.path.length === 0) {
+          this.flee(npc, target, now)
+        }
+        break
+
+      case 'return':
+        if (distance(npc, ai.home) <= ARRIVE_DISTANCE) {
+          this.finishReturn(npc)
+        } else if (ai.path.length === 0 && !this.pathTo(npc, ai.home.x, ai.home.y, now)) {
+          // Home is unreachable from here (e.g. knocked into a pocket)
+          this.placeAt(npc, ai.home.x, ai.home.y)
+          this.finishReturn(npc)
+        }
+        break
+
+      default: {
+        // Hostile NPCs aggro on their own; others only fight back when hit
+        const aggro = target && this.canChase(npc, target)
+          ? target
+          : npc.hostile ? this.room.combat.findTarget(npc) : null
+
+        if (aggro) {
+          npc.targetId = aggro.id
+          ai.state = 'chase'
+          ai.waitUntil = 0
+          this.pathTo(npc, aggro.x, aggro.y, now)
+        } else {
+          npc.targetId = null
+          if (ai.state === 'wander') this.thinkWander(npc, now)
+          if (ai.state === 'patrol') this.thinkPatrol(npc, now)
+        }
+      }
+    }
+  }
+
+  /**
+   * Attack the chase target when in range
+   * @returns {boolean} True when the NPC is in range and holds position
+   */
+  updateChase(npc, now) {
+    const target = this.room.state.players.get(npc.targetId)
+    if (!target) return false
+
+    const range = this.room.combat.getStats(npc).range
+    if (distance(npc, target) > range) return false
+
+    npc.ai.path = []
+    npc.moving = false
+    this.face(npc, target.x - npc.x, target.y - npc.y)
+    if (this.room.combat.isReady(npc)) {
+      this.room.combat.attack(npc, target)
+    }
+    return true
+  }
+
+  thinkWander(npc, now) {
+    const ai = npc.ai
+    if (ai.path.length > 0) return
+
+    if (ai.waitUntil === 0) {
+      ai.waitUntil = now + 2000 + Math.random() * 3000
+      return
+    }
+    if (now < ai.waitUntil) return
+
+    ai.waitUntil = 0
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const x = Math.round(ai.home.x + (Math.random() * 2 - 1) * ai.wanderRadius)
+      const y = Math.round(ai.home.y + (Math.random() * 2 - 1) * ai.wanderRadius)
+      if (!this.room.collision.isBlocked(x, y) && this.pathTo(npc, x, y, now)) return
+    }
+  }
+
+  thinkPatrol(npc, now) {
+    const ai = npc.ai
+    if (ai.path.length > 0 || ai.waypoints.length === 0) return
+
+    const waypoint = ai.waypoints[ai.waypointIndex]
+    if (distance(npc, waypoint) > ARRIVE_DISTANCE) {
+      if (!this.pathTo(npc, waypoint.x, waypoint.y, now)) {
+        ai.waypointIndex = (ai.waypointIndex + 1) % ai.waypoints.length
+      }
+      return
+    }
+
+    if (ai.waitUntil === 0) {
+      ai.waitUntil = now + waypoint.wait * 1000
+    } else if (now >= ai.waitUntil) {
+      ai.waitUntil = 0
+      ai.waypointIndex = (ai.waypointIndex + 1) % ai.waypoints.length
+    }
+  }
+
+  flee(npc, target, now) {
+    const dx = npc.x - target.x
+    const dy = npc.y - target.y
+    const length = Math.hypot(dx, dy) || 1
+
+    for (const step of [6, 4, 2]) {
+      const x = Math.round(npc.x + (dx / length) * step)
+      const y = Math.round(npc.y + (dy / length) * step)
+      if (!this.room.collision.isBlocked(x, y) && this.pathTo(npc, x, y, now)) return
+    }
+  }
+
+  startReturn(npc, now) {
+    npc.targetId = null
+    npc.ai.state = 'return'
+    this.pathTo(npc, npc.ai.home.x, npc.ai.home.y, now)
+  }
+
+  // Leashed NPCs reset fully, as if the fight never happened
+  finishReturn(npc) {
+    const ai = npc.ai
+    ai.state = ai.behaviour
+    ai.path = []
+    ai.waitUntil = 0
+    npc.health = npc.maxHealth
+    npc.moving = false
+  }
+
+  /**
+   * Check that a chase target is still valid and inside the leash
+   * @param {NPC} npc - Chasing NPC
+   * @param {Player} target - Target player
+   * @returns {boolean} True when the NPC may keep chasing
+   */
+  canChase(npc, target) {
+    const leashRange = npc.ai.leashRange || npc.aggroRange * LEASH_FACTOR
+    return this.room.combat.canEngage(npc, target, Infinity) &&
+      distance(npc, npc.ai.home) <= leashRange &&
+      distance(target, npc.ai.home) <= leashRange
+  }
+
+  goalMoved(ai, target) {
+    return !ai.pathGoal || distance(ai.pathGoal, target) > 1 || ai.path.length === 0
+  }
+
+  pathTo(npc, x, y, now) {
+    const ai = npc.ai
+    ai.path = this.pathfinder.findPath(npc.x, npc.y, x, y) || []
+    ai.pathGoal = { x, y }
+    ai.nextPathAt = now + REPATH_INTERVAL
+    return ai.path.length > 0
+  }
+
+  move(npc, deltaTime) {
+    const path = npc.ai.path
+    if (path.length === 0) {
+      npc.moving = false
+      return
+    }
+
+    const speed = npc.moveSpeed * this.room.effects.getMoveSpeedMultiplier(npc)
+    let budget = speed * deltaTime / 1000
+
+    while (budget > 0 && path.length > 0) {
+      const waypoint = path[0]
+      const dx = waypoint.x - npc.x
+      const dy = waypoint.y - npc.y
+      const length = Math.hypot(dx, dy)
+      this.face(npc, dx, dy)
+
+      if (length <= budget) {
+        npc.x = waypoint.x
+        npc.y = waypoint.y
+        budget -= length
+        path.shift()
+      } else {
+        npc.x += (dx / length) * budget
+        npc.y += (dy / length) * budget
+        budget = 0
+      }
+    }
+
+    npc.moving = true
+    this.room.npcGrid.update(npc)
+  }
+
+  placeAt(npc, x, y) {
+    npc.x = x
+    npc.y = y
+    this.room.npcGrid.update(npc)
+  }
+
+  face(npc, dx, dy) {
+    if (dx === 0 && dy === 0) return
+    npc.facing = Math.abs(dx) > Math.abs(dy)
+      ? (dx > 0 ? 'right' : 'left')
+      : (dy > 0 ? 'down' : 'up')
+  }
+
+  /**
+   * Change an NPC's behaviour at runtime (used by DSL scripts)
+   * @param {NPC} npc - NPC to change
+   * @param {string} behaviour - idle, wander or patrol
+   * @param {Object} [options] - waypoints, wanderRadius, leashRange,
+   * fleeHealth, aggroRange, hostile or home overrides
+   * @returns {boolean} False when the behaviour is unknown
+   */
+  setBehaviour(npc, behaviour, options = {}) {
+    if (!npc?.ai || !BEHAVIOURS.includes(behaviour)) return false
+
+    const ai = npc.ai
+    if (options.waypoints) {
+      ai.waypoints = normalizeWaypoints(options.waypoints)
+      ai.waypointIndex = 0
+    }
+    for (const key of ['wanderRadius', 'leashRange', 'fleeHealth']) {
+      if (Number.isFinite(Number(options[key]))) ai[key] = Number(options[key])
+    }
+    if (Number.isFinite(Number(options.aggroRange))) npc.aggroRange = Number(options.aggroRange)
+    if (typeof options.hostile === 'boolean') npc.hostile = options.hostile
+    if (options.home) ai.home = { x: Number(options.home.x), y: Number(options.home.y) }
+
+    ai.behaviour = behaviour
+    npc.aiType = behaviour
+
+    // Fights finish first; the new behaviour starts once the NPC is home
+    if (BEHAVIOURS.includes(ai.state)) {
+      ai.state = behaviour
+      ai.path = []
+      ai.waitUntil = 0
+    }
+    return true
+  }
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y)
+}
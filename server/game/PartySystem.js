@@ -0,0 +1,615 @@
+/**
+ * @file Party system
+ * @description Player groups with a leader and a size limit. Parties are
+ * kept in the room presence, per world and by character id, so members
+ * stay in their party across map changes and reconnects; a member who
+ * stays away too long is dropped. Changes to a party take its presence
+ * lock, since members may act from different map rooms at once. Party
+ * frames and chat reach members on every map through presence pub/sub.
+ * Kill experience and loot ownership are shared among nearby members.
+ */
+
+import { randomUUID } from 'node:crypto'
+import { setTimeout as delay } from 'node:timers/promises'
+
+export const EXPERIENCE_RULES = ['split', 'full', 'killer']
+export const LOOT_RULES = ['killer', 'party', 'roundRobin']
+
+const DEFAULT_MAX_SIZE = 5
+const DEFAULT_SHARE_RANGE = 20 // Tiles
+const INVITE_TIMEOUT = 60000
+const OFFLINE_TIMEOUT = 10 * 60 * 1000
+const SWEEP_INTERVAL = 60 * 1000 // Also how often online frames are marked seen
+const LOCK_RETRY = 50 // ms
+const LOCK_ATTEMPTS = 40
+const LOCK_STALE_COUNT = 200 // Waits on one lock before it counts as abandoned
+
+export class PartySystem {
+  /**
+   * @param {GameRoom} room - Room the parties play in
+   * @param {Object} [config] - `party` settings of the world data:
+   * `{ maxSize, shareRange, experience, loot }`
+   */
+  constructor(room, config = {}) {
+    this.room = room
+    this.maxSize = Number(config.maxSize) || DEFAULT_MAX_SIZE
+    this.shareRange = Number(config.shareRange) || DEFAULT_SHARE_RANGE
+    this.experienceRule = EXPERIENCE_RULES.includes(config.experience) ? config.experience : 'split'
+    this.lootRule = LOOT_RULES.includes(config.loot) ? config.loot : 'killer'
+
+    this.invites = new Map() // target characterId -> Map(from characterId -> expiresAt)
+    this.memberships = new Map() // characterId -> partyId, for players in this room
+    this.frameSignatures = new Map() // characterId -> last published frame
+    this.nextLoot = new Map() // partyId -> round-robin position
+    this.updating = false
+    this.lastSweep = Date.now()
+
+    // Presence keys and topics are per world so every map room shares them
+    const prefix = `party:${room.projectId}`
+    this.keys = {
+      parties: `${prefix}:parties`, // partyId -> { id, leaderId, memberIds }
+      members: `${prefix}:members`, // characterId -> partyId
+      frames: `${prefix}:frames`, // characterId -> party frame
+      locks: `${prefix}:lock` // Followed by a party or character id
+    }
+    this.topics = {
+      update: prefix,
+      chat: `chat:${room.projectId}:party`
+    }
+
+    this.onUpdate = message => this.onPartyChanged(message)
+    this.onChat = message => this.deliverChat(message)
+    room.presence.subscribe(this.topics.update, this.onUpdate)
+    room.presence.subscribe(this.topics.chat, this.onChat)
+  }
+
+  /**
+   * Dispatch a `party` client message by its action
+   * @param {Player} player - Player sending the message
+   * @param {Object} message - `{ action, ... }`
+   */
+  async handleMessage(player, message) {
+    const { action } = message || {}
+    let rejection
+
+    try {
+      switch (action) {
+        case 'invite': rejection = await this.invite(player, message.targetId); break
+        case 'accept': rejection = await this.accept(player, message.fromId); break
+        case 'decline': rejection = this.decline(player, message.fromId); break
+        case 'leave': rejection = await this.leave(player); break
+        case 'kick': rejection = await this.kick(player, message.characterId); break
+        case 'promote': rejection = await this.promote(player, message.characterId); break
+        default: rejection = 'unknownAction'
+      }
+    } catch (error) {
+      console.error(`Error handling party ${action} from ${player.characterId}:`, error)
+      rejection = 'error'
+    }
+
+    if (rejection) {
+      this.send(player, 'partyError', { action, reason: rejection })
+    }
+  }
+
+  /**
+   * Invite another player into the inviter's party (or a new one)
+   * @returns {Promise<string|null>} Rejection reason, or null when sent
+   */
+  async invite(player, targetId) {
+    const target = this.room.state.players.get(targetId)
+    if (!target || target === player) return 'notFound'
+    if (await this.loadPartyOf(target.characterId)) return 'inParty'
+
+    const party = await this.loadPartyOf(player.characterId)
+    if (party && party.leaderId !== player.characterId) return 'notLeader'
+    if (party && party.memberIds.length >= this.maxSize) return 'partyFull'
+
+    if (!this.invites.has(target.characterId)) this.invites.set(target.characterId, new Map())
+    this.invites.get(target.characterId).set(player.characterId, this.room.clock.currentTime + INVITE_TIMEOUT)
+
+    this.send(target, 'partyInvite', { fromId: player.characterId, fromName: player.name })
+    return null
+  }
+
+  /**
+   * Accept an invite; a party is formed when the inviter had none
+   * @param {Player} player - Invited player
+   * @param {string} fromId - Inviter's character id
+   * @returns {Promise<string|null>} Rejection reason
+   */
+  async accept(player, fromId) {
+    const expiresAt = this.invites.get(player.characterId)?.get(fromId)
+    this.invites.get(player.characterId)?.delete(fromId)
+    if (!expiresAt || this.room.clock.currentTime > expiresAt) return 'noInvite'
+
+    // Both characters are locked, always in the same order, so neither
+    // joins another party meanwhile
+    const [first, second] = [player.characterId, fromId].sort()
+    return this.withLock(first, () => this.withLock(second, async () => {
+      if (await this.loadPartyOf(player.characterId)) return 'inParty'
+
+      const partyId = await this.foundParty(fromId)
+      if (!partyId) return 'notFound'
+
+      return this.withLock(partyId, async () => {
+        // Checked again inside the lock; another room may have filled it
+        const party = await this.loadParty(partyId)
+        if (!party) return 'notFound'
+        if (party.memberIds.length >= this.maxSize) return 'partyFull'
+
+        await this.addMember(party, player)
+        this.invites.delete(player.characterId)
+        await this.saveParty(party)
+        return null
+      })
+    }))
+  }
+
+  // Id of the inviter's party; one is formed with them as leader when
+  // they have none
+  async foundParty(characterId) {
+    const existing = await this.loadPartyOf(characterId)
+    if (existing) return existing.id
+
+    const inviter = this.findPlayer(characterId)
+    if (!inviter) return null
+
+    const party = { id: randomUUID(), leaderId: characterId, memberIds: [] }
+    await this.addMember(party, inviter)
+    await this.room.presence.hset(this.keys.parties, party.id, JSON.stringify(party))
+    return party.id
+  }
+
+  decline(player, fromId) {
+    if (!this.invites.get(player.characterId)?.delete(fromId)) return 'noInvite'
+
+    const inviter = this.findPlayer(fromId)
+    if (inviter) this.send(inviter, 'partyDeclined', { characterId: player.characterId })
+    return null
+  }
+
+  leave(player) {
+    return this.changePartyOf(player.characterId, party =>
+      this.removeMember(party, player.characterId, 'left'))
+  }
+
+  kick(player, characterId) {
+    return this.changePartyOf(player.characterId, party => {
+      if (party.leaderId !== player.characterId) return 'notLeader'
+      if (characterId === player.characterId || !party.memberIds.includes(characterId)) return 'notFound'
+
+      return this.removeMember(party, characterId, 'kicked')
+    })
+  }
+
+  promote(player, characterId) {
+    return this.changePartyOf(player.characterId, async party => {
+      if (party.leaderId !== player.characterId) return 'notLeader'
+      if (!party.memberIds.includes(characterId)) return 'notFound'
+
+      party.leaderId = characterId
+      await this.saveParty(party)
+      return null
+    })
+  }
+
+  /**
+   * Put a joining member back into their party, whichever map they left
+   * it on
+   * @param {Player} player - Player that joined the room
+   */
+  async onJoin(player) {
+    try {
+      const party = await this.loadPartyOf(player.characterId)
+      if (!party) return
+
+      this.memberships.set(player.characterId, party.id)
+      await this.publishFrame(player)
+      this.publish(party.id)
+    } catch (error) {
+      console.error(`Error loading party of ${player.characterId}:`, error)
+    }
+  }
+
+  /**
+   * Keep a leaving member's place; their last frame stays visible to
+   * the others until they join a room again or time out
+   * @param {Player} player - Player leaving the room
+   */
+  async onLeave(player) {
+    this.invites.delete(player.characterId)
+    for (const pending of this.invites.values()) {
+      pending.delete(player.characterId)
+    }
+
+    const partyId = this.memberships.get(player.characterId)
+    if (!partyId) return
+
+    this.memberships.delete(player.characterId)
+    this.frameSignatures.delete(player.characterId)
+    try {
+      const frame = { ...this.describePlayer(player), online: false, offlineSince: Date.now() }
+      await this.room.presence.hset(this.keys.frames, player.characterId, JSON.stringify(frame))
+      this.publish(partyId)
+    } catch (error) {
+      console.error(`Error leaving party of ${player.characterId}:`, error)
+    }
+  }
+
+  /**
+   * Publish changed frames of members in this room and, now and then,
+   * drop members who stayed away too long
+   */
+  async update() {
+    if (this.updating) return
+    this.updating = true
+
+    try {
+      const changed = new Set()
+      for (const player of this.room.state.players.values()) {
+        const partyId = this.memberships.get(player.characterId)
+        if (partyId && await this.publishFrame(player)) changed.add(partyId)
+      }
+      for (const partyId of changed) {
+        this.publish(partyId)
+      }
+
+      if (Date.now() - this.lastSweep > SWEEP_INTERVAL) {
+        this.lastSweep = Date.now()
+        await this.sweep()
+      }
+    } catch (error) {
+      console.error('Error updating parties:', error)
+    } finally {
+      this.updating = false
+    }
+  }
+
+  /**
+   * Drop members of any party, on every map, who were last seen more than
+   * OFFLINE_TIMEOUT ago; parties whose members are all gone go with them
+   * Members in this room are marked seen first. Online frames only count
+   * while some room keeps marking them, so parties left behind by a room
+   * that went away expire too.
+   */
+  async sweep() {
+    for (const player of this.room.state.players.values()) {
+      if (this.memberships.has(player.characterId)) await this.publishFrame(player, { force: true })
+    }
+
+    const now = Date.now()
+    const parties = await this.room.presence.hgetall(this.keys.parties) || {}
+    for (const stored of Object.values(parties)) {
+      const party = JSON.parse(stored)
+      const frames = await this.loadFrames(party)
+
+      for (const characterId of party.memberIds) {
+        const frame = frames[characterId]
+        const lastSeen = frame?.online ? frame.seenAt : frame?.offlineSince
+        if (lastSeen && now - lastSeen <= OFFLINE_TIMEOUT) continue
+
+        await this.changePartyOf(characterId, current =>
+          this.removeMember(current, characterId, 'timedOut'))
+      }
+    }
+  }
+
+  /**
+   * Send a party chat message to members on every map
+   * @param {Player} player - Sender
+   * @param {Object} message - Chat message
+   * @returns {string|null} Rejection reason
+   */
+  sendChat(player, message) {
+    const partyId = this.memberships.get(player.characterId)
+    if (!partyId) return 'notInParty'
+
+    this.room.presence.publish(this.topics.chat, { partyId, message })
+    return null
+  }
+
+  deliverChat({ partyId, message }) {
+    for (const player of this.room.state.players.values()) {
+      if (this.memberships.get(player.characterId) === partyId) this.send(player, 'chat', message)
+    }
+  }
+
+  /**
+   * Hand out kill experience
+   * Players outside a party, or with the `killer` rule, keep it all;
+   * otherwise it goes to members near the killer, split evenly (`split`)
+   * or in full to each (`full`).
+   * @param {Player} killer - Player that landed the final blow
+   * @param {number} amount - Experience for the kill
+   */
+  grantExperience(killer, amount) {
+    if (!killer || !(amount > 0)) return
+
+    const members = this.experienceRule === 'killer' ? [killer] : this.getNearbyMembers(killer)
+    const share = this.experienceRule === 'split' ? Math.ceil(amount / members.length) : amount
+
+    for (const member of members) {
+      member.experience += share
+      this.room.dslInterpreter.checkLevelUp(member)
+    }
+  }
+
+  /**
+   * Pick who a loot drop is reserved for
+   * With the `roundRobin` rule, drops rotate among nearby members.
+   * @param {Player} killer - Player that landed the final blow
+   * @returns {Player} Drop owner
+   */
+  getLootOwner(killer) {
+    const partyId = this.memberships.get(killer?.characterId)
+    if (!partyId || this.lootRule !== 'roundRobin') return killer
+
+    const members = this.getNearbyMembers(killer)
+    const position = this.nextLoot.get(partyId) || 0
+    this.nextLoot.set(partyId, position + 1)
+    return members[position % members.length]
+  }
+
+  /**
+   * Check whether a player may take loot reserved for someone else
+   * With the `party` rule, drops are shared by the owner's party.
+   * @param {Player} player - Player picking up
+   * @param {string} ownerId - Session id the drop is reserved for
+   * @returns {boolean} True when they share a party and the rule allows it
+   */
+  canLoot(player, ownerId) {
+    if (this.lootRule !== 'party') return false
+
+    const owner = this.room.state.players.get(ownerId)
+    const partyId = this.memberships.get(player.characterId)
+    return Boolean(partyId && owner) && this.memberships.get(owner.characterId) === partyId
+  }
+
+  /**
+   * Members of a player's party in this room, including the player
+   * @param {Player} player - Party member
+   * @returns {Array<Player>} Members in this room
+   */
+  getOnlineMembers(player) {
+    const partyId = this.memberships.get(player.characterId)
+    return partyId ? this.getLocalMembers(partyId) : []
+  }
+
+  // Living members within shareRange of a player (the player included)
+  getNearbyMembers(player) {
+    const members = this.getOnlineMembers(player).filter(member =>
+      member === player ||
+      (!member.dead && this.room.isInRange(player, member, this.shareRange))
+    )
+    return members.length > 0 ? members : [player]
+  }
+
+  /**
+   * Load the party a character belongs to
+   * @param {string} characterId - Character id
+   * @returns {Promise<Object|null>} `{ id, leaderId, memberIds }`
+   */
+  async loadPartyOf(characterId) {
+    const partyId = await this.room.presence.hget(this.keys.members, characterId)
+    if (!partyId) return null
+
+    const party = await this.loadParty(partyId)
+    if (party?.memberIds.includes(characterId)) return party
+
+    // Left over from a party that has since changed
+    await this.room.presence.hdel(this.keys.members, characterId)
+    return null
+  }
+
+  /**
+   * Run a change to a character's party while holding the party's lock
+   * The party is loaded again inside the lock, so the change sees what
+   * other rooms did before it.
+   * @param {string} characterId - Party member
+   * @param {Function} change - Gets the party; returns a rejection reason
+   * @returns {Promise<string|null>} Rejection reason
+   */
+  async changePartyOf(characterId, change) {
+    const party = await this.loadPartyOf(characterId)
+    if (!party) return 'notInParty'
+
+    return this.withLock(party.id, async () => {
+      const current = await this.loadParty(party.id)
+      if (!current?.memberIds.includes(characterId)) return 'notInParty'
+      return change(current)
+    })
+  }
+
+  /**
+   * Run a task while holding a presence lock
+   * The first room to count the lock's key up to one holds it; the others
+   * retry until it's deleted. A key counted far past that was left by a
+   * room that went away while holding it, and is cleared.
+   * @param {string} name - Party or character id
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} What the task returns
+   */
+  async withLock(name, task) {
+    const key = `${this.keys.locks}:${name}`
+    const { presence } = this.room
+
+    for (let attempt = 0; attempt < LOCK_ATTEMPTS; attempt++) {
+      const count = await presence.incr(key)
+      if (count === 1) {
+        try {
+          return await task()
+        } finally {
+          await presence.del(key)
+        }
+      }
+      if (count > LOCK_STALE_COUNT) await presence.del(key)
+      await delay(LOCK_RETRY)
+    }
+    throw new Error(`Party lock ${name} is busy`)
+  }
+
+  async loadParty(partyId) {
+    const stored = await this.room.presence.hget(this.keys.parties, partyId)
+    return stored ? JSON.parse(stored) : null
+  }
+
+  async saveParty(party, change = {}) {
+    await this.room.presence.hset(this.keys.parties, party.id, JSON.stringify(party))
+    this.publish(party.id, change)
+  }
+
+  async addMember(party, player) {
+    party.memberIds.push(player.characterId)
+    await this.room.presence.hset(this.keys.members, player.characterId, party.id)
+    this.memberships.set(player.characterId, party.id)
+    this.frameSignatures.delete(player.characterId)
+    await this.publishFrame(player)
+  }
+
+  /**
+   * Take a member out of a party, holding its lock
+   * Leaders hand over to the next member, preferring one who is online;
+   * a party left with one member is disbanded.
+   * @returns {Promise<null>} No rejection
+   */
+  async removeMember(current, characterId, reason) {
+    const { presence } = this.room
+    current.memberIds = current.memberIds.filter(id => id !== characterId)
+    await presence.hdel(this.keys.members, characterId)
+    await presence.hdel(this.keys.frames, characterId)
+
+    if (current.memberIds.length <= 1) {
+      await presence.hdel(this.keys.parties, current.id)
+      this.publish(current.id, { left: characterId, reason })
+      for (const remaining of current.memberIds) {
+        await presence.hdel(this.keys.members, remaining)
+        await presence.hdel(this.keys.frames, remaining)
+        this.publish(current.id, { left: remaining, reason: 'disbanded' })
+      }
+      return null
+    }
+
+    if (current.leaderId === characterId) {
+      const frames = await this.loadFrames(current)
+      current.leaderId = current.memberIds.find(id => frames[id]?.online) || current.memberIds[0]
+    }
+    await this.saveParty(current, { left: characterId, reason })
+    return null
+  }
+
+  /**
+   * Reload a changed party and send it to its members in this room
+   * @param {Object} message - `{ partyId, left, reason }`; `left` is a
+   * character that was taken out of the party
+   */
+  async onPartyChanged({ partyId, left, reason }) {
+    if (left && this.memberships.get(left) === partyId) {
+      this.memberships.delete(left)
+      this.frameSignatures.delete(left)
+      const player = this.findPlayer(left)
+      if (player) this.send(player, 'partyLeft', { partyId, reason })
+    }
+
+    if (this.getLocalMembers(partyId).length === 0) {
+      this.nextLoot.delete(partyId)
+      return
+    }
+
+    try {
+      const party = await this.loadParty(partyId)
+      if (!party) return
+
+      const frames = await this.loadFrames(party)
+      const description = this.describe(party, frames)
+      for (const player of this.getLocalMembers(partyId)) {
+        this.send(player, 'partyUpdate', description)
+      }
+    } catch (error) {
+      console.error(`Error loading party ${partyId}:`, error)
+    }
+  }
+
+  async loadFrames(party) {
+    const frames = {}
+    for (const characterId of party.memberIds) {
+      const stored = await this.room.presence.hget(this.keys.frames, characterId)
+      if (stored) frames[characterId] = JSON.parse(stored)
+    }
+    return frames
+  }
+
+  /**
+   * Store a member's frame when it changed since it was last published
+   * @param {Player} player - Member in this room
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Store it anyway, marking the member seen
+   * @returns {Promise<boolean>} True when the frame changed
+   */
+  async publishFrame(player, { force = false } = {}) {
+    const frame = { ...this.describePlayer(player), online: true, offlineSince: null }
+    const signature = JSON.stringify(frame)
+    const changed = this.frameSignatures.get(player.characterId) !== signature
+    if (!changed && !force) return false
+
+    this.frameSignatures.set(player.characterId, signature)
+    await this.room.presence.hset(this.keys.frames, player.characterId,
+      JSON.stringify({ ...frame, seenAt: Date.now() }))
+    return changed
+  }
+
+  publish(partyId, extra = {}) {
+    this.room.presence.publish(this.topics.update, { partyId, ...extra })
+  }
+
+  describe(party, frames) {
+    return {
+      partyId: party.id,
+      leaderId: party.leaderId,
+      members: party.memberIds.map(characterId => {
+        const { offlineSince, seenAt, ...frame } = frames[characterId] || { online: false }
+        return { ...frame, characterId }
+      })
+    }
+  }
+
+  // Party frame of a member, as shown to the rest of the party
+  describePlayer(player) {
+    return {
+      characterId: player.characterId,
+      playerId: player.id,
+      name: player.name,
+      level: player.level,
+      health: player.health,
+      maxHealth: player.maxHealth,
+      mana: player.mana,
+      maxMana: player.maxMana,
+      x: Math.round(player.x),
+      y: Math.round(player.y),
+      mapId: player.mapId,
+      dead: Boolean(player.dead)
+    }
+  }
+
+  getLocalMembers(partyId) {
+    return [...this.room.state.players.values()]
+      .filter(player => this.memberships.get(player.characterId) === partyId)
+  }
+
+  findPlayer(characterId) {
+    for (const player of this.room.state.players.values()) {
+      if (player.characterId === characterId) return player
+    }
+    return null
+  }
+
+  dispose() {
+    this.room.presence.unsubscribe(this.topics.update, this.onUpdate)
+    this.room.presence.unsubscribe(this.topics.chat, this.onChat)
+  }
+
+  send(player, type, message) {
+    const client = this.room.clients.find(c => c.sessionId === player.id)
+    client?.send(type, message)
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * @file Grid pathfinder
+ * @description A* over a map's collision tiles with 8-way movement,
+ * no corner cutting and a node budget so one search can't stall a tick
+ */
+
+const DEFAULT_MAX_NODES = 2000
+const DIAGONAL_COST = Math.SQRT2
+
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, DIAGONAL_COST], [1, -1, DIAGONAL_COST], [-1, 1, DIAGONAL_COST], [-1, -1, DIAGONAL_COST]
+]
+
+export class Pathfinder {
+  /**
+   * @param {CollisionMap} collision - Collision map to search
+   */
+  constructor(collision) {
+    this.collision = collision
+    this.width = collision.width
+    this.height = collision.height
+  }
+
+  /**
+   * Find a walkable path between two positions
+   * Positions are in tiles; waypoints are the tile coordinates to walk
+   * through, smoothed so straight stretches become a single waypoint.
+   * @param {number} fromX - Start x
+   * @param {number} fromY - Start y
+   * @param {number} toX - Goal x
+   * @param {number} toY - Goal y
+   * @param {Object} [options] - Search options
+   * @param {number} [options.maxNodes] - Nodes to expand before giving up
+   * @returns {Array<{x: number, y: number}>|null} Waypoints, or null when unreachable
+   */
+  findPath(fromX, fromY, toX, toY, options = {}) {
+    if (this.collision.isBlocked(toX, toY)) return null
+
+    // Open ground needs no search
+    if (this.collision.isPathClear(fromX, fromY, toX, toY)) {
+      return [{ x: toX, y: toY }]
+    }
+
+    const start = this.index(fromX, fromY)
+    const goal = this.index(toX, toY)
+    const goalX = Math.floor(toX)
+    const goalY = Math.floor(toY)
+    const maxNodes = options.maxNodes || DEFAULT_MAX_NODES
+
+    const cost = new Map([[start, 0]])
+    const cameFrom = new Map()
+    const closed = new Set()
+    const open = new MinHeap()
+    open.push(start, 0)
+
+    while (open.size > 0 && closed.size < maxNodes) {
+      const current = open.pop()
+      if (current === goal) {
+        return this.smooth(fromX, fromY, this.reconstruct(cameFrom, current), toX, toY)
+      }
+      if (closed.has(current)) continue
+      closed.add(current)
+
+      const x = current % this.width
+      const y = Math.floor(current / this.width)
+
+      for (const [dx, dy, stepCost] of NEIGHBOURS) {
+        const nx = x + dx
+        const ny = y + dy
+        if (this.collision.isBlocked(nx, ny)) continue
+        // Diagonals may not squeeze between two blocked tiles
+        if (dx !== 0 && dy !== 0 &&
+          (this.collision.isBlocked(x + dx, y) || this.collision.isBlocked(x, y + dy))) {
+          continue
+        }
+
+        const next = ny * this.width + nx
+        const nextCost = cost.get(current) + stepCost
+        if (nextCost < (cost.get(next) ?? Infinity)) {
+          cost.set(next, nextCost)
+          cameFrom.set(next, current)
+          open.push(next, nextCost + octile(nx, ny, goalX, goalY))
+        }
+      }
+    }
+
+    return null
+  }
+
+  index(x, y) {
+    return Math.floor(y) * this.width + Math.floor(x)
+  }
+
+  reconstruct(cameFrom, current) {
+    const tiles = []
+    while (cameFrom.has(current)) {
+      tiles.push({ x: current % this.width, y: Math.floor(current / this.width) })
+      current = cameFrom.get(current)
+    }
+    return tiles.reverse()
+  }
+
+  /**
+   * Drop waypoints that can be skipped with a clear straight line
+   * The last tile is replaced by the exact goal position.
+   */
+  smooth(fromX, fromY, tiles, toX, toY) {
+    if (tiles.length === 0) return [{ x: toX, y: toY }]
+    tiles[tiles.length - 1] = { x: toX, y: toY }
+
+    const waypoints = []
+    let anchor = { x: fromX, y: fromY }
+    for (let i = 0; i < tiles.length; i++) {
+      const next = tiles[i + 1]
+      if (!next || !this.collision.isPathClear(anchor.x, anchor.y, next.x, next.y)) {
+        waypoints.push(tiles[i])
+        anchor = tiles[i]
+      }
+    }
+    return waypoints
+  }
+}
+
+function octile(x0, y0, x1, y1) {
+  const dx = Math.abs(x1 - x0)
+  const dy = Math.abs(y1 - y0)
+  return Math.max(dx, dy) + (DIAGONAL_COST - 1) * Math.min(dx, dy)
+}
+
+// Binary heap of node indexes keyed by priority
+class MinHeap {
+  constructor() {
+    this.nodes = []
+    this.priorities = []
+  }
+
+  get size() {
+    return this.nodes.length
+  }
+
+  push(node, priority) {
+    this.nodes.push(node)
+    this.priorities.push(priority)
+    let i = this.nodes.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (this.priorities[parent] <= priority) break
+      this.swap(i, parent)
+      i = parent
+    }
+  }
+
+  pop() {
+    const top = this.nodes[0]
+    const lastNode = this.nodes.pop()
+    const lastPriority = this.priorities.pop()
+
+    if (this.nodes.length > 0) {
+      this.nodes[0] = lastNode
+      this.priorities[0] = lastPriority
+      let i = 0
+      for (;;) {
+        const left = i * 2 + 1
+        const right = left + 1
+        let smallest = i
+        if (left < this.nodes.length && this.priorities[left] < this.priorities[smallest]) smallest = left
+        if (right < this.nodes.length && this.priorities[right] < this.priorities[smallest]) smallest = right
+        if (smallest === i) break
+        this.swap(i, smallest)
+        i = smallest
+      }
+    }
+
+    return top
+  }
+
+  swap(a, b) {
+    [this.nodes[a], this.nodes[b]] = [this.nodes[b], this.nodes[a]];
+    [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]]
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * @file Quest system
+ * @description Quest definitions with kill, fetch and waypoint objectives,
+ * prerequisites, chains and rewards. Progress is tracked from game events
+ * and kept on the player so it is saved with the character.
+ */
+
+import {
+  addItem,
+  removeItem,
+  countItem,
+  cloneInventory
+} from '../services/inventoryService.js'
+
+export const OBJECTIVE_TYPES = ['kill', 'fetch', 'waypoint']
+
+export class QuestSystem {
+  /**
+   * @param {GameRoom} room - Room the players are in
+   * @param {Array<Object>} [quests] - `quests` list of the world data
+   */
+  constructor(room, quests = []) {
+    this.room = room
+    this.quests = new Map()
+
+    for (const quest of quests) {
+      if (quest?.id) this.quests.set(quest.id, normalizeQuest(quest))
+    }
+  }
+
+  /**
+   * Start a quest for a player
+   * Quest ids without a definition still start, with no objectives, so
+   * older scripts that track quests by id keep working.
+   * @param {Player} player - Player
+   * @param {string} questId - Quest id
+   * @returns {string|null} Rejection reason, or null when started
+   */
+  start(player, questId) {
+    const quest = this.getQuest(questId)
+    if (player.activeQuests.includes(questId)) return 'active'
+    if (player.completedQuests.includes(questId) && !quest.repeatable) return 'completed'
+
+    const missing = quest.prerequisites.find(id => !player.completedQuests.includes(id))
+    if (missing) return 'prerequisites'
+
+    player.activeQuests.push(questId)
+    player.questProgress.set(questId, quest.objectives.map(() => 0))
+
+    this.send(player, 'questStarted', { questId })
+    this.refresh(player, questId)
+    return null
+  }
+
+  /**
+   * Complete a quest and grant its rewards
+   * Fetch items are handed in and rewards are added in one step; when
+   * the rewards don't fit, the quest stays active.
+   * @param {Player} player - Player
+   * @param {string} questId - Quest id
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Skip the objective check (scripts)
+   * @returns {string|null} Rejection reason, or null when completed
+   */
+  complete(player, questId, { force = false } = {}) {
+    if (!player.activeQuests.includes(questId)) return 'notActive'
+
+    const quest = this.getQuest(questId)
+    if (!force && !this.isReady(player, quest)) return 'incomplete'
+
+    const handIn = force ? [] : quest.objectives.filter(o => o.type === 'fetch' && o.consume)
+    const blocked = this.checkRewards(player, quest, handIn)
+    if (blocked) {
+      this.send(player, 'questRewardBlocked', { questId, reason: blocked })
+      return blocked
+    }
+
+    for (const objective of handIn) {
+      removeItem(player, this.room.items, objective.itemId, objective.count)
+    }
+
+    player.activeQuests.splice(player.activeQuests.indexOf(questId), 1)
+    player.questProgress.delete(questId)
+    if (!player.completedQuests.includes(questId)) {
+      player.completedQuests.push(questId)
+    }
+
+    this.grantRewards(player, quest.rewards)
+    this.send(player, 'questCompleted', { questId, rewards: quest.rewards })
+
+    this.room.dslInterpreter.fireEvent('questComplete', {
+      player: player,
+      questId: questId
+    })
+
+    // Chains carry straight on to the next quest
+    if (quest.next) this.start(player, quest.next)
+    return null
+  }
+
+  /**
+   * Drop an active quest and its progress
+   * @returns {boolean} True when the quest was active
+   */
+  abandon(player, questId) {
+    const index = player.activeQuests.indexOf(questId)
+    if (index === -1) return false
+
+    player.activeQuests.splice(index, 1)
+    player.questProgress.delete(questId)
+    this.send(player, 'questAbandoned', { questId })
+    return true
+  }
+
+  /**
+   * Count a kill for the killer's kill objectives
+   * Objectives name the NPC by id or by name, so every wolf counts for
+   * `{ "type": "kill", "npc": "Wolf", "count": 5 }`.
+   * @param {NPC} npc - Defeated NPC
+   * @param {Player} [killer] - Player that landed the final blow
+   */
+  onNPCDefeated(npc, killer) {
+    if (!killer) return
+    this.advance(killer, objective =>
+      objective.type === 'kill' && (objective.npc === npc.id || objective.npc === npc.name)
+    )
+  }
+
+  /**
+   * Count a waypoint objective when the player enters its zone
+   * @param {Player} player - Player
+   * @param {Object} zone - Zone entered
+   */
+  onZoneEnter(player, zone) {
+    this.advance(player, objective =>
+      objective.type === 'waypoint' && objective.zone === zone.id &&
+      (!objective.map || objective.map === this.room.mapId)
+    )
+  }
+
+  /**
+   * Re-read fetch objectives after items came in (pickups, script gifts)
+   * @param {Player} player - Player
+   */
+  onInventoryChanged(player) {
+    for (const questId of [...player.activeQuests]) {
+      if (this.getQuest(questId).objectives.some(o => o.type === 'fetch')) {
+        this.refresh(player, questId)
+      }
+    }
+  }
+
+  /**
+   * Turn in quests handed in at an NPC, and pick up the quest it gives
+   * @param {Player} player - Player
+   * @param {NPC} npc - NPC the player talked to
+   */
+  onNPCInteract(player, npc) {
+    for (const questId of [...player.activeQuests]) {
+      const turnIn = this.getQuest(questId).turnIn
+      if (turnIn && (turnIn === npc.id || turnIn === npc.name)) {
+        this.complete(player, questId)
+      }
+    }
+
+    // Quest givers offer their quest once it can be started
+    if (npc.questId && this.quests.has(npc.questId)) {
+      this.start(player, npc.questId)
+    }
+  }
+
+  advance(player, matches) {
+    for (const questId of [...player.activeQuests]) {
+      const quest = this.getQuest(questId)
+      if (!player.questProgress.has(questId)) player.questProgress.set(questId, [])
+      const progress = player.questProgress.get(questId)
+
+      let changed = false
+      quest.objectives.forEach((objective, index) => {
+        const current = progress[index] || 0
+        if (matches(objective) && current < objective.count) {
+          progress[index] = current + 1
+          changed = true
+        }
+      })
+      if (changed) this.refresh(player, questId)
+    }
+  }
+
+  /**
+   * Send a quest's progress and complete it when it is done and needs
+   * no turn-in
+   */
+  refresh(player, questId) {
+    const quest = this.getQuest(questId)
+    this.send(player, 'questProgress', this.describe(player, questId))
+
+    if (quest.objectives.length > 0 && !quest.turnIn && this.isReady(player, quest)) {
+      this.complete(player, questId)
+    }
+  }
+
+  isReady(player, quest) {
+    const progress = player.questProgress.get(quest.id) || []
+    return quest.objectives.every((objective, index) =>
+      this.getCurrent(player, objective, progress[index]) >= objective.count
+    )
+  }
+
+  // Fetch objectives are read from the inventory; others are counted
+  getCurrent(player, objective, counted = 0) {
+    if (objective.type === 'fetch') {
+      return Math.min(objective.count, countItem(player, objective.itemId, this.room.items))
+    }
+    return counted
+  }
+
+  // Dry run of the hand-in and item rewards on a copy of the inventory
+  checkRewards(player, quest, handIn) {
+    const copy = cloneInventory(player)
+    for (const objective of handIn) {
+      // Equipped items count as collected but can't be handed in
+      if (!removeItem(copy, this.room.items, objective.itemId, objective.count).success) {
+        return 'equipped'
+      }
+    }
+    for (const item of quest.rewards.items) {
+      const result = addItem(copy, this.room.items, item.itemId, item.quantity)
+      if (!result.success) return result.reason
+    }
+    return null
+  }
+
+  grantRewards(player, rewards) {
+    for (const item of rewards.items) {
+      addItem(player, this.room.items, item.itemId, item.quantity)
+    }
+    if (rewards.gold) {
+      player.gold = (player.gold || 0) + rewards.gold
+    }
+    if (rewards.experience) {
+      player.experience += rewards.experience
+      this.room.dslInterpreter.checkLevelUp(player)
+    }
+  }
+
+  /**
+   * Quest log entry for the client
+   * @param {Player} player - Player
+   * @param {string} questId - Active quest id
+   * @returns {Object} `{ questId, name, description, objectives, rewards }`
+   */
+  describe(player, questId) {
+    const quest = this.getQuest(questId)
+    const progress = player.questProgress.get(questId) || []
+    return {
+      questId,
+      name: quest.name,
+      description: quest.description,
+      turnIn: quest.turnIn,
+      objectives: quest.objectives.map((objective, index) => ({
+        type: objective.type,
+        description: objective.description,
+        current: this.getCurrent(player, objective, progress[index]),
+        required: objective.count
+      })),
+      rewards: quest.rewards
+    }
+  }
+
+  /**
+   * Send the whole quest log (on join)
+   * @param {Player} player - Player
+   */
+  sendLog(player) {
+    this.send(player, 'questLog', {
+      active: Array.from(player.activeQuests).map(questId => this.describe(player, questId)),
+      completed: Array.from(player.completedQuests)
+    })
+  }
+
+  getQuest(questId) {
+    return this.quests.get(questId) || normalizeQuest({ id: questId })
+  }
+
+  send(player, type, message) {
+    const client = this.room.clients.find(c => c.sessionId === player.id)
+    client?.send(type, message)
+  }
+}
+
+/**
+ * Fill in quest defaults
+ * Quests look like `{ id, name, prerequisites: [], next, turnIn,
+ * repeatable, objectives: [{ type, count, npc | itemId | zone }],
+ * rewards: { experience, gold, items: [{ itemId, quantity }] } }`.
+ * @param {Object} quest - Quest from the world data
+ * @returns {Object} Quest
+ */
+function normalizeQuest(quest) {
+  const rewards = quest.rewards || {}
+  return {
+    id: quest.id,
+    name: quest.name || quest.id,
+    description: quest.description || '',
+    prerequisites: Array.isArray(quest.prerequisites) ? quest.prerequisites : [],
+    next: quest.next || null,
+    turnIn: quest.turnIn || null,
+    repeatable: Boolean(quest.repeatable),
+    objectives: (quest.objectives || [])
+      .filter(objective => OBJECTIVE_TYPES.includes(objective?.type))
+      .map(objective => ({
+        ...objective,
+        description: objective.description || describeObjective(objective),
+        count: objective.type === 'waypoint' ? 1 : Number(objective.count) || 1,
+        consume: objective.consume !== false
+      })),
+    rewards: {
+      experience: Number(rewards.experience) || 0,
+      gold: Number(rewards.gold) || 0,
+      items: (rewards.items || []).map(item => ({
+        itemId: item.itemId,
+        quantity: Number(item.quantity) || 1
+      }))
+    }
+  }
+}
+
+function describeObjective(objective) {
+  switch (objective.type) {
+    case 'kill': return `Defeat ${objective.npc}`
+    case 'fetch': return `Collect ${objective.itemId}`
+    default: return `Reach ${objective.zone}`
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * @file Shop system
+ * @description NPC vendors: stock lists with prices, limited stock that
+ * restocks over time, and buy/sell against the player's gold
+ */
+
+import { addItem, canAddItem, takeFromSlot } from '../services/inventoryService.js'
+
+const SHOP_RANGE = 3 // Tiles
+const DEFAULT_BUY_BACK_RATIO = 0.5
+
+export class ShopSystem {
+  /**
+   * @param {GameRoom} room - Room the shops are in
+   * @param {Array<Object>} [shops] - `shops` list of the world data
+   */
+  constructor(room, shops = []) {
+    this.room = room
+    this.shops = new Map()
+    this.viewers = new Map() // playerId -> { shopId, npcId, x, y }
+
+    for (const shop of shops) {
+      if (shop?.id) this.shops.set(shop.id, createShop(shop))
+    }
+  }
+
+  /**
+   * Show a shop to a player
+   * @param {Player} player - Customer
+   * @param {string} shopId - Shop id
+   * @param {NPC} [npc] - Vendor; without one, the shop stays where the
+   * player opened it. Either way the player must stay near it.
+   * @returns {boolean} False when the shop doesn't exist
+   */
+  open(player, shopId, npc = null) {
+    const shop = this.shops.get(shopId)
+    if (!shop) return false
+
+    this.viewers.set(player.id, { shopId, npcId: npc?.id || null, x: player.x, y: player.y })
+    this.send(player, 'shopOpened', this.describe(shop))
+    return true
+  }
+
+  close(player) {
+    this.viewers.delete(player.id)
+  }
+
+  /**
+   * Buy from a shop's stock
+   * @param {Player} player - Customer
+   * @param {Object} message - `{ shopId, itemId, quantity }`
+   * @returns {string|null} Rejection reason, or null when bought
+   */
+  buy(player, { shopId, itemId, quantity = 1 }) {
+    const shop = this.getOpenShop(player, shopId)
+    if (typeof shop === 'string') return shop
+
+    const entry = shop.stock.find(stock => stock.itemId === itemId)
+    if (!entry) return 'notSold'
+    if (!Number.isInteger(quantity) || quantity <= 0) return 'invalid'
+
+    this.restock(entry)
+    if (entry.limited && entry.quantity < quantity) return 'outOfStock'
+
+    const cost = entry.price * quantity
+    if ((player.gold || 0) < cost) return 'notEnoughGold'
+
+    const space = canAddItem(player, this.room.items, itemId, quantity)
+    if (!space.success) return space.reason
+
+    addItem(player, this.room.items, itemId, quantity)
+    player.gold -= cost
+    this.room.quests.onInventoryChanged(player)
+    if (entry.limited) {
+      if (entry.quantity === entry.maxQuantity) entry.restockFrom = this.room.clock.currentTime
+      entry.quantity -= quantity
+      this.sendStock(shop)
+    }
+    return null
+  }
+
+  /**
+   * Sell an inventory stack to a shop at its buy-back price
+   * @param {Player} player - Customer
+   * @param {Object} message - `{ shopId, slot, quantity }`
+   * @returns {string|null} Rejection reason, or null when sold
+   */
+  sell(player, { shopId, slot, quantity }) {
+    const shop = this.getOpenShop(player, shopId)
+    if (typeof shop === 'string') return shop
+
+    const entry = player.inventory.find(item => item.slot === slot)
+    if (!entry) return 'notFound'
+
+    const price = this.getSellPrice(shop, entry.itemId)
+    if (price <= 0) return 'notSellable'
+
+    const result = takeFromSlot(player, slot, quantity)
+    if (!result.success) return result.reason
+
+    player.gold = (player.gold || 0) + price * result.quantity
+
+    // Sold items go back on the shelf of limited stock
+    const stock = shop.stock.find(item => item.itemId === result.itemId)
+    if (stock?.limited) {
+      this.restock(stock)
+      stock.quantity = Math.min(stock.maxQuantity, stock.quantity + result.quantity)
+      this.sendStock(shop)
+    }
+    return null
+  }
+
+  /**
+   * Price a shop pays for one of an item
+   * Items the shop sells are bought back from their shop price; others
+   * from the catalog value.
+   * @param {Object} shop - Shop
+   * @param {string} itemId - Item id
+   * @returns {number} Gold per item
+   */
+  getSellPrice(shop, itemId) {
+    const stock = shop.stock.find(item => item.itemId === itemId)
+    const value = stock ? stock.price : this.room.findItemDefinition(itemId)?.value || 0
+    return Math.floor(value * shop.buyBackRatio)
+  }
+
+  /**
+   * Refill limited stock for every restock interval that has passed
+   * Restocking is worked out when stock is looked at, so idle shops
+   * cost nothing.
+   * @param {Object} entry - Stock entry
+   */
+  restock(entry) {
+    if (!entry.limited || entry.restockInterval <= 0 || entry.quantity >= entry.maxQuantity) return
+
+    const now = this.room.clock.currentTime
+    const periods = Math.floor((now - entry.restockFrom) / entry.restockInterval)
+    if (periods <= 0) return
+
+    entry.quantity = Math.min(entry.maxQuantity, entry.quantity + periods * entry.restockAmount)
+    entry.restockFrom += periods * entry.restockInterval
+  }
+
+  /**
+   * Resolve the shop a player is using and check they can still reach it
+   * @returns {Object|string} Shop, or a rejection reason
+   */
+  getOpenShop(player, shopId) {
+    const viewing = this.viewers.get(player.id)
+    if (!viewing || viewing.shopId !== shopId) return 'notOpen'
+
+    const anchor = viewing.npcId ? this.room.state.npcs.get(viewing.npcId) : viewing
+    if (!anchor || !this.room.isInRange(player, anchor, SHOP_RANGE)) {
+      this.close(player)
+      return 'tooFar'
+    }
+    return this.shops.get(shopId)
+  }
+
+  describe(shop) {
+    return {
+      shopId: shop.id,
+      name: shop.name,
+      buyBackRatio: shop.buyBackRatio,
+      items: shop.stock.map(entry => {
+        this.restock(entry)
+        const definition = this.room.findItemDefinition(entry.itemId)
+        return {
+          itemId: entry.itemId,
+          name: definition?.name || entry.itemId,
+          icon: definition?.icon || '',
+          price: entry.price,
+          stock: entry.limited ? entry.quantity : null
+        }
+      })
+    }
+  }
+
+  // Everyone looking at a shop sees limited stock change
+  sendStock(shop) {
+    const description = this.describe(shop)
+    for (const [playerId, viewing] of this.viewers) {
+      if (viewing.shopId !== shop.id) continue
+      const player = this.room.state.players.get(playerId)
+      if (player) this.send(player, 'shopUpdate', description)
+    }
+  }
+
+  send(player, type, message) {
+    const client = this.room.clients.find(c => c.sessionId === player.id)
+    client?.send(type, message)
+  }
+}
+
+/**
+ * Build a shop's runtime stock from its definition
+ * Shops look like `{ id, name, buyBackRatio, stock: [{ itemId, price,
+ * quantity, restockInterval, restockAmount }] }`. Entries without a
+ * quantity never run out; restock intervals are in seconds.
+ * @param {Object} definition - Shop from the world data
+ * @returns {Object} Shop
+ */
+function createShop(definition) {
+  const ratio = Number(definition.buyBackRatio)
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    buyBackRatio: Number.isFinite(ratio) ? Math.min(Math.max(ratio, 0), 1) : DEFAULT_BUY_BACK_RATIO,
+    stock: (definition.stock || []).filter(entry => entry?.itemId).map(entry => {
+      const limited = Number.isInteger(entry.quantity)
+      return {
+        itemId: entry.itemId,
+        price: Math.max(0, Number(entry.price) || 0),
+        limited,
+        quantity: limited ? entry.quantity : Infinity,
+        maxQuantity: limited ? entry.quantity : Infinity,
+        restockInterval: (Number(entry.restockInterval) || 0) * 1000,
+        restockAmount: Number(entry.restockAmount) || (limited ? entry.quantity : 0),
+        restockFrom: 0
+      }
+    })
+  }
+}
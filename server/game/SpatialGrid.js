@@ -0,0 +1,74 @@
+/**
+ * @file Spatial grid
+ * @description Uniform grid bucketing entities by position for proximity checks
+ */
+
+export class SpatialGrid {
+  /**
+   * @param {number} width - Area width in tiles
+   * @param {number} height - Area height in tiles
+   * @param {number} cellSize - Cell size in tiles
+   */
+  constructor(width, height, cellSize) {
+    this.width = width
+    this.height = height
+    this.cellSize = cellSize
+    this.cols = Math.ceil(width / cellSize)
+    this.rows = Math.ceil(height / cellSize)
+    this.grid = new Array(this.cols * this.rows).fill(0).map(() => new Set())
+  }
+
+  _getCellIndex(x, y) {
+    const col = Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.cellSize)))
+    const row = Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)))
+    return row * this.cols + col
+  }
+
+  insert(entity) {
+    const index = this._getCellIndex(entity.x, entity.y)
+    this.grid[index].add(entity.id)
+    entity.cellIndex = index
+  }
+
+  update(entity) {
+    const newIndex = this._getCellIndex(entity.x, entity.y)
+    if (entity.cellIndex !== newIndex) {
+      if (this.grid[entity.cellIndex]) {
+        this.grid[entity.cellIndex].delete(entity.id)
+      }
+      this.insert(entity)
+    }
+  }
+
+  remove(entity) {
+    if (this.grid[entity.cellIndex]) {
+      this.grid[entity.cellIndex].delete(entity.id)
+    }
+  }
+
+  /**
+   * Get ids of entities in the cells around a position
+   * @param {{x: number, y: number}} position - Center position
+   * @param {number} [range] - Distance in tiles the cells must cover;
+   * defaults to one cell, the 3x3 block around the position
+   * @returns {Set<string>} Entity ids in the block of cells
+   */
+  getNearby(position, range = this.cellSize) {
+    const nearbyIds = new Set()
+    const col = Math.floor(position.x / this.cellSize)
+    const row = Math.floor(position.y / this.cellSize)
+    const span = Math.max(1, Math.ceil(range / this.cellSize))
+
+    for (let r = -span; r <= span; r++) {
+      for (let c = -span; c <= span; c++) {
+        const checkRow = row + r
+        const checkCol = col + c
+        if (checkRow >= 0 && checkRow < this.rows && checkCol >= 0 && checkCol < this.cols) {
+          const index = checkRow * this.cols + checkCol
+          this.grid[index].forEach(id => nearbyIds.add(id))
+        }
+      }
+    }
+    return nearbyIds
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * @file Spawn system
+ * @description Respawn timers for NPCs and world items, and weighted loot
+ * tables dropped where an NPC is defeated
+ */
+
+import { createNPC, createItem } from '../services/worldService.js'
+
+const LOOT_DESPAWN_TIME = 120000
+const RESPAWN_RETRY_DELAY = 1000
+
+export class SpawnSystem {
+  /**
+   * @param {GameRoom} room - Room the spawns belong to
+   * @param {Array<Object>} [lootTables] - `lootTables` list of the world data
+   */
+  constructor(room, lootTables = []) {
+    this.room = room
+    this.lootTables = new Map()
+    this.dropCount = 0
+
+    for (const table of lootTables) {
+      if (table?.id) this.lootTables.set(table.id, table)
+    }
+  }
+
+  /**
+   * Drop an NPC's loot and schedule its respawn
+   * @param {NPC} npc - Defeated NPC
+   * @param {Player} [killer] - Player that landed the final blow
+   */
+  onNPCDefeated(npc, killer) {
+    this.dropLoot(npc, killer)
+
+    if (npc.respawnTime > 0 && npc.spawnData) {
+      this.schedule(npc.respawnTime * 1000, () => this.respawnNPC(npc.spawnData, npc.mapId))
+    }
+  }
+
+  /**
+   * Schedule a picked-up world item to respawn at its original position
+   * @param {Item} item - Item taken from the world
+   */
+  onItemPickedUp(item) {
+    if (item.respawnTime > 0 && item.spawnData) {
+      this.schedule(item.respawnTime * 1000, () => this.respawnItem(item.spawnData, item.mapId))
+    }
+  }
+
+  schedule(delay, respawn) {
+    this.room.clock.setTimeout(() => {
+      // A script may have spawned something with the same id meanwhile
+      if (!respawn()) this.schedule(RESPAWN_RETRY_DELAY, respawn)
+    }, delay)
+  }
+
+  respawnNPC(npcData, mapId) {
+    if (this.room.state.npcs.has(String(npcData.id))) return false
+
+    const npc = createNPC(npcData, mapId)
+    this.room.addNPC(npc)
+    this.room.dslInterpreter.fireEvent('npcRespawn', { npc })
+    return true
+  }
+
+  respawnItem(itemData, mapId) {
+    if (this.room.state.worldItems.has(String(itemData.id))) return false
+
+    this.room.addWorldItem(createItem(itemData, mapId))
+    return true
+  }
+
+  /**
+   * Roll an NPC's loot table and place the drops around it
+   * NPCs reference a shared table by id (`lootTable: "wolf"`) or declare
+   * one inline. Drops belong to the killer (or who the party loot rule
+   * picks) for `ownershipTime` seconds.
+   * @param {NPC} npc - Defeated NPC
+   * @param {Player} [killer] - Player that landed the final blow
+   * @returns {Array<Item>} Dropped world items
+   */
+  dropLoot(npc, killer) {
+    const reference = npc.spawnData?.lootTable
+    const table = typeof reference === 'string' ? this.lootTables.get(reference) : reference
+    if (!table) return []
+
+    const now = this.room.clock.currentTime
+    const ownershipTime = (Number(table.ownershipTime) || 0) * 1000
+    const drops = []
+
+    for (const roll of this.rollLoot(table)) {
+      const position = this.findDropPosition(npc, drops.length)
+      const owner = ownershipTime > 0 ? this.room.parties.getLootOwner(killer) : null
+      drops.push(this.spawnDrop(roll.itemId, roll.quantity, position, npc.mapId, owner, now + ownershipTime))
+    }
+
+    return drops
+  }
+
+  /**
+   * Place a temporary stack of items in the world (loot or dropped items)
+   * @param {string} itemId - Item id or name
+   * @param {number} quantity - Stack size
+   * @param {{x: number, y: number}} position - Drop position
+   * @param {string} mapId - Map id
+   * @param {Player} [owner] - Player the drop is reserved for
+   * @param {number} [ownedUntil] - Room clock time the reservation ends
+   * @returns {Item} Dropped world item
+   */
+  spawnDrop(itemId, quantity, position, mapId, owner = null, ownedUntil = 0) {
+    const definition = this.room.findItemDefinition(itemId) || {}
+    const item = createItem({
+      ...definition,
+      id: `${itemId}_drop_${++this.dropCount}`,
+      itemId: definition.id || itemId,
+      x: position.x,
+      y: position.y,
+      quantity,
+      respawnTime: 0
+    }, mapId)
+
+    item.despawnAt = this.room.clock.currentTime + LOOT_DESPAWN_TIME
+    if (owner) {
+      item.ownerId = owner.id
+      item.ownedUntil = ownedUntil
+    }
+
+    this.room.addWorldItem(item)
+    return item
+  }
+
+  /**
+   * Roll a loot table
+   * Each roll picks one entry by weight; entries without an itemId are
+   * "nothing" results.
+   * @param {Object} table - Loot table `{ rolls, entries: [{ itemId, weight, min, max }] }`
+   * @returns {Array<{itemId: string, quantity: number}>} Rolled items
+   */
+  rollLoot(table) {
+    const entries = (table.entries || []).filter(entry => (Number(entry.weight) || 0) > 0)
+    const totalWeight = entries.reduce((sum, entry) => sum + Number(entry.weight), 0)
+    const results = []
+    if (totalWeight === 0) return results
+
+    for (let i = 0; i < (Number(table.rolls) || 1); i++) {
+      let pick = Math.random() * totalWeight
+      const entry = entries.find(candidate => (pick -= Number(candidate.weight)) < 0)
+      if (!entry?.itemId) continue
+
+      const min = Number(entry.min) || 1
+      const max = Math.max(min, Number(entry.max) || min)
+      results.push({
+        itemId: entry.itemId,
+        quantity: min + Math.floor(Math.random() * (max - min + 1))
+      })
+    }
+
+    return results
+  }
+
+  /**
+   * Spread drops over free tiles around the death position
+   * @param {NPC} npc - Defeated NPC
+   * @param {number} index - Drop number
+   * @returns {{x: number, y: number}} Drop position
+   */
+  findDropPosition(npc, index) {
+    const offsets = [[0, 0], [1, 0], [0, 1], [-1, 0], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]]
+    for (let i = 0; i < offsets.length; i++) {
+      const [dx, dy] = offsets[(index + i) % offsets.length]
+      const x = Math.floor(npc.x) + dx
+      const y = Math.floor(npc.y) + dy
+      if (!this.room.collision.isBlocked(x, y)) return { x, y }
+    }
+    return { x: npc.x, y: npc.y }
+  }
+
+  /**
+   * Expire loot ownership and despawn old drops
+   * @param {Item} item - World item
+   * @param {number} now - Room clock time
+   */
+  updateItem(item, now) {
+    if (item.ownerId && now >= item.ownedUntil) {
+      item.ownerId = ''
+    }
+    if (item.despawnAt && now >= item.despawnAt) {
+      this.room.removeWorldItem(item.id)
+    }
+  }
+
+  /**
+   * Check whether a player may pick up a world item
+   * @param {Player} player - Player picking up
+   * @param {Item} item - World item
+   * @returns {boolean} False while the item belongs to someone else
+   */
+  canPickUp(player, item) {
+    return !item.ownerId || item.ownerId === player.id ||
+      this.room.parties.canLoot(player, item.ownerId)
+  }
+}
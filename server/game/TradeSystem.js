@@ -0,0 +1,430 @@
+/**
+ * @file Trade system
+ * @description Player-to-player trades with offer windows and two-phase
+ * confirmation. Nothing changes hands until both players have locked
+ * their offers and then confirmed; the swap itself is checked against
+ * both inventories first and applied in one step.
+ */
+
+import {
+  addItem,
+  takeFromSlot,
+  cloneInventory
+} from '../services/inventoryService.js'
+import { snapshotPlayer, saveCharacter } from '../services/characterService.js'
+import { logTrade } from '../services/tradeService.js'
+
+const TRADE_RANGE = 4 // Tiles
+const REQUEST_TIMEOUT = 30000
+const MAX_OFFER_ITEMS = 12
+
+export class TradeSystem {
+  /**
+   * @param {GameRoom} room - Room the traders are in
+   */
+  constructor(room) {
+    this.room = room
+    this.trades = new Map() // playerId -> trade (both players point at it)
+    this.requests = new Map() // targetId -> Map(fromId -> expiresAt)
+  }
+
+  /**
+   * Dispatch a `trade` client message by its action
+   * @param {Player} player - Player sending the message
+   * @param {Object} message - `{ action, ... }`
+   */
+  handleMessage(player, message) {
+    const { action } = message
+    let rejection
+
+    switch (action) {
+      case 'request': rejection = this.request(player, message.targetId); break
+      case 'accept': rejection = this.accept(player, message.fromId); break
+      case 'decline': rejection = this.decline(player, message.fromId); break
+      case 'offerItem': rejection = this.offerItem(player, message.slot, message.quantity); break
+      case 'removeItem': rejection = this.removeItem(player, message.slot); break
+      case 'setGold': rejection = this.setGold(player, message.amount); break
+      case 'lock': rejection = this.lock(player); break
+      case 'confirm': rejection = this.confirm(player); break
+      case 'cancel': rejection = this.cancel(player, 'cancelled'); break
+      default: rejection = 'unknownAction'
+    }
+
+    if (rejection) {
+      this.send(player, 'tradeError', { action, reason: rejection })
+    }
+  }
+
+  /**
+   * Ask another player to trade
+   * @returns {string|null} Rejection reason, or null when sent
+   */
+  request(player, targetId) {
+    const target = this.room.state.players.get(targetId)
+    const rejection = this.checkPair(player, target)
+    if (rejection) return rejection
+
+    if (!this.requests.has(target.id)) this.requests.set(target.id, new Map())
+    this.requests.get(target.id).set(player.id, this.room.clock.currentTime + REQUEST_TIMEOUT)
+
+    this.send(target, 'tradeRequest', { fromId: player.id, fromName: player.name })
+    return null
+  }
+
+  /**
+   * Accept a pending request and open the trade window for both players
+   * @returns {string|null} Rejection reason, or null when opened
+   */
+  accept(player, fromId) {
+    const expiresAt = this.requests.get(player.id)?.get(fromId)
+    this.requests.get(player.id)?.delete(fromId)
+    if (!expiresAt || this.room.clock.currentTime > expiresAt) return 'noRequest'
+
+    const requester = this.room.state.players.get(fromId)
+    const rejection = this.checkPair(player, requester)
+    if (rejection) return rejection
+
+    const trade = {
+      players: [requester, player],
+      offers: new Map([
+        [requester.id, createOffer()],
+        [player.id, createOffer()]
+      ]),
+      signatures: new Map([
+        [requester.id, inventorySignature(requester)],
+        [player.id, inventorySignature(player)]
+      ])
+    }
+    this.trades.set(requester.id, trade)
+    this.trades.set(player.id, trade)
+
+    this.sendUpdate(trade)
+    return null
+  }
+
+  decline(player, fromId) {
+    if (!this.requests.get(player.id)?.delete(fromId)) return 'noRequest'
+
+    const requester = this.room.state.players.get(fromId)
+    if (requester) this.send(requester, 'tradeDeclined', { targetId: player.id })
+    return null
+  }
+
+  /**
+   * Put (part of) an inventory stack into the offer window
+   * Offering a slot again replaces the quantity offered from it.
+   * @returns {string|null} Rejection reason
+   */
+  offerItem(player, slot, quantity) {
+    const trade = this.trades.get(player.id)
+    if (!trade) return 'notTrading'
+
+    const offer = trade.offers.get(player.id)
+    if (offer.locked) return 'locked'
+
+    const entry = player.inventory.find(item => item.slot === slot)
+    if (!entry) return 'notFound'
+    if (entry.equipped) return 'equipped'
+
+    const amount = quantity === undefined ? entry.quantity : quantity
+    if (!Number.isInteger(amount) || amount <= 0) return 'invalid'
+    if (amount > entry.quantity) return 'notEnough'
+
+    const existing = offer.items.find(item => item.slot === slot)
+    if (existing) {
+      existing.quantity = amount
+    } else {
+      if (offer.items.length >= MAX_OFFER_ITEMS) return 'offerFull'
+      offer.items.push({ slot, itemId: entry.itemId, quantity: amount })
+    }
+
+    this.offerChanged(trade)
+    return null
+  }
+
+  removeItem(player, slot) {
+    const trade = this.trades.get(player.id)
+    if (!trade) return 'notTrading'
+
+    const offer = trade.offers.get(player.id)
+    if (offer.locked) return 'locked'
+
+    const index = offer.items.findIndex(item => item.slot === slot)
+    if (index === -1) return 'notFound'
+
+    offer.items.splice(index, 1)
+    this.offerChanged(trade)
+    return null
+  }
+
+  setGold(player, amount) {
+    const trade = this.trades.get(player.id)
+    if (!trade) return 'notTrading'
+
+    const offer = trade.offers.get(player.id)
+    if (offer.locked) return 'locked'
+    if (!Number.isInteger(amount) || amount < 0) return 'invalid'
+    if (amount > (player.gold || 0)) return 'notEnough'
+
+    offer.gold = amount
+    this.offerChanged(trade)
+    return null
+  }
+
+  /**
+   * Lock an offer (phase one)
+   * Locked offers can't be edited; confirming needs both sides locked.
+   */
+  lock(player) {
+    const trade = this.trades.get(player.id)
+    if (!trade) return 'notTrading'
+
+    trade.offers.get(player.id).locked = true
+    this.sendUpdate(trade)
+    return null
+  }
+
+  /**
+   * Confirm the locked offers (phase two)
+   * The trade completes once both players have confirmed.
+   */
+  confirm(player) {
+    const trade = this.trades.get(player.id)
+    if (!trade) return 'notTrading'
+    if (![...trade.offers.values()].every(offer => offer.locked)) return 'notLocked'
+
+    const changed = this.checkInventories(trade)
+    if (changed) {
+      this.close(trade, changed)
+      return null
+    }
+
+    trade.offers.get(player.id).confirmed = true
+    if ([...trade.offers.values()].every(offer => offer.confirmed)) {
+      this.complete(trade)
+    } else {
+      this.sendUpdate(trade)
+    }
+    return null
+  }
+
+  /**
+   * Cancel the trade a player is in
+   * @param {Player} player - Either trader
+   * @param {string} reason - Reason sent to both players
+   * @returns {string|null} Rejection reason
+   */
+  cancel(player, reason) {
+    const trade = this.trades.get(player.id)
+    if (!trade) return 'notTrading'
+
+    this.close(trade, reason)
+    return null
+  }
+
+  /**
+   * Check whether a player has a trade window open
+   * Inventory actions are refused meanwhile so offers can't be swapped out.
+   * @param {Player} player - Player to check
+   * @returns {boolean} True while trading
+   */
+  isTrading(player) {
+    return this.trades.has(player.id)
+  }
+
+  /**
+   * Drop a leaving player's trade and pending requests
+   * @param {Player} player - Player leaving the room
+   */
+  onLeave(player) {
+    this.cancel(player, 'disconnected')
+    this.requests.delete(player.id)
+    for (const pending of this.requests.values()) {
+      pending.delete(player.id)
+    }
+  }
+
+  /**
+   * Cancel trades whose players moved apart, left the map, died or had
+   * their inventory change under the offers
+   */
+  update() {
+    const checked = new Set()
+    for (const trade of this.trades.values()) {
+      if (checked.has(trade)) continue
+      checked.add(trade)
+
+      const [a, b] = trade.players
+      let reason = null
+      if (!this.isPresent(a) || !this.isPresent(b)) {
+        reason = 'unavailable'
+      } else if (!this.room.isInRange(a, b, TRADE_RANGE)) {
+        reason = 'tooFar'
+      } else {
+        reason = this.checkInventories(trade)
+      }
+
+      if (reason) this.close(trade, reason)
+    }
+  }
+
+  // Any edit withdraws both locks so nobody confirms a changed offer
+  offerChanged(trade) {
+    for (const offer of trade.offers.values()) {
+      offer.locked = false
+      offer.confirmed = false
+    }
+    this.sendUpdate(trade)
+  }
+
+  /**
+   * Swap both offers
+   * Every step is first replayed on copies of the two inventories, so the
+   * real swap either applies completely or the trade is cancelled.
+   */
+  complete(trade) {
+    const [a, b] = trade.players
+    const offerA = trade.offers.get(a.id)
+    const offerB = trade.offers.get(b.id)
+
+    const rejection = this.checkInventories(trade) ||
+      this.checkGold(a, offerA) || this.checkGold(b, offerB) ||
+      this.checkSwap(a, offerA, offerB) || this.checkSwap(b, offerB, offerA)
+    if (rejection) {
+      this.close(trade, rejection)
+      return
+    }
+
+    takeOffer(a, offerA)
+    takeOffer(b, offerB)
+    giveOffer(a, this.room.items, offerB)
+    giveOffer(b, this.room.items, offerA)
+    a.gold = (a.gold || 0) - offerA.gold + offerB.gold
+    b.gold = (b.gold || 0) - offerB.gold + offerA.gold
+
+    this.close(trade, 'completed')
+    this.room.quests.onInventoryChanged(a)
+    this.room.quests.onInventoryChanged(b)
+    this.persist(a, b, offerA, offerB)
+  }
+
+  // Offers point at inventory slots, so they only hold while neither
+  // inventory has changed since the trade opened
+  checkInventories(trade) {
+    for (const player of trade.players) {
+      if (inventorySignature(player) !== trade.signatures.get(player.id)) return 'inventoryChanged'
+
+      for (const item of trade.offers.get(player.id).items) {
+        const entry = player.inventory.find(e => e.slot === item.slot)
+        if (entry?.itemId !== item.itemId || entry.equipped) return 'offerChanged'
+      }
+    }
+    return null
+  }
+
+  checkGold(player, offer) {
+    return offer.gold > (player.gold || 0) ? 'notEnoughGold' : null
+  }
+
+  // Dry run: the player's side of the swap on a copy of their inventory
+  checkSwap(player, given, received) {
+    const copy = cloneInventory(player)
+    for (const item of given.items) {
+      if (!takeFromSlot(copy, item.slot, item.quantity).success) return 'offerChanged'
+    }
+    for (const item of received.items) {
+      const result = addItem(copy, this.room.items, item.itemId, item.quantity)
+      if (!result.success) return result.reason
+    }
+    return null
+  }
+
+  /**
+   * Save both characters and write the audit log entry
+   * Characters are saved right away so a crash can't undo one side.
+   */
+  async persist(a, b, offerA, offerB) {
+    try {
+      await Promise.all([saveCharacter(snapshotPlayer(a)), saveCharacter(snapshotPlayer(b))])
+      await logTrade({
+        projectId: this.room.projectId,
+        mapId: this.room.mapId,
+        characterA: a.characterId,
+        characterB: b.characterId,
+        offerA: publicOffer(offerA),
+        offerB: publicOffer(offerB)
+      })
+    } catch (error) {
+      console.error(`Error recording trade between ${a.id} and ${b.id}:`, error)
+    }
+  }
+
+  close(trade, reason) {
+    for (const player of trade.players) {
+      if (this.trades.get(player.id) === trade) this.trades.delete(player.id)
+      this.send(player, 'tradeClosed', { reason })
+    }
+  }
+
+  checkPair(player, other) {
+    if (!other || other === player) return 'notFound'
+    if (!this.isPresent(player) || !this.isPresent(other)) return 'unavailable'
+    if (this.trades.has(player.id) || this.trades.has(other.id)) return 'busy'
+    if (!this.room.isInRange(player, other, TRADE_RANGE)) return 'tooFar'
+    return null
+  }
+
+  isPresent(player) {
+    return this.room.state.players.get(player.id) === player &&
+      !player.dead && !player.transferring
+  }
+
+  sendUpdate(trade) {
+    for (const player of trade.players) {
+      const partner = trade.players.find(p => p !== player)
+      this.send(player, 'tradeUpdate', {
+        partnerId: partner.id,
+        partnerName: partner.name,
+        own: publicOffer(trade.offers.get(player.id)),
+        partner: publicOffer(trade.offers.get(partner.id))
+      })
+    }
+  }
+
+  send(player, type, message) {
+    const client = this.room.clients.find(c => c.sessionId === player.id)
+    client?.send(type, message)
+  }
+}
+
+function createOffer() {
+  return { items: [], gold: 0, locked: false, confirmed: false }
+}
+
+function publicOffer(offer) {
+  return {
+    items: offer.items.map(item => ({ ...item })),
+    gold: offer.gold,
+    locked: offer.locked,
+    confirmed: offer.confirmed
+  }
+}
+
+function takeOffer(player, offer) {
+  for (const item of offer.items) {
+    takeFromSlot(player, item.slot, item.quantity)
+  }
+}
+
+function giveOffer(player, catalog, offer) {
+  for (const item of offer.items) {
+    addItem(player, catalog, item.itemId, item.quantity)
+  }
+}
+
+function inventorySignature(player) {
+  return Array.from(player.inventory)
+    .map(entry => `${entry.slot}:${entry.itemId}:${entry.quantity}:${entry.equipped ? 1 : 0}`)
+    .sort()
+    .join('|')
+}
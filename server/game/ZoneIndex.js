@@ -0,0 +1,123 @@
+/**
+ * @file Zone index
+ * @description Named rectangle and polygon regions of a map, bucketed into
+ * grid cells so containment tests only look at nearby zones
+ */
+
+export class ZoneIndex {
+  /**
+   * @param {Array<Object>} zones - Zone definitions from map data
+   * @param {number} width - Map width in tiles
+   * @param {number} height - Map height in tiles
+   * @param {number} cellSize - Bucket size in tiles
+   */
+  constructor(zones, width, height, cellSize) {
+    this.cellSize = cellSize
+    this.cols = Math.ceil(width / cellSize)
+    this.rows = Math.ceil(height / cellSize)
+    this.cells = new Array(this.cols * this.rows).fill(0).map(() => [])
+    this.zones = new Map()
+
+    for (const definition of zones) {
+      const zone = normalizeZone(definition)
+      this.zones.set(zone.id, zone)
+
+      const { minX, minY, maxX, maxY } = zone.bounds
+      const firstCol = Math.max(0, Math.floor(minX / cellSize))
+      const lastCol = Math.min(this.cols - 1, Math.floor(maxX / cellSize))
+      const firstRow = Math.max(0, Math.floor(minY / cellSize))
+      const lastRow = Math.min(this.rows - 1, Math.floor(maxY / cellSize))
+
+      for (let row = firstRow; row <= lastRow; row++) {
+        for (let col = firstCol; col <= lastCol; col++) {
+          this.cells[row * this.cols + col].push(zone)
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the zones containing a position
+   * @param {number} x - X position in tiles
+   * @param {number} y - Y position in tiles
+   * @returns {Array<Object>} Containing zones
+   */
+  zonesAt(x, y) {
+    const col = Math.floor(x / this.cellSize)
+    const row = Math.floor(y / this.cellSize)
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return []
+
+    return this.cells[row * this.cols + col].filter(zone => containsPoint(zone, x, y))
+  }
+
+  /**
+   * Get a zone by id
+   * @param {string} zoneId - Zone ID
+   * @returns {Object|undefined} Zone
+   */
+  get(zoneId) {
+    return this.zones.get(zoneId)
+  }
+}
+
+/**
+ * Normalize a zone definition and precompute its bounding box
+ * @param {Object} definition - Zone definition from map data
+ * @returns {Object} Zone with `shape`, `bounds` and `properties`
+ */
+function normalizeZone(definition) {
+  const zone = {
+    id: String(definition.id),
+    name: definition.name || String(definition.id),
+    properties: definition.properties || {}
+  }
+
+  if (Array.isArray(definition.points)) {
+    zone.shape = 'polygon'
+    zone.points = definition.points.map(p => Array.isArray(p) ? { x: p[0], y: p[1] } : p)
+    zone.bounds = {
+      minX: Math.min(...zone.points.map(p => p.x)),
+      minY: Math.min(...zone.points.map(p => p.y)),
+      maxX: Math.max(...zone.points.map(p => p.x)),
+      maxY: Math.max(...zone.points.map(p => p.y))
+    }
+  } else {
+    zone.shape = 'rect'
+    zone.bounds = {
+      minX: definition.x,
+      minY: definition.y,
+      maxX: definition.x + definition.width,
+      maxY: definition.y + definition.height
+    }
+  }
+
+  return zone
+}
+
+/**
+ * Test whether a zone contains a point
+ * @param {Object} zone - Normalized zone
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @returns {boolean} True when the point is inside
+ */
+function containsPoint(zone, x, y) {
+  const { minX, minY, maxX, maxY } = zone.bounds
+  if (x < minX || y < minY || x >= maxX || y >= maxY) {
+    // Polygon edges on the max bound still count as inside
+    if (zone.shape === 'rect' || x > maxX || y > maxY) return false
+  }
+  if (zone.shape === 'rect') return true
+
+  // Ray casting: count edge crossings to the right of the point
+  let inside = false
+  const points = zone.points
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i]
+    const b = points[j]
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside
+    }
+  }
+  return inside
+}
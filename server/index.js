@@ -12,6 +12,7 @@ import { dirname, join } from 'path'
 import { assetPackRoutes } from './api/assetPacks.js'
 import { spriteAnimationRoutes } from './api/spriteAnimation.js'
 import { projectRoutes } from './api/projects.js'
+import { guildRoutes } from './api/guilds.js'
 
 // Import API routes  
 import { apiRoutes } from './api/index.js'
@@ -138,6 +139,7 @@ async function bootstrap() {
   await fastify.register(assetPackRoutes, { prefix: '/api/assets' })
   await fastify.register(spriteAnimationRoutes, { prefix: '/api/sprites' })
   await fastify.register(projectRoutes, { prefix: '/api/projects' })
+  await fastify.register(guildRoutes, { prefix: '/api/projects' })
   await fastify.register(apiRoutes, { prefix: '/api' })
 
   // Create Colyseus server
@@ -148,7 +150,8 @@ async function bootstrap() {
   })
 
   // Define room handlers
-  gameServer.define('game_room', GameRoom)
+  // One game room per world map; map handoffs reserve seats by these options
+  gameServer.define('game_room', GameRoom).filterBy(['worldId', 'mapId'])
   gameServer.define('editor_room', EditorRoom)
 
   // Colyseus monitor (development only)
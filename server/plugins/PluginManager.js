@@ -177,6 +177,30 @@ export class PluginManager {
             plugin: pluginName,
             handler: handler
           })
+        },
+
+        /**
+         * Register a chat slash command
+         * @param {string} command - Command name, without the slash
+         * @param {Function} handler - Called with { room, player, args, text, reply }
+         */
+        registerChatCommand(command, handler) {
+          self.registerHook(`chat.command.${command.toLowerCase()}`, {
+            plugin: pluginName,
+            handler: handler
+          })
+        },
+
+        /**
+         * Register a chat moderation filter
+         * @param {Function} filter - Called with ({ allowed, text }, { room, player, channel });
+         * returns the (possibly rewritten) result, or undefined to keep it
+         */
+        registerChatFilter(filter) {
+          self.registerHook('chat.filter', {
+            plugin: pluginName,
+            callback: filter
+          })
         }
       },
       
@@ -274,6 +298,33 @@ export class PluginManager {
     return results
   }
 
+  /**
+   * Pass a value through every hook registered under a name
+   * Each hook gets the previous hook's result; returning undefined keeps
+   * the value unchanged.
+   * @param {string} hookName - Hook name
+   * @param {any} value - Initial value
+   * @param {object} context - Hook context
+   * @returns {Promise<any>} Filtered value
+   */
+  async applyFilters(hookName, value, context = {}) {
+    const hooks = this.hooks.get(hookName) || []
+    
+    for (const hook of hooks) {
+      try {
+        const plugin = this.plugins.get(hook.plugin)
+        if (plugin && plugin.enabled) {
+          const result = await (hook.callback || hook.handler)(value, context)
+          if (result !== undefined) value = result
+        }
+      } catch (error) {
+        console.error(`Error executing hook ${hookName} from plugin ${hook.plugin}:`, error)
+      }
+    }
+    
+    return value
+  }
+
   /**
    * Emit an event
    * @param {string} event - Event name
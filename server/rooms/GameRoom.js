@@ -1,4 +1,5 @@
-import { Room } from '@colyseus/core'
+import { Room, matchMaker } from '@colyseus/core'
+import jwt from 'jsonwebtoken'
 import { Schema, type, MapSchema, ArraySchema } from '@colyseus/schema'
 import { DSLInterpreter } from '../dsl/interpreter.js'
 import { WorldState } from '../schemas/WorldState.js'
@@ -6,92 +7,93 @@ import { Player } from '../schemas/Player.js'
 import { NPC } from '../schemas/NPC.js'
 import { Item } from '../schemas/Item.js'
 import { preloadGameAssets } from '../services/assetService.js'
+import { CollisionMap } from '../game/CollisionMap.js'
+import { SpatialGrid } from '../game/SpatialGrid.js'
+import { InterestManager } from '../game/InterestManager.js'
+import { ZoneIndex } from '../game/ZoneIndex.js'
+import { CombatSystem } from '../game/CombatSystem.js'
+import { EffectSystem } from '../game/EffectSystem.js'
+import { NPCAISystem } from '../game/NPCAISystem.js'
+import { SpawnSystem } from '../game/SpawnSystem.js'
+import { EquipmentSystem } from '../game/EquipmentSystem.js'
+import { ItemCatalog } from '../game/ItemCatalog.js'
+import { TradeSystem } from '../game/TradeSystem.js'
+import { ShopSystem } from '../game/ShopSystem.js'
+import { CraftingSystem } from '../game/CraftingSystem.js'
+import { QuestSystem } from '../game/QuestSystem.js'
+import { DialogueSystem } from '../game/DialogueSystem.js'
+import { ChatSystem } from '../game/ChatSystem.js'
+import { PartySystem } from '../game/PartySystem.js'
+import { GuildSystem } from '../game/GuildSystem.js'
+import {
+  loadPublishedWorld,
+  collectScripts,
+  createNPC,
+  createItem
+} from '../services/worldService.js'
+import {
+  addItem,
+  takeFromSlot,
+  splitStack,
+  mergeStacks,
+  moveItem
+} from '../services/inventoryService.js'
+import {
+  loadOrCreateCharacter,
+  applyCharacterToPlayer,
+  snapshotPlayer,
+  saveCharacter
+} from '../services/characterService.js'
+import { claimCharacter, renewClaim, releaseCharacter } from '../services/sessionService.js'
 
-// Spatial grid for proximity checks
-class SpatialGrid {
-  constructor(width, height, cellSize) {
-    this.width = width
-    this.height = height
-    this.cellSize = cellSize
-    this.cols = Math.ceil(width / cellSize)
-    this.rows = Math.ceil(height / cellSize)
-    this.grid = new Array(this.cols * this.rows).fill(0).map(() => new Set())
-  }
-
-  _getCellIndex(x, y) {
-    const col = Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.cellSize)))
-    const row = Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)))
-    return row * this.cols + col
-  }
-
-  insert(player) {
-    const index = this._getCellIndex(player.x, player.y)
-    this.grid[index].add(player.id)
-    player.cellIndex = index
-  }
-
-  update(player) {
-    const newIndex = this._getCellIndex(player.x, player.y)
-    if (player.cellIndex !== newIndex) {
-      if (this.grid[player.cellIndex]) {
-        this.grid[player.cellIndex].delete(player.id)
-      }
-      this.insert(player)
-    }
-  }
-
-  remove(player) {
-    if (this.grid[player.cellIndex]) {
-      this.grid[player.cellIndex].delete(player.id)
-    }
-  }
-
-  getNearby(player) {
-    const nearbyPlayerIds = new Set()
-    const col = Math.floor(player.x / this.cellSize)
-    const row = Math.floor(player.y / this.cellSize)
-
-    for (let r = -1; r <= 1; r++) {
-      for (let c = -1; c <= 1; c++) {
-        const checkRow = row + r
-        const checkCol = col + c
-        if (checkRow >= 0 && checkRow < this.rows && checkCol >= 0 && checkCol < this.cols) {
-          const index = checkRow * this.cols + checkCol
-          this.grid[index].forEach(id => nearbyPlayerIds.add(id))
-        }
-      }
-    }
-    return nearbyPlayerIds
-  }
-}
+const SIMULATION_INTERVAL = 1000 / 60
+const DEFAULT_PLAYER_SPEED = 6 // Tiles per second
+const MOVE_TOLERANCE = 1.25
+const MAX_MOVE_INTERVAL = 500
+const GRID_CELL_SIZE = 16 // Tiles
+const INTEREST_UPDATE_INTERVAL = 100
+const PARTY_UPDATE_INTERVAL = 250
+const RESPAWN_DELAY = 3000
 
 export class GameRoom extends Room {
   maxClients = 100
   
-  onCreate(options) {
+  async onCreate(options) {
     console.log('GameRoom created with options:', options)
     
     // Initialize world state
     this.setState(new WorldState())
     
-    // Initialize spatial grid
-    this.grid = new SpatialGrid(5000, 5000, 256); // World size and cell size
-    
     // Store project ID for asset loading
     this.projectId = options.projectId || null
+
+    // Rooms are partitioned per map; the world id is kept as the client
+    // supplied it so map handoffs match the same room filter
+    this.worldKey = options.worldId || options.projectId
     
-    // Load world data from database
-    this.loadWorld(options.worldId || 'default')
-    
-    // Initialize DSL interpreter
+    // Initialize DSL interpreter before scripts are loaded
     this.dslInterpreter = new DSLInterpreter(this)
     
+    // Load world data from database (throws to fail the join)
+    await this.loadWorld(this.worldKey, options.mapId)
+    
     // Set up tick rate (60 FPS)
-    this.setSimulationInterval(() => this.update(), 1000 / 60)
+    this.setSimulationInterval(() => this.update(), SIMULATION_INTERVAL)
+    
+    // Refresh each client's area of interest (10 times per second)
+    this.interestInterval = this.clock.setInterval(() => {
+      this.interest.update()
+    }, INTEREST_UPDATE_INTERVAL)
+
+    // Send party frames (members' health and position) when they change
+    this.partyInterval = this.clock.setInterval(() => {
+      this.parties.update()
+    }, PARTY_UPDATE_INTERVAL)
     
     // Set up autosave interval (every 30 seconds)
     this.autoSaveInterval = this.clock.setInterval(() => {
       this.saveWorldState()
+      this.renewClaims()
     }, 30000)
 
     // Message handlers
@@ -101,80 +103,178 @@ export class GameRoom extends Room {
     this.onMessage('useItem', this.onPlayerUseItem.bind(this))
     this.onMessage('pickupItem', this.onPlayerPickupItem.bind(this))
     this.onMessage('attack', this.onPlayerAttack.bind(this))
+    this.onMessage('equip', this.onPlayerEquip.bind(this))
+    this.onMessage('unequip', this.onPlayerUnequip.bind(this))
+    this.onMessage('dropItem', this.onPlayerDropItem.bind(this))
+    this.onMessage('splitStack', this.onPlayerSplitStack.bind(this))
+    this.onMessage('mergeStacks', this.onPlayerMergeStacks.bind(this))
+    this.onMessage('moveItem', this.onPlayerMoveItem.bind(this))
+    this.onMessage('trade', this.onPlayerTrade.bind(this))
+    this.onMessage('party', this.onPlayerParty.bind(this))
+    this.onMessage('shopBuy', this.onPlayerShopBuy.bind(this))
+    this.onMessage('shopSell', this.onPlayerShopSell.bind(this))
+    this.onMessage('shopClose', this.onPlayerShopClose.bind(this))
+    this.onMessage('craft', this.onPlayerCraft.bind(this))
+    this.onMessage('craftCancel', this.onPlayerCraftCancel.bind(this))
+    this.onMessage('questTurnIn', this.onPlayerQuestTurnIn.bind(this))
+    this.onMessage('questAbandon', this.onPlayerQuestAbandon.bind(this))
+    this.onMessage('dialogueStart', this.onPlayerDialogueStart.bind(this))
+    this.onMessage('dialogueChoice', this.onPlayerDialogueChoice.bind(this))
+    this.onMessage('dialogueEnd', this.onPlayerDialogueEnd.bind(this))
   }
 
-  async loadWorld(worldId) {
+  async loadWorld(worldId, mapId) {
+    let world
     try {
-      // TODO: Load from database
-      const worldData = {
-        id: worldId,
-        name: 'Default World',
-        maps: [{
-          id: 'main',
-          width: 100,
-          height: 100,
-          tileSize: 32,
-          layers: [],
-          npcs: [],
-          items: [],
-          scripts: []
-        }]
-      }
+      world = await loadPublishedWorld(worldId)
+    } catch (error) {
+      console.error(`Error loading world ${worldId}:`, error)
+      throw new Error(`Unable to load world: ${error.message}`)
+    }
 
-      this.worldData = worldData
-      this.state.worldId = worldId
-      this.state.worldName = worldData.name
-
-      // Load project assets if project ID is provided
-      if (this.projectId) {
-        try {
-          console.log(`Loading assets for project ${this.projectId}`)
-          this.projectAssets = await preloadGameAssets(this.projectId)
-          console.log(`Loaded ${Object.keys(this.projectAssets.assets).length} asset types`)
-        } catch (error) {
-          console.error('Failed to load project assets:', error)
-          this.projectAssets = null
-        }
-      }
+    const worldData = {
+      id: world.projectId,
+      slug: world.slug,
+      name: world.name,
+      version: world.version,
+      ...world.data
+    }
 
-      // Load NPCs
-      for (const npcData of worldData.maps[0].npcs) {
-        const npc = new NPC()
-        Object.assign(npc, npcData)
-        this.state.npcs.set(npc.id, npc)
-      }
+    this.worldData = worldData
+    this.projectId = world.projectId
+    this.state.worldId = world.projectId
+    this.state.worldName = world.name
 
-      // Load items
-      for (const itemData of worldData.maps[0].items) {
-        const item = new Item()
-        Object.assign(item, itemData)
-        this.state.worldItems.set(item.id, item)
-      }
+    // Load project assets
+    try {
+      console.log(`Loading assets for project ${this.projectId}`)
+      this.projectAssets = await preloadGameAssets(this.projectId)
+      console.log(`Loaded ${Object.keys(this.projectAssets.assets).length} asset types`)
+    } catch (error) {
+      console.error('Failed to load project assets:', error)
+      this.projectAssets = null
+    }
 
-      // Load and compile DSL scripts
-      for (const script of worldData.maps[0].scripts) {
-        this.dslInterpreter.loadScript(script)
-      }
+    const map = mapId
+      ? worldData.maps.find(m => m.id === mapId)
+      : worldData.maps[0]
+
+    if (!map) {
+      throw new Error(`Unable to load world: map "${mapId}" does not exist`)
+    }
+
+    this.map = map
+    this.mapId = map.id
+    this.portals = Array.isArray(map.portals) ? map.portals : []
+
+    // Collision and proximity use the map's own tile dimensions
+    this.collision = new CollisionMap(map)
+    this.grid = new SpatialGrid(map.width, map.height, GRID_CELL_SIZE)
+    this.npcGrid = new SpatialGrid(map.width, map.height, GRID_CELL_SIZE)
+    this.itemGrid = new SpatialGrid(map.width, map.height, GRID_CELL_SIZE)
+    this.zones = new ZoneIndex(map.zones || [], map.width, map.height, GRID_CELL_SIZE)
+    this.playerSpeed = Number(map.playerSpeed) || DEFAULT_PLAYER_SPEED
+
+    // Clients only sync entities near their own player
+    this.interest = new InterestManager(this, {
+      players: this.grid,
+      npcs: this.npcGrid,
+      worldItems: this.itemGrid
+    })
 
-      console.log(`World ${worldId} loaded successfully`)
+    this.items = new ItemCatalog(worldData.items, worldData.inventory)
+    this.combat = new CombatSystem(this, worldData.combat)
+    this.effects = new EffectSystem(this, worldData.effects)
+    this.ai = new NPCAISystem(this)
+    this.spawns = new SpawnSystem(this, worldData.lootTables)
+    this.equipment = new EquipmentSystem(this)
+    this.trades = new TradeSystem(this)
+    this.shops = new ShopSystem(this, worldData.shops)
+    this.crafting = new CraftingSystem(this, worldData.recipes)
+    this.quests = new QuestSystem(this, worldData.quests)
+    this.dialogue = new DialogueSystem(this, worldData.dialogues)
+    this.chat = new ChatSystem(this, worldData.chat)
+    this.parties = new PartySystem(this, worldData.party)
+    this.guilds = new GuildSystem(this)
+
+    // Load NPCs
+    for (const npcData of map.npcs || []) {
+      this.addNPC(createNPC(npcData, map.id))
+    }
+
+    // Load items
+    for (const itemData of map.items || []) {
+      this.addWorldItem(createItem(itemData, map.id))
+    }
+
+    // Load and compile DSL scripts
+    for (const script of collectScripts(worldData, map.id)) {
+      this.dslInterpreter.loadScript(script)
+    }
+
+    console.log(`World ${world.slug} map ${map.id} loaded successfully`)
+  }
+
+  onAuth(client, options) {
+    if (!options.token) {
+      throw new Error('Authentication required')
+    }
+
+    try {
+      // Resolved value is exposed as client.auth
+      return jwt.verify(options.token, process.env.JWT_SECRET)
     } catch (error) {
-      console.error('Error loading world:', error)
+      throw new Error('Invalid or expired token')
     }
   }
 
-  onJoin(client, options) {
+  async onJoin(client, options, auth) {
     console.log(`Player ${client.sessionId} joined`)
     
+    const spawnMap = this.worldData.maps[0]
+    const spawn = this.getSpawnPoint(spawnMap)
+
+    // Load or create the persistent character for this user
+    const character = await loadOrCreateCharacter(auth.userId, this.projectId, {
+      name: options.playerName || auth.username,
+      x: spawn.x,
+      y: spawn.y,
+      mapId: spawnMap.id,
+      characterClass: this.resolveClass(options.characterClass)
+    })
+
+    // One session per character, or the sessions' saves would overwrite
+    // each other; map changes hand the claim to the next room
+    if (!await claimCharacter(this.presence, character.id, client.sessionId)) {
+      throw new Error('Character is already online')
+    }
+
     // Create player
     const player = new Player()
     player.id = client.sessionId
-    player.name = options.playerName || `Player_${client.sessionId.slice(0, 6)}`
-    player.x = 50 // Spawn position
-    player.y = 50
-    player.level = 1
-    player.health = 100
-    player.maxHealth = 100
-    player.experience = 0
+    player.userId = auth.userId
+    applyCharacterToPlayer(player, character)
+    this.equipment.sync(player)
+    await this.guilds.onJoin(player)
+    player.lastMoveAt = this.clock.currentTime
+
+    // Keep the token so the player can be handed off to other map rooms
+    client.userData = { token: options.token }
+
+    // Characters saved on a map that no longer exists, or saved while
+    // dead, start over here
+    const savedMap = this.worldData.maps.find(m => m.id === player.mapId)
+    const savedDead = player.health <= 0
+    if (savedDead) {
+      player.health = player.maxHealth
+    }
+    if (!savedMap || savedDead ||
+      (player.mapId === this.mapId && this.collision.isBlocked(player.x, player.y))) {
+      const roomSpawn = this.getSpawnPoint(this.map)
+      player.mapId = this.mapId
+      player.x = roomSpawn.x
+      player.y = roomSpawn.y
+    }
 
     // Set player sprite from assets or use default
     if (this.projectAssets && this.projectAssets.assets.sprites.length > 0) {
@@ -186,6 +286,9 @@ export class GameRoom extends Room {
 
     this.state.players.set(client.sessionId, player)
     this.grid.insert(player) // Add player to grid
+    this.interest.track(client) // Compute the initial area of interest
+    this.chat.onJoin(player)
+    this.parties.onJoin(player)
 
     // Fire playerJoin event in DSL
     this.dslInterpreter.fireEvent('playerJoin', {
@@ -194,10 +297,12 @@ export class GameRoom extends Room {
     })
 
     // Send initial world data to client with assets
+    // (NPCs and items are synced through state, filtered by interest)
     const worldDataPacket = {
+      mapId: this.mapId,
       maps: this.worldData.maps,
-      npcs: Array.from(this.state.npcs.values()),
-      items: Array.from(this.state.worldItems.values())
+      items: this.worldData.items || [],
+      recipes: this.worldData.recipes || []
     }
 
     // Include project assets if available
@@ -217,9 +322,20 @@ export class GameRoom extends Room {
     }
 
     client.send('worldData', worldDataPacket)
+    client.send('stats', this.combat.getStats(player))
+    this.quests.sendLog(player)
+
+    if (player.mapId === this.mapId) {
+      this.checkRegionEvents(player)
+    }
+
+    // The character was last seen on another map: hand it off
+    if (player.mapId !== this.mapId) {
+      await this.transferPlayer(player, player.mapId, player.x, player.y)
+    }
   }
 
-  onLeave(client, consented) {
+  async onLeave(client, consented) {
     console.log(`Player ${client.sessionId} left`)
     
     const player = this.state.players.get(client.sessionId)
@@ -229,56 +345,124 @@ export class GameRoom extends Room {
         player: player,
         client: client
       })
+      this.dslInterpreter.cancelPlayerWaits(player)
+
+      const snapshot = snapshotPlayer(player)
 
+      this.combat.clearTarget(player.id)
+      this.trades.onLeave(player)
+      this.parties.onLeave(player)
+      this.shops.close(player)
+      this.dialogue.end(player)
+      this.chat.onLeave(player)
+      this.crafting.cancel(player, 'disconnected')
       this.grid.remove(player) // Remove player from grid
       this.state.players.delete(client.sessionId)
+
+      // Players handed off to another map were saved before the handoff
+      if (player.transferring) return
+
+      try {
+        await saveCharacter(snapshot)
+      } catch (error) {
+        console.error(`Error saving character for ${client.sessionId}:`, error)
+      }
+
+      // Released once saved, so a new session loads what this one left
+      try {
+        await releaseCharacter(this.presence, player.characterId, client.sessionId)
+      } catch (error) {
+        console.error(`Error releasing character of ${client.sessionId}:`, error)
+      }
     }
   }
 
   onPlayerMove(client, message) {
     const player = this.state.players.get(client.sessionId)
-    if (!player) return
+    if (!player || player.transferring || player.dead) return
 
     const { x, y } = message
-    
-    // Basic bounds checking
-    if (x >= 0 && x <= 100 && y >= 0 && y <= 100) {
-      const oldX = player.x
-      const oldY = player.y
-      
-      player.x = x
-      player.y = y
+    const rejection = this.validateMove(player, x, y)
+
+    if (rejection) {
+      // Snap the client back to the authoritative position
+      client.send('moveCorrection', {
+        x: player.x,
+        y: player.y,
+        reason: rejection
+      })
+      return
+    }
+
+    player.x = x
+    player.y = y
+    player.lastMoveAt = this.clock.currentTime
+    if (typeof message.direction === 'string') {
+      player.facing = message.direction
+    }
 
-      this.grid.update(player) // Update player position in grid
+    this.grid.update(player) // Update player position in grid
 
-      // Check for region enter/exit events
-      this.checkRegionEvents(player, oldX, oldY, x, y)
+    // Check for region enter/exit events
+    this.checkRegionEvents(player)
 
-      // Check for NPC proximity
-      this.checkNPCProximity(player)
+    // Check for NPC proximity
+    this.checkNPCProximity(player)
+
+    // Step onto portals
+    this.checkPortals(player)
+  }
+
+  /**
+   * Check a requested move against map bounds, collision and max speed
+   * @param {Player} player - Moving player
+   * @param {number} x - Requested x
+   * @param {number} y - Requested y
+   * @returns {string|null} Rejection reason, or null when the move is legal
+   */
+  validateMove(player, x, y) {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      return 'invalid'
+    }
+
+    if (!this.collision.inBounds(x, y)) {
+      return 'bounds'
+    }
+
+    // Allow the distance covered since the last accepted move (at least one
+    // simulation tick, capped so idling doesn't bank a teleport), plus
+    // slack for network jitter
+    const elapsed = Math.min(
+      Math.max(this.clock.currentTime - (player.lastMoveAt || 0), SIMULATION_INTERVAL),
+      MAX_MOVE_INTERVAL
+    )
+    const speed = this.playerSpeed * this.effects.getMoveSpeedMultiplier(player)
+    const maxDistance = speed * (elapsed / 1000) * MOVE_TOLERANCE
+    if (Math.hypot(x - player.x, y - player.y) > maxDistance) {
+      return 'speed'
     }
+
+    if (!this.collision.isPathClear(player.x, player.y, x, y)) {
+      return 'collision'
+    }
+
+    return null
   }
 
-  onPlayerChat(client, message) {
+  async onPlayerChat(client, message) {
     const player = this.state.players.get(client.sessionId)
     if (!player) return
 
-    const chatMessage = {
-      playerId: client.sessionId,
-      playerName: player.name,
-      message: message.text,
-      timestamp: Date.now()
+    // Colyseus doesn't catch rejections of async message handlers
+    try {
+      const rejection = await this.chat.handleMessage(player, message)
+      if (rejection) {
+        client.send('chatError', { reason: rejection })
+      }
+    } catch (error) {
+      console.error(`Error handling chat from ${player.id}:`, error)
+      client.send('chatError', { reason: 'error' })
     }
-
-    // Broadcast to ALL players (chat is not proximity-based)
-    this.broadcast('chat', chatMessage)
-
-    // Fire chat event in DSL
-    this.dslInterpreter.fireEvent('playerChat', {
-      player: player,
-      message: message.text,
-      client: client
-    })
   }
 
   onPlayerInteract(client, message) {
@@ -296,24 +480,47 @@ export class GameRoom extends Room {
           npc: npc,
           client: client
         })
+
+        this.quests.onNPCInteract(player, npc)
+
+        // Vendors open their shop without needing a script
+        if (npc.shopId) {
+          this.shops.open(player, npc.shopId, npc)
+        }
       }
     }
   }
 
   onPlayerUseItem(client, message) {
     const player = this.state.players.get(client.sessionId)
-    if (!player) return
+    if (!player || player.dead) return
 
     const { itemId, slot } = message
+    if (this.trades.isTrading(player)) {
+      client.send('inventoryError', { action: 'useItem', slot, reason: 'trading' })
+      return
+    }
+
     const inventoryItem = player.inventory.find(item => item.slot === slot)
     
     if (inventoryItem && inventoryItem.itemId === itemId) {
+      // Items can declare effects: ["regeneration"] or [{ "effect": "haste", "duration": 20 }]
+      const definition = this.findItemDefinition(itemId)
+      for (const entry of definition?.effects || []) {
+        const effect = typeof entry === 'string' ? { effect: entry } : entry
+        this.effects.apply(player, effect.effect, { duration: effect.duration, source: player })
+      }
+
       // Fire itemUse event in DSL
       this.dslInterpreter.fireEvent('itemUse', {
         player: player,
         item: inventoryItem,
         client: client
       })
+
+      if (definition?.type === 'consumable') {
+        takeFromSlot(player, slot, 1)
+      }
     }
   }
 
@@ -325,65 +532,342 @@ export class GameRoom extends Room {
     const worldItem = this.state.worldItems.get(itemId)
     
     if (worldItem && this.isInRange(player, worldItem, 1)) {
+      // Fresh loot belongs to the killer for a short while
+      if (!this.spawns.canPickUp(player, worldItem)) {
+        client.send('pickupRejected', { itemId, reason: 'owned' })
+        return
+      }
+
       // Add to player inventory
-      this.addItemToInventory(player, worldItem)
+      const result = this.addItemToInventory(player, worldItem)
+      if (!result.success) {
+        client.send('pickupRejected', { itemId, reason: result.reason })
+        return
+      }
       
       // Remove from world
-      this.state.worldItems.delete(itemId)
+      this.removeWorldItem(itemId)
+      this.spawns.onItemPickedUp(worldItem)
+      this.quests.onInventoryChanged(player)
       
       // Notify client
       client.send('itemPickedUp', { itemId })
     }
   }
 
-  onPlayerAttack(client, message) {
+  onPlayerEquip(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player || player.dead) return
+
+    const rejection = this.equipment.equip(player, message.slot)
+    if (rejection) {
+      client.send('equipRejected', { slot: message.slot, reason: rejection })
+      return
+    }
+
+    const item = player.inventory.find(entry => entry.slot === message.slot)
+    this.dslInterpreter.fireEvent('itemEquip', {
+      player: player,
+      item: item,
+      client: client
+    })
+    client.send('stats', this.combat.getStats(player))
+  }
+
+  onPlayerUnequip(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player || player.dead) return
+
+    if (this.equipment.unequip(player, message.equipSlot)) {
+      client.send('stats', this.combat.getStats(player))
+    }
+  }
+
+  onPlayerDropItem(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player || player.dead || player.transferring) return
+
+    const { slot, quantity } = message
+    if (this.trades.isTrading(player)) {
+      client.send('inventoryError', { action: 'dropItem', slot, reason: 'trading' })
+      return
+    }
+
+    const entry = player.inventory.find(item => item.slot === slot)
+    if (entry?.equipped) {
+      const equipSlot = this.findItemDefinition(entry.itemId)?.equipSlot
+      this.equipment.unequip(player, equipSlot)
+      client.send('stats', this.combat.getStats(player))
+    }
+
+    const result = takeFromSlot(player, slot, quantity)
+    if (!result.success) {
+      client.send('inventoryError', { action: 'dropItem', slot, reason: result.reason })
+      return
+    }
+
+    this.spawns.spawnDrop(result.itemId, result.quantity, player, this.mapId)
+  }
+
+  onPlayerSplitStack(client, message) {
     const player = this.state.players.get(client.sessionId)
     if (!player) return
 
-    const { targetId } = message
-    const target = this.state.npcs.get(targetId)
-    
-    if (target && this.isInRange(player, target, 2)) {
-      // Calculate damage
-      const damage = Math.floor(Math.random() * 20) + 10
-      target.health -= damage
-      
-      // Broadcast attack animation to nearby players
-      const nearbyPlayers = this.getNearbyPlayers(player)
-      for(const p of nearbyPlayers) {
-        if(p.id !== player.id) {
-          const c = this.clients.find(c => c.sessionId === p.id)
-          c?.send('attack', {
-            attackerId: client.sessionId,
-            targetId: targetId,
-            damage: damage
-          })
-        }
-      }
+    if (this.trades.isTrading(player)) {
+      client.send('inventoryError', { action: 'splitStack', slot: message.slot, reason: 'trading' })
+      return
+    }
 
-      // Check if target is defeated
-      if (target.health <= 0) {
-        this.dslInterpreter.fireEvent('npcDefeated', {
-          player: player,
-          npc: target,
-          client: client
-        })
-        
-        // Remove NPC (respawn logic can be in DSL)
-        this.state.npcs.delete(targetId)
-      }
+    const result = splitStack(player, this.items, message.slot, message.quantity)
+    if (!result.success) {
+      client.send('inventoryError', { action: 'splitStack', slot: message.slot, reason: result.reason })
+    }
+  }
+
+  onPlayerMergeStacks(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player) return
+
+    if (this.trades.isTrading(player)) {
+      client.send('inventoryError', { action: 'mergeStacks', slot: message.fromSlot, reason: 'trading' })
+      return
+    }
+
+    const result = mergeStacks(player, this.items, message.fromSlot, message.toSlot)
+    if (!result.success) {
+      client.send('inventoryError', { action: 'mergeStacks', slot: message.fromSlot, reason: result.reason })
+    }
+  }
+
+  onPlayerMoveItem(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player) return
+
+    if (this.trades.isTrading(player)) {
+      client.send('inventoryError', { action: 'moveItem', slot: message.fromSlot, reason: 'trading' })
+      return
+    }
+
+    const result = moveItem(player, this.items, message.fromSlot, message.toSlot)
+    if (!result.success) {
+      client.send('inventoryError', { action: 'moveItem', slot: message.fromSlot, reason: result.reason })
     }
   }
 
+  onPlayerTrade(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player) return
+
+    this.trades.handleMessage(player, message)
+  }
+
+  onPlayerParty(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player) return
+
+    this.parties.handleMessage(player, message)
+  }
+
+  onPlayerShopBuy(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player || player.dead) return
+
+    const rejection = this.trades.isTrading(player) ? 'trading' : this.shops.buy(player, message)
+    client.send('shopResult', {
+      action: 'buy',
+      itemId: message.itemId,
+      success: !rejection,
+      reason: rejection
+    })
+  }
+
+  onPlayerShopSell(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player || player.dead) return
+
+    const rejection = this.trades.isTrading(player) ? 'trading' : this.shops.sell(player, message)
+    client.send('shopResult', {
+      action: 'sell',
+      slot: message.slot,
+      success: !rejection,
+      reason: rejection
+    })
+  }
+
+  onPlayerShopClose(client) {
+    const player = this.state.players.get(client.sessionId)
+    if (player) this.shops.close(player)
+  }
+
+  onPlayerCraft(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player || player.dead || player.transferring) return
+
+    const rejection = this.trades.isTrading(player) ? 'trading' : this.crafting.start(player, message.recipeId)
+    if (rejection) {
+      client.send('craftResult', { recipeId: message.recipeId, success: false, reason: rejection })
+    }
+  }
+
+  onPlayerCraftCancel(client) {
+    const player = this.state.players.get(client.sessionId)
+    if (player) this.crafting.cancel(player)
+  }
+
+  onPlayerQuestTurnIn(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player || player.dead) return
+
+    // Quests handed in at an NPC are completed by talking to it
+    if (this.quests.getQuest(message.questId).turnIn) return
+
+    // Quests without objectives in the catalog are only completed by scripts
+    const quest = this.quests.quests.get(message.questId)
+    const rejection = quest?.objectives.length > 0
+      ? this.quests.complete(player, message.questId)
+      : 'notTurnIn'
+    if (rejection) {
+      client.send('questRejected', { questId: message.questId, reason: rejection })
+    }
+  }
+
+  onPlayerQuestAbandon(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (player) this.quests.abandon(player, message.questId)
+  }
+
+  onPlayerDialogueStart(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player || player.dead || player.transferring) return
+
+    const rejection = this.dialogue.start(player, this.state.npcs.get(message.npcId))
+    if (rejection) {
+      client.send('dialogueRejected', { npcId: message.npcId, reason: rejection })
+    }
+  }
+
+  onPlayerDialogueChoice(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player || player.dead) return
+
+    const rejection = this.dialogue.choose(player, message.index)
+    if (rejection) {
+      client.send('dialogueRejected', { index: message.index, reason: rejection })
+    }
+  }
+
+  onPlayerDialogueEnd(client) {
+    const player = this.state.players.get(client.sessionId)
+    if (player) this.dialogue.end(player)
+  }
+
+  onPlayerAttack(client, message) {
+    const player = this.state.players.get(client.sessionId)
+    if (!player || player.transferring || player.dead) return
+
+    const { targetId, targetType = 'npc', damageType } = message
+    const target = targetType === 'player'
+      ? this.state.players.get(targetId)
+      : this.state.npcs.get(targetId)
+
+    if (!target || target === player || target.health <= 0 || target.transferring) return
+
+    let rejection = null
+    if (!this.combat.isReady(player)) {
+      rejection = 'cooldown'
+    } else if (!this.isInRange(player, target, this.combat.getStats(player).range)) {
+      rejection = 'range'
+    } else if (targetType === 'player' &&
+      (!this.getZoneFlags(player).pvp || !this.getZoneFlags(target).pvp)) {
+      rejection = 'pvp'
+    }
+
+    if (rejection) {
+      client.send('attackRejected', { targetId, reason: rejection })
+      return
+    }
+
+    this.combat.attack(player, target, damageType)
+  }
+
+  onNPCDefeated(npc, killer) {
+    this.dslInterpreter.fireEvent('npcDefeated', {
+      player: killer,
+      npc: npc,
+      client: this.clients.find(c => c.sessionId === killer?.id)
+    })
+
+    this.removeNPC(npc.id)
+    if (killer && this.state.players.get(killer.id) === killer) {
+      this.parties.grantExperience(killer, npc.experience)
+    }
+    this.spawns.onNPCDefeated(npc, killer)
+    this.quests.onNPCDefeated(npc, killer)
+  }
+
+  /**
+   * Handle a player reaching zero health
+   * The player stays where they fell until the respawn delay passes, then
+   * returns to the map's respawn point with full health.
+   * @param {Player} player - Player that died
+   * @param {Player|NPC} [killer] - Entity that dealt the final blow
+   */
+  onPlayerDeath(player, killer) {
+    const client = this.clients.find(c => c.sessionId === player.id)
+    player.dead = true
+    player.moving = false
+    this.effects.clear(player)
+    this.crafting.cancel(player, 'died')
+    this.dialogue.end(player)
+
+    this.dslInterpreter.fireEvent('playerDeath', {
+      player: player,
+      killer: killer,
+      client: client
+    })
+
+    this.broadcastNearby(player, 'death', {
+      playerId: player.id,
+      killerId: killer?.id || null,
+      respawnIn: RESPAWN_DELAY
+    })
+
+    this.clock.setTimeout(() => this.respawnPlayer(player), RESPAWN_DELAY)
+  }
+
+  async respawnPlayer(player) {
+    // The player may have left while dead
+    if (this.state.players.get(player.id) !== player) return
+
+    const respawn = this.map.respawn || this.getSpawnPoint(this.map)
+    player.health = player.maxHealth
+    player.mana = player.maxMana
+    player.dead = false
+    player.lastMoveAt = this.clock.currentTime
+
+    await this.transferPlayer(player, this.mapId, respawn.x, respawn.y)
+
+    this.dslInterpreter.fireEvent('playerRespawn', {
+      player: player,
+      client: this.clients.find(c => c.sessionId === player.id)
+    })
+  }
+
   update() {
     // Game loop updates
     this.dslInterpreter.fireEvent('tick', {
       deltaTime: this.clock.deltaTime
     })
 
+    // Tick and expire status effects
+    this.effects.update()
+
+    // Cancel trades whose players moved apart or changed inventory
+    this.trades.update()
+
     // Update NPCs
     for (const npc of this.state.npcs.values()) {
-      this.updateNPC(npc)
+      this.updateNPC(npc, this.clock.deltaTime)
     }
 
     // Update items
@@ -392,28 +876,202 @@ export class GameRoom extends Room {
     }
   }
 
-  updateNPC(npc) {
-    // Basic NPC AI - can be extended with DSL scripts
-    if (npc.aiType === 'wander') {
-      if (Math.random() < 0.01) { // 1% chance per frame
-        npc.x += (Math.random() - 0.5) * 2
-        npc.y += (Math.random() - 0.5) * 2
-        
-        // Keep in bounds
-        npc.x = Math.max(0, Math.min(100, npc.x))
-        npc.y = Math.max(0, Math.min(100, npc.y))
-      }
+  updateNPC(npc, deltaTime) {
+    // Behaviour states, pathing and NPC attacks
+    this.ai.update(npc, deltaTime)
+  }
+
+  addNPC(npc) {
+    this.state.npcs.set(npc.id, npc)
+    this.npcGrid.insert(npc)
+  }
+
+  removeNPC(npcId) {
+    const npc = this.state.npcs.get(npcId)
+    if (npc) {
+      this.npcGrid.remove(npc)
+      this.state.npcs.delete(npcId)
+    }
+  }
+
+  addWorldItem(item) {
+    this.state.worldItems.set(item.id, item)
+    this.itemGrid.insert(item)
+  }
+
+  removeWorldItem(itemId) {
+    const item = this.state.worldItems.get(itemId)
+    if (item) {
+      this.itemGrid.remove(item)
+      this.state.worldItems.delete(itemId)
     }
   }
 
   updateItem(item) {
-    // Item update logic (animations, respawn timers, etc.)
+    // Loot ownership and despawn timers
+    this.spawns.updateItem(item, this.clock.currentTime)
+  }
+
+  /**
+   * Diff the zones a player is standing in against the previous position
+   * Fires zoneExit before zoneEnter so scripts see the player leave one
+   * area before entering the next, then tells the client about the zone
+   * properties that now apply (music, PvP, safe zone).
+   * @param {Player} player - Player that moved
+   */
+  checkRegionEvents(player) {
+    const current = this.zones.zonesAt(player.x, player.y)
+    const currentIds = new Set(current.map(zone => zone.id))
+    const client = this.clients.find(c => c.sessionId === player.id)
+
+    const exited = [...player.zones].filter(zoneId => !currentIds.has(zoneId))
+    const entered = current.filter(zone => !player.zones.has(zone.id))
+    if (exited.length === 0 && entered.length === 0) return
+
+    player.zones = currentIds
+
+    for (const zoneId of exited) {
+      this.dslInterpreter.fireEvent('zoneExit', {
+        player: player,
+        zone: this.zones.get(zoneId),
+        client: client
+      })
+    }
+
+    for (const zone of entered) {
+      this.dslInterpreter.fireEvent('zoneEnter', {
+        player: player,
+        zone: zone,
+        client: client
+      })
+      this.quests.onZoneEnter(player, zone)
+    }
+
+    client?.send('zoneChanged', {
+      zones: current.map(zone => ({ id: zone.id, name: zone.name })),
+      ...this.getZoneFlags(player)
+    })
+  }
+
+  /**
+   * Merge the properties of every zone a player is in
+   * Overlapping zones are combined: any safe zone makes the position safe,
+   * PvP needs every zone to allow it, and the last zone with a track sets
+   * the music.
+   * @param {Player} player - Player to check
+   * @returns {{bgm: string|null, pvp: boolean, safe: boolean}} Zone flags
+   */
+  getZoneFlags(player) {
+    const zones = [...player.zones].map(zoneId => this.zones.get(zoneId)).filter(Boolean)
+    const flags = { bgm: null, pvp: false, safe: false }
+
+    for (const zone of zones) {
+      if (zone.properties.bgm) flags.bgm = zone.properties.bgm
+      if (zone.properties.safe) flags.safe = true
+    }
+    flags.pvp = zones.length > 0 && !flags.safe && zones.every(zone => zone.properties.pvp)
+
+    return flags
+  }
+
+  checkPortals(player) {
+    const portal = this.portals.find(p =>
+      player.x >= p.x && player.x < p.x + (p.width || 1) &&
+      player.y >= p.y && player.y < p.y + (p.height || 1)
+    )
+
+    if (portal) {
+      this.transferPlayer(player, portal.targetMap || this.mapId, portal.targetX, portal.targetY)
+    }
   }
 
-  checkRegionEvents(player, oldX, oldY, newX, newY) {
-    // Check if player entered or exited any regions
-    // This would check against defined regions in the world data
-    // and fire playerEnter/playerExit events
+  /**
+   * Move a player to a position on any map of this world
+   * Same-map moves are applied in place. Moves to another map persist the
+   * character at its destination, reserve a seat in that map's room and
+   * send the reservation to the client, so inventory and stats travel
+   * with the character row.
+   * @param {Player} player - Player to move
+   * @param {string} mapId - Destination map ID
+   * @param {number} x - Destination x
+   * @param {number} y - Destination y
+   * @returns {Promise<boolean>} Whether the move was started
+   */
+  async transferPlayer(player, mapId, x, y) {
+    if (player.transferring) return false
+
+    const targetMap = this.worldData.maps.find(m => m.id === mapId)
+    if (!targetMap) {
+      console.warn(`Cannot warp ${player.id}: map "${mapId}" does not exist`)
+      return false
+    }
+
+    const spawn = this.getSpawnPoint(targetMap)
+    const destination = {
+      mapId,
+      x: Number.isFinite(x) ? x : spawn.x,
+      y: Number.isFinite(y) ? y : spawn.y
+    }
+    const client = this.clients.find(c => c.sessionId === player.id)
+
+    if (mapId === this.mapId) {
+      player.x = destination.x
+      player.y = destination.y
+      this.grid.update(player)
+      client?.send('warp', destination)
+      this.checkRegionEvents(player)
+      return true
+    }
+
+    const origin = { mapId: player.mapId, x: player.x, y: player.y }
+    player.transferring = true
+    player.mapId = destination.mapId
+    player.x = destination.x
+    player.y = destination.y
+
+    try {
+      await saveCharacter(snapshotPlayer(player))
+      await renewClaim(this.presence, player.characterId, player.id, { handover: true })
+
+      // The entry map room is the one clients create without a mapId
+      const roomOptions = { worldId: this.worldKey, token: client?.userData?.token }
+      if (mapId !== this.worldData.maps[0].id) {
+        roomOptions.mapId = mapId
+      }
+
+      const reservation = await matchMaker.joinOrCreate('game_room', roomOptions)
+
+      client?.send('changeMap', { ...destination, reservation })
+      return true
+    } catch (error) {
+      console.error(`Error moving ${player.id} to map ${mapId}:`, error)
+      Object.assign(player, origin)
+      player.transferring = false
+      renewClaim(this.presence, player.characterId, player.id)
+        .catch(claimError => console.error(`Error renewing claim of ${player.id}:`, claimError))
+      client?.send('warpFailed', { mapId })
+      return false
+    }
+  }
+
+  /**
+   * Pick the class of a new character
+   * Worlds list their classes as `classes: [{ id }]`; a requested class
+   * outside that list falls back to the first one.
+   * @param {string} [requested] - Class requested in the join options
+   * @returns {string} Class id, empty when the world has no classes
+   */
+  resolveClass(requested) {
+    const classes = (this.worldData.classes || []).map(c => typeof c === 'string' ? c : c?.id)
+    if (classes.includes(requested)) return requested
+    return classes[0] || ''
+  }
+
+  getSpawnPoint(map) {
+    return map.spawn || {
+      x: Math.floor(map.width / 2),
+      y: Math.floor(map.height / 2)
+    }
   }
 
   checkNPCProximity(player) {
@@ -437,43 +1095,77 @@ export class GameRoom extends Room {
     return distance <= range
   }
 
+  /**
+   * Add a world item's stack to a player's inventory
+   * @param {Player} player - Player picking up
+   * @param {Item} item - World item
+   * @returns {Object} Inventory service result
+   */
   addItemToInventory(player, item) {
-    // Find empty slot
-    let emptySlot = -1
-    for (let i = 0; i < 20; i++) { // 20 inventory slots
-      if (!player.inventory.find(inv => inv.slot === i)) {
-        emptySlot = i
-        break
-      }
-    }
+    return addItem(player, this.items, item.itemId || item.id, item.quantity || 1)
+  }
 
-    if (emptySlot !== -1) {
-      player.inventory.push({
-        slot: emptySlot,
-        itemId: item.id,
-        quantity: 1
-      })
-      return true
+  async saveWorldState() {
+    // Save player data to the database
+    const snapshots = Array.from(this.state.players.values())
+      .filter(player => !player.transferring)
+      .map(snapshotPlayer)
+    if (snapshots.length === 0) return
+
+    console.log(`Auto-saving ${snapshots.length} characters...`)
+    const results = await Promise.allSettled(snapshots.map(saveCharacter))
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        console.error('Error saving world state:', result.reason)
+      }
     }
-    return false
   }
 
-  async saveWorldState() {
-    // Save player data and world state to database
-    try {
-      console.log('Auto-saving world state...')
-      // TODO: Implement database save
-    } catch (error) {
-      console.error('Error saving world state:', error)
+  // Keep the session claims of players in this room from expiring
+  async renewClaims() {
+    for (const player of this.state.players.values()) {
+      if (player.transferring) continue
+      try {
+        await renewClaim(this.presence, player.characterId, player.id)
+      } catch (error) {
+        console.error(`Error renewing claim of ${player.id}:`, error)
+      }
     }
   }
 
-  onDispose() {
+  async onDispose() {
     console.log('GameRoom disposed')
     if (this.autoSaveInterval) {
       this.autoSaveInterval.clear()
     }
-    this.saveWorldState()
+    if (this.interestInterval) {
+      this.interestInterval.clear()
+    }
+    if (this.partyInterval) {
+      this.partyInterval.clear()
+    }
+    this.chat?.dispose()
+    this.guilds?.dispose()
+    this.parties?.dispose()
+    this.dslInterpreter?.dispose()
+    await this.saveWorldState()
+  }
+
+  /**
+   * Send a message to every client near an entity
+   * @param {Object} entity - Entity with x and y
+   * @param {string} type - Message type
+   * @param {Object} message - Message payload
+   */
+  broadcastNearby(entity, type, message) {
+    for (const playerId of this.grid.getNearby(entity)) {
+      const client = this.clients.find(c => c.sessionId === playerId)
+      client?.send(type, message)
+    }
+  }
+
+  findItemDefinition(itemId) {
+    return this.items.get(itemId)
   }
 
   getNearbyPlayers(player) {
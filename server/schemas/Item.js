@@ -1,6 +1,14 @@
 import { Schema, defineTypes } from '@colyseus/schema'
 
-export class Item extends Schema {}
+export class Item extends Schema {
+  constructor() {
+    super()
+    // Runtime-only spawn and loot properties
+    this.spawnData = null
+    this.ownedUntil = 0
+    this.despawnAt = 0
+  }
+}
 
 defineTypes(Item, {
   id: 'string',
@@ -20,5 +28,6 @@ defineTypes(Item, {
   requirements: 'string',
   effects: 'string',
   respawnTime: 'number',
-  respawnTimer: 'number'
+  respawnTimer: 'number',
+  ownerId: 'string'
 })
\ No newline at end of file
@@ -1,7 +1,31 @@
-import { Schema, defineTypes } from '@colyseus/schema'
+import { Schema, MapSchema, defineTypes } from '@colyseus/schema'
+import { StatusEffect } from './StatusEffect.js'
 
 export class NPC extends Schema {
   variables = new Map()
+
+  constructor() {
+    super()
+    this.effects = new MapSchema()
+    // Runtime-only combat properties
+    this.stats = null
+    this.targetId = null
+    this.lastAttackAt = 0
+    this.aggroRange = 5
+    this.moveSpeed = 3
+    this.onHit = []
+    this.immunities = []
+    // Experience granted for defeating the NPC
+    this.experience = 0
+    // Behaviour state, see server/game/NPCAISystem.js
+    this.ai = null
+    // Map or script data the NPC respawns from
+    this.spawnData = null
+    // Shop opened when players talk to the NPC, see server/game/ShopSystem.js
+    this.shopId = null
+    // Dialogue tree, see server/game/DialogueSystem.js
+    this.dialogueId = null
+  }
 }
 
 defineTypes(NPC, {
@@ -21,5 +45,6 @@ defineTypes(NPC, {
   dialogue: 'string',
   questId: 'string',
   respawnTime: 'number',
-  lastInteraction: 'number'
+  lastInteraction: 'number',
+  effects: { map: StatusEffect }
 })
\ No newline at end of file
@@ -1,11 +1,13 @@
-import { Schema, ArraySchema, defineTypes } from '@colyseus/schema'
+import { Schema, ArraySchema, MapSchema, defineTypes } from '@colyseus/schema'
+import { StatusEffect } from './StatusEffect.js'
 
 export class InventoryItem extends Schema {}
 
 defineTypes(InventoryItem, {
   slot: 'number',
   itemId: 'string',
-  quantity: 'number'
+  quantity: 'number',
+  equipped: 'boolean'
 })
 
 export class Player extends Schema {
@@ -17,8 +19,22 @@ export class Player extends Schema {
     this.inventory = new ArraySchema();
     this.activeQuests = new ArraySchema();
     this.completedQuests = new ArraySchema();
+    this.knownRecipes = new ArraySchema();
+    this.effects = new MapSchema();
+    this.equipment = new MapSchema();
     this.lastActivity = Date.now();
     this.variables = new Map();
+    this.userId = null;
+    this.characterId = null;
+    this.lastMoveAt = 0;
+    this.zones = new Set();
+    this.lastAttackAt = 0;
+    this.dead = false;
+    // Objective counts per active quest, see server/game/QuestSystem.js
+    this.questProgress = new Map();
+    // Guild membership, see server/game/GuildSystem.js
+    this.guildId = null;
+    this.guildTag = '';
   }
 }
 
@@ -40,6 +56,11 @@ defineTypes(Player, {
   inventory: [ InventoryItem ],
   activeQuests: [ 'string' ],
   completedQuests: [ 'string' ],
+  knownRecipes: [ 'string' ],
+  effects: { map: StatusEffect },
+  equipment: { map: 'string' },
+  characterClass: 'string',
+  guildTag: 'string',
   lastActivity: 'number',
   spriteUrl: 'string',
   spriteMetadata: 'string'
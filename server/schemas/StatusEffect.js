@@ -0,0 +1,21 @@
+import { Schema, defineTypes } from '@colyseus/schema'
+
+export class StatusEffect extends Schema {
+  constructor() {
+    super()
+    // Runtime-only timing, on the room clock
+    this.endsAt = 0
+    this.nextTickAt = 0
+    this.source = null
+  }
+}
+
+defineTypes(StatusEffect, {
+  id: 'string',
+  name: 'string',
+  icon: 'string',
+  harmful: 'boolean',
+  stacks: 'number',
+  duration: 'number',
+  expiresAt: 'number'
+})
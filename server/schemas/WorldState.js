@@ -1,9 +1,17 @@
-import { Schema, MapSchema, defineTypes } from '@colyseus/schema'
+import { Schema, MapSchema, defineTypes, filterChildren } from '@colyseus/schema'
 import { Player } from './Player.js'
 import { NPC } from './NPC.js'
 import { Item } from './Item.js'
 
-export class WorldState extends Schema {}
+export class WorldState extends Schema {
+  constructor() {
+    super();
+    this.players = new MapSchema();
+    this.npcs = new MapSchema();
+    this.worldItems = new MapSchema();
+    this.globalVariables = new MapSchema();
+  }
+}
 
 defineTypes(WorldState, {
   worldId: 'string',
@@ -12,4 +20,12 @@ defineTypes(WorldState, {
   npcs: { map: NPC },
   worldItems: { map: Item },
   globalVariables: { map: 'string' }
-})
\ No newline at end of file
+})
+
+// Each client only syncs entities inside its area of interest
+// (see server/game/InterestManager.js)
+for (const collection of ['players', 'npcs', 'worldItems']) {
+  filterChildren(function (client, key) {
+    return client.userData?.view?.[collection].has(key) ?? false
+  })(WorldState.prototype, collection)
+}
@@ -0,0 +1,192 @@
+/**
+ * @file Character persistence service
+ * @description Loads and saves player characters and their inventory
+ * for a (user, project) pair
+ */
+
+import { query, getClient } from '../database/index.js'
+import { InventoryItem } from '../schemas/Player.js'
+
+/**
+ * Load the character a user owns in a project, creating it on first join
+ * @param {string} userId - User ID from the verified JWT
+ * @param {string} projectId - Project ID of the world
+ * @param {Object} defaults - Values used when the character is created
+ * @returns {Promise<Object>} Character row with an `inventory` array
+ */
+export async function loadOrCreateCharacter(userId, projectId, defaults) {
+  let result = await query(
+    'SELECT * FROM characters WHERE user_id = $1 AND project_id = $2',
+    [userId, projectId]
+  )
+
+  if (result.rows.length === 0) {
+    result = await query(
+      `INSERT INTO characters (user_id, project_id, name, position_x, position_y, map_id, character_class)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (user_id, project_id) DO UPDATE SET updated_at = NOW()
+       RETURNING *`,
+      [userId, projectId, defaults.name, defaults.x, defaults.y, defaults.mapId, defaults.characterClass || '']
+    )
+  }
+
+  const character = result.rows[0]
+  const inventory = await query(
+    `SELECT item_id, quantity, slot, equipped, metadata
+     FROM inventory
+     WHERE character_id = $1
+     ORDER BY slot`,
+    [character.id]
+  )
+
+  return { ...character, inventory: inventory.rows }
+}
+
+/**
+ * Restore a character row onto a Player schema instance
+ * @param {Player} player - Player instance to populate
+ * @param {Object} character - Row returned by loadOrCreateCharacter
+ */
+export function applyCharacterToPlayer(player, character) {
+  player.characterId = character.id
+  player.name = character.name
+  player.x = character.position_x
+  player.y = character.position_y
+  player.mapId = character.map_id
+  player.level = character.level
+  player.experience = character.experience
+  player.health = character.health
+  player.maxHealth = character.max_health
+  player.mana = character.mana
+  player.maxMana = character.max_mana
+  player.gold = character.gold || 0
+  player.characterClass = character.character_class || ''
+
+  const quests = character.quests || {}
+  player.activeQuests.push(...(quests.active || []))
+  player.completedQuests.push(...(quests.completed || []))
+  for (const [questId, progress] of Object.entries(quests.progress || {})) {
+    if (player.activeQuests.includes(questId)) player.questProgress.set(questId, progress)
+  }
+  player.knownRecipes.push(...(character.recipes || []))
+  for (const [name, value] of Object.entries(character.variables || {})) {
+    player.variables.set(name, value)
+  }
+
+  for (const row of character.inventory) {
+    const entry = new InventoryItem()
+    entry.slot = row.slot
+    entry.itemId = row.item_id
+    entry.quantity = row.quantity
+    entry.equipped = Boolean(row.equipped)
+    player.inventory.push(entry)
+  }
+}
+
+/**
+ * Take a plain snapshot of a player's persistent state
+ * Snapshots are taken synchronously so a player can be removed from
+ * room state while the write is still in flight.
+ * @param {Player} player - Player instance
+ * @returns {Object} Character snapshot
+ */
+export function snapshotPlayer(player) {
+  return {
+    characterId: player.characterId,
+    x: Math.round(player.x),
+    y: Math.round(player.y),
+    mapId: player.mapId,
+    level: player.level,
+    experience: player.experience,
+    health: player.health,
+    maxHealth: player.maxHealth,
+    mana: player.mana,
+    maxMana: player.maxMana,
+    gold: player.gold || 0,
+    quests: {
+      active: Array.from(player.activeQuests),
+      completed: Array.from(player.completedQuests),
+      progress: Object.fromEntries(
+        Array.from(player.questProgress, ([questId, progress]) => [questId, [...progress]])
+      )
+    },
+    recipes: Array.from(player.knownRecipes),
+    variables: Object.fromEntries(player.variables),
+    inventory: Array.from(player.inventory).map(entry => ({
+      slot: entry.slot,
+      itemId: entry.itemId,
+      quantity: entry.quantity,
+      equipped: Boolean(entry.equipped)
+    }))
+  }
+}
+
+/**
+ * Write a character snapshot and its inventory in one transaction
+ * @param {Object} snapshot - Snapshot from snapshotPlayer
+ */
+export async function saveCharacter(snapshot) {
+  if (!snapshot.characterId) return
+
+  const client = await getClient()
+  try {
+    await client.query('BEGIN')
+
+    await client.query(
+      `UPDATE characters
+       SET level = $2, experience = $3, health = $4, max_health = $5,
+           mana = $6, max_mana = $7, position_x = $8, position_y = $9,
+           map_id = $10, gold = $11, quests = $12, recipes = $13, variables = $14,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [
+        snapshot.characterId,
+        snapshot.level,
+        snapshot.experience,
+        snapshot.health,
+        snapshot.maxHealth,
+        snapshot.mana,
+        snapshot.maxMana,
+        snapshot.x,
+        snapshot.y,
+        snapshot.mapId,
+        snapshot.gold,
+        JSON.stringify(snapshot.quests),
+        JSON.stringify(snapshot.recipes),
+        JSON.stringify(snapshot.variables)
+      ]
+    )
+
+    await client.query('DELETE FROM inventory WHERE character_id = $1', [snapshot.characterId])
+
+    for (const entry of snapshot.inventory) {
+      await client.query(
+        `INSERT INTO inventory (character_id, item_id, quantity, slot, equipped)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [snapshot.characterId, entry.itemId, entry.quantity, entry.slot, entry.equipped]
+      )
+    }
+
+    await client.query('COMMIT')
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+/**
+ * Find a world's characters by name
+ * Names are only unique per user, so several characters may share one.
+ * @param {string} projectId - Project ID of the world
+ * @param {string} name - Character name (case-insensitive)
+ * @returns {Promise<Array<string>>} Character IDs
+ */
+export async function findCharacterIds(projectId, name) {
+  const result = await query(
+    'SELECT id FROM characters WHERE project_id = $1 AND LOWER(name) = LOWER($2)',
+    [projectId, name]
+  )
+  return result.rows.map(row => row.id)
+}
@@ -0,0 +1,283 @@
+/**
+ * @file Guild service
+ * @description Guilds, their ranks and rosters. Guilds belong to a
+ * project, so they only exist within that world. Membership changes are
+ * published to the world's game rooms so online players see them.
+ */
+
+import { matchMaker } from '@colyseus/core'
+import { query, getClient } from '../database/index.js'
+
+export const GUILD_PERMISSIONS = ['invite', 'kick', 'promote', 'disband']
+
+// Ranks every new guild starts with, from the top
+const DEFAULT_RANKS = [
+  { name: 'Leader', permissions: ['invite', 'kick', 'promote', 'disband'] },
+  { name: 'Officer', permissions: ['invite', 'kick', 'promote'] },
+  { name: 'Member', permissions: [] }
+]
+
+/**
+ * Find the character a user plays in a project
+ * @param {string} userId - User id
+ * @param {string} projectId - Project id
+ * @returns {Promise<Object|null>} `{ id, name }`
+ */
+export async function getCharacter(userId, projectId) {
+  const result = await query(
+    'SELECT id, name FROM characters WHERE user_id = $1 AND project_id = $2',
+    [userId, projectId]
+  )
+  return result.rows[0] || null
+}
+
+/**
+ * Find a character of a project by name
+ * @param {string} projectId - Project id
+ * @param {string} name - Character name (case-insensitive)
+ * @returns {Promise<Object|null>} `{ id, name }`
+ */
+export async function findCharacterByName(projectId, name) {
+  const result = await query(
+    'SELECT id, name FROM characters WHERE project_id = $1 AND LOWER(name) = LOWER($2) LIMIT 1',
+    [projectId, name]
+  )
+  return result.rows[0] || null
+}
+
+/**
+ * Load a character's guild membership
+ * @param {string} characterId - Character id
+ * @returns {Promise<Object|null>} `{ guildId, name, tag, rankId, rankName,
+ * position, permissions }`, or null outside a guild
+ */
+export async function getMembership(characterId) {
+  const result = await query(
+    `SELECT g.id AS guild_id, g.name, g.tag, r.id AS rank_id, r.name AS rank_name,
+            r.position, r.permissions
+     FROM guild_members m
+     JOIN guilds g ON m.guild_id = g.id
+     JOIN guild_ranks r ON m.rank_id = r.id
+     WHERE m.character_id = $1`,
+    [characterId]
+  )
+  const row = result.rows[0]
+  if (!row) return null
+
+  return {
+    guildId: row.guild_id,
+    name: row.name,
+    tag: row.tag,
+    rankId: row.rank_id,
+    rankName: row.rank_name,
+    position: row.position,
+    permissions: row.permissions || []
+  }
+}
+
+/**
+ * List a project's guilds
+ * @param {string} projectId - Project id
+ * @returns {Promise<Array<Object>>} Guild rows with a member count
+ */
+export async function listGuilds(projectId) {
+  const result = await query(
+    `SELECT g.id, g.name, g.tag, g.created_at, COUNT(m.character_id)::int AS member_count
+     FROM guilds g
+     LEFT JOIN guild_members m ON m.guild_id = g.id
+     WHERE g.project_id = $1
+     GROUP BY g.id
+     ORDER BY g.name`,
+    [projectId]
+  )
+  return result.rows
+}
+
+/**
+ * Load a guild with its ranks and roster
+ * @param {string} projectId - Project id
+ * @param {string} guildId - Guild id
+ * @returns {Promise<Object|null>} Guild row with `ranks` and `members`
+ */
+export async function getGuild(projectId, guildId) {
+  const guild = await query(
+    'SELECT id, name, tag, created_at FROM guilds WHERE id = $1 AND project_id = $2',
+    [guildId, projectId]
+  )
+  if (guild.rows.length === 0) return null
+
+  const ranks = await query(
+    'SELECT id, name, position, permissions FROM guild_ranks WHERE guild_id = $1 ORDER BY position',
+    [guildId]
+  )
+  const members = await query(
+    `SELECT c.id AS character_id, c.name, c.level, m.rank_id, m.joined_at
+     FROM guild_members m
+     JOIN characters c ON m.character_id = c.id
+     JOIN guild_ranks r ON m.rank_id = r.id
+     WHERE m.guild_id = $1
+     ORDER BY r.position, c.name`,
+    [guildId]
+  )
+
+  return { ...guild.rows[0], ranks: ranks.rows, members: members.rows }
+}
+
+/**
+ * Found a guild with the default ranks, led by its founder
+ * @param {string} projectId - Project id
+ * @param {string} characterId - Founder's character id
+ * @param {Object} guild - `{ name, tag }`
+ * @returns {Promise<Object>} New guild row
+ */
+export async function createGuild(projectId, characterId, { name, tag }) {
+  const client = await getClient()
+  try {
+    await client.query('BEGIN')
+
+    const guild = await client.query(
+      `INSERT INTO guilds (project_id, name, tag)
+       VALUES ($1, $2, $3)
+       RETURNING id, name, tag, created_at`,
+      [projectId, name, tag]
+    )
+    const guildId = guild.rows[0].id
+
+    let leaderRankId = null
+    for (const [position, rank] of DEFAULT_RANKS.entries()) {
+      const inserted = await client.query(
+        `INSERT INTO guild_ranks (guild_id, name, position, permissions)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [guildId, rank.name, position, rank.permissions]
+      )
+      if (position === 0) leaderRankId = inserted.rows[0].id
+    }
+
+    await client.query(
+      'INSERT INTO guild_members (character_id, guild_id, rank_id) VALUES ($1, $2, $3)',
+      [characterId, guildId, leaderRankId]
+    )
+
+    await client.query('COMMIT')
+    return guild.rows[0]
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+/**
+ * Invite a character; inviting again refreshes the invite
+ * @param {string} guildId - Guild id
+ * @param {string} characterId - Invited character
+ * @param {string} invitedBy - Inviting character
+ */
+export async function createInvite(guildId, characterId, invitedBy) {
+  await query(
+    `INSERT INTO guild_invites (guild_id, character_id, invited_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (guild_id, character_id)
+     DO UPDATE SET invited_by = $3, created_at = NOW()`,
+    [guildId, characterId, invitedBy]
+  )
+}
+
+/**
+ * Join a guild from an invite, at its lowest rank
+ * Other pending invites of the character are dropped.
+ * @param {string} guildId - Guild id
+ * @param {string} characterId - Invited character
+ * @returns {Promise<boolean>} False when there was no invite
+ */
+export async function acceptInvite(guildId, characterId) {
+  const client = await getClient()
+  try {
+    await client.query('BEGIN')
+
+    const invite = await client.query(
+      'DELETE FROM guild_invites WHERE guild_id = $1 AND character_id = $2',
+      [guildId, characterId]
+    )
+    if (invite.rowCount === 0) {
+      await client.query('ROLLBACK')
+      return false
+    }
+
+    await client.query(
+      `INSERT INTO guild_members (character_id, guild_id, rank_id)
+       SELECT $1, $2, id FROM guild_ranks
+       WHERE guild_id = $2
+       ORDER BY position DESC
+       LIMIT 1`,
+      [characterId, guildId]
+    )
+    await client.query('DELETE FROM guild_invites WHERE character_id = $1', [characterId])
+
+    await client.query('COMMIT')
+    return true
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+/**
+ * Move members to other ranks in one step (promotions, leader handover)
+ * @param {string} guildId - Guild id
+ * @param {Array<Object>} changes - `[{ characterId, rankId }]`
+ */
+export async function setMemberRanks(guildId, changes) {
+  const client = await getClient()
+  try {
+    await client.query('BEGIN')
+    for (const { characterId, rankId } of changes) {
+      await client.query(
+        'UPDATE guild_members SET rank_id = $3 WHERE guild_id = $1 AND character_id = $2',
+        [guildId, characterId, rankId]
+      )
+    }
+    await client.query('COMMIT')
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+/**
+ * Take a character off a guild's roster
+ * @returns {Promise<boolean>} False when they weren't a member
+ */
+export async function removeMember(guildId, characterId) {
+  const result = await query(
+    'DELETE FROM guild_members WHERE guild_id = $1 AND character_id = $2',
+    [guildId, characterId]
+  )
+  return result.rowCount > 0
+}
+
+/**
+ * Delete a guild with its ranks, roster and invites
+ * @param {string} guildId - Guild id
+ * @returns {Promise<Array<string>>} Character ids of the former members
+ */
+export async function disbandGuild(guildId) {
+  const members = await query('SELECT character_id FROM guild_members WHERE guild_id = $1', [guildId])
+  await query('DELETE FROM guilds WHERE id = $1', [guildId])
+  return members.rows.map(row => row.character_id)
+}
+
+/**
+ * Tell the world's game rooms that characters' guild membership changed
+ * @param {string} projectId - Project id
+ * @param {Array<string>} characterIds - Characters to reload
+ */
+export function publishGuildUpdate(projectId, characterIds) {
+  matchMaker.presence.publish(`guild:${projectId}`, { characterIds })
+}
@@ -0,0 +1,291 @@
+/**
+ * @file Inventory service
+ * @description The single place player inventories are changed. Every
+ * mutation checks the item catalog's stacking rules and the world's
+ * capacity and weight limits, and either applies completely or not at all.
+ *
+ * Results are `{ success: true, ... }` or `{ success: false, reason }` with
+ * reason one of `unknownItem`, `inventoryFull`, `overweight`, `notFound`,
+ * `notEnough`, `equipped` or `invalid`.
+ */
+
+import { InventoryItem } from '../schemas/Player.js'
+
+function fail(reason) {
+  return { success: false, reason }
+}
+
+function findSlot(player, slot) {
+  return player.inventory.find(entry => entry.slot === slot)
+}
+
+function freeSlots(player, catalog) {
+  const used = new Set(Array.from(player.inventory).map(entry => entry.slot))
+  const slots = []
+  for (let slot = 0; slot < catalog.capacity; slot++) {
+    if (!used.has(slot)) slots.push(slot)
+  }
+  return slots
+}
+
+function createEntry(slot, itemId, quantity) {
+  const entry = new InventoryItem()
+  entry.slot = slot
+  entry.itemId = itemId
+  entry.quantity = quantity
+  entry.equipped = false
+  return entry
+}
+
+function removeEntry(player, entry) {
+  player.inventory.splice(player.inventory.indexOf(entry), 1)
+}
+
+/**
+ * Copy a player's inventory for dry runs
+ * The copy works with every function here, so a multi-step change can be
+ * checked in full before the real inventory is touched.
+ * @param {Player} player - Player
+ * @returns {{inventory: Array<Object>}} Player-like object holding the copy
+ */
+export function cloneInventory(player) {
+  return {
+    inventory: Array.from(player.inventory).map(entry => ({
+      slot: entry.slot,
+      itemId: entry.itemId,
+      quantity: entry.quantity,
+      equipped: entry.equipped
+    }))
+  }
+}
+
+/**
+ * Total carried weight of a player's inventory
+ * @param {Player} player - Player
+ * @param {ItemCatalog} catalog - Item catalog
+ * @returns {number} Weight
+ */
+export function getWeight(player, catalog) {
+  let weight = 0
+  for (const entry of player.inventory) {
+    weight += (catalog.get(entry.itemId)?.weight || 0) * entry.quantity
+  }
+  return weight
+}
+
+/**
+ * Count how many of an item a player carries
+ * @param {Player} player - Player
+ * @param {string} itemId - Item id or name
+ * @param {ItemCatalog} catalog - Item catalog
+ * @returns {number} Quantity
+ */
+export function countItem(player, itemId, catalog) {
+  const id = catalog.get(itemId)?.id || itemId
+  let count = 0
+  for (const entry of player.inventory) {
+    if (entry.itemId === id) count += entry.quantity
+  }
+  return count
+}
+
+/**
+ * Plan where a quantity of an item would go without changing anything
+ * @returns {Object} `{ success, fills: [[entry, amount]], newStacks: [[slot, amount]] }`
+ */
+function planAdd(player, catalog, definition, quantity) {
+  if (catalog.maxWeight > 0 &&
+    getWeight(player, catalog) + definition.weight * quantity > catalog.maxWeight) {
+    return fail('overweight')
+  }
+
+  const fills = []
+  let remaining = quantity
+
+  if (definition.stackable) {
+    for (const entry of player.inventory) {
+      if (remaining === 0) break
+      if (entry.itemId !== definition.id || entry.quantity >= definition.maxStack) continue
+      const amount = Math.min(remaining, definition.maxStack - entry.quantity)
+      fills.push([entry, amount])
+      remaining -= amount
+    }
+  }
+
+  const newStacks = []
+  for (const slot of freeSlots(player, catalog)) {
+    if (remaining === 0) break
+    const amount = Math.min(remaining, definition.maxStack)
+    newStacks.push([slot, amount])
+    remaining -= amount
+  }
+
+  if (remaining > 0) return fail('inventoryFull')
+  return { success: true, fills, newStacks }
+}
+
+/**
+ * Add items, topping up existing stacks before using free slots
+ * @param {Player} player - Player receiving the items
+ * @param {ItemCatalog} catalog - Item catalog
+ * @param {string} itemId - Item id or name
+ * @param {number} [quantity=1] - Quantity to add
+ * @returns {Object} `{ success, itemId, quantity }` or a failure
+ */
+export function addItem(player, catalog, itemId, quantity = 1) {
+  const definition = catalog.get(itemId)
+  if (!definition) return fail('unknownItem')
+  if (!Number.isInteger(quantity) || quantity <= 0) return fail('invalid')
+
+  const plan = planAdd(player, catalog, definition, quantity)
+  if (!plan.success) return plan
+
+  for (const [entry, amount] of plan.fills) {
+    entry.quantity += amount
+  }
+  for (const [slot, amount] of plan.newStacks) {
+    player.inventory.push(createEntry(slot, definition.id, amount))
+  }
+
+  return { success: true, itemId: definition.id, quantity }
+}
+
+/**
+ * Check whether items would fit without adding them
+ * @param {Player} player - Player
+ * @param {ItemCatalog} catalog - Item catalog
+ * @param {string} itemId - Item id or name
+ * @param {number} [quantity=1] - Quantity
+ * @returns {Object} `{ success }` or a failure
+ */
+export function canAddItem(player, catalog, itemId, quantity = 1) {
+  const definition = catalog.get(itemId)
+  if (!definition) return fail('unknownItem')
+  return planAdd(player, catalog, definition, quantity)
+}
+
+/**
+ * Remove a quantity of an item from any unequipped stacks
+ * @param {Player} player - Player
+ * @param {ItemCatalog} catalog - Item catalog
+ * @param {string} itemId - Item id or name
+ * @param {number} [quantity=1] - Quantity to remove
+ * @returns {Object} `{ success, itemId, quantity }` or a failure
+ */
+export function removeItem(player, catalog, itemId, quantity = 1) {
+  const id = catalog.get(itemId)?.id || itemId
+  if (!Number.isInteger(quantity) || quantity <= 0) return fail('invalid')
+
+  // Smallest stacks go first so full stacks stay intact
+  const stacks = Array.from(player.inventory)
+    .filter(entry => entry.itemId === id && !entry.equipped)
+    .sort((a, b) => a.quantity - b.quantity)
+
+  const available = stacks.reduce((sum, entry) => sum + entry.quantity, 0)
+  if (available < quantity) return fail('notEnough')
+
+  let remaining = quantity
+  for (const entry of stacks) {
+    const amount = Math.min(remaining, entry.quantity)
+    entry.quantity -= amount
+    remaining -= amount
+    if (entry.quantity === 0) removeEntry(player, entry)
+    if (remaining === 0) break
+  }
+
+  return { success: true, itemId: id, quantity }
+}
+
+/**
+ * Take a quantity out of one inventory slot (drop, use, trade)
+ * @param {Player} player - Player
+ * @param {number} slot - Inventory slot
+ * @param {number} [quantity] - Quantity, defaults to the whole stack
+ * @returns {Object} `{ success, itemId, quantity }` or a failure
+ */
+export function takeFromSlot(player, slot, quantity) {
+  const entry = findSlot(player, slot)
+  if (!entry) return fail('notFound')
+  if (entry.equipped) return fail('equipped')
+
+  const amount = quantity === undefined ? entry.quantity : quantity
+  if (!Number.isInteger(amount) || amount <= 0) return fail('invalid')
+  if (amount > entry.quantity) return fail('notEnough')
+
+  entry.quantity -= amount
+  if (entry.quantity === 0) removeEntry(player, entry)
+
+  return { success: true, itemId: entry.itemId, quantity: amount }
+}
+
+/**
+ * Split part of a stack into the first free slot
+ * @param {Player} player - Player
+ * @param {ItemCatalog} catalog - Item catalog
+ * @param {number} slot - Slot of the stack to split
+ * @param {number} quantity - Quantity to move to the new stack
+ * @returns {Object} `{ success, slot }` with the new slot, or a failure
+ */
+export function splitStack(player, catalog, slot, quantity) {
+  const entry = findSlot(player, slot)
+  if (!entry) return fail('notFound')
+  if (entry.equipped) return fail('equipped')
+  if (!Number.isInteger(quantity) || quantity <= 0 || quantity >= entry.quantity) {
+    return fail('invalid')
+  }
+
+  const [freeSlot] = freeSlots(player, catalog)
+  if (freeSlot === undefined) return fail('inventoryFull')
+
+  entry.quantity -= quantity
+  player.inventory.push(createEntry(freeSlot, entry.itemId, quantity))
+  return { success: true, slot: freeSlot }
+}
+
+/**
+ * Merge one stack into another of the same item, up to the max stack
+ * @param {Player} player - Player
+ * @param {ItemCatalog} catalog - Item catalog
+ * @param {number} fromSlot - Source slot
+ * @param {number} toSlot - Destination slot
+ * @returns {Object} `{ success, moved }` or a failure
+ */
+export function mergeStacks(player, catalog, fromSlot, toSlot) {
+  const from = findSlot(player, fromSlot)
+  const to = findSlot(player, toSlot)
+  if (!from || !to || from === to) return fail('notFound')
+  if (from.equipped || to.equipped) return fail('equipped')
+  if (from.itemId !== to.itemId) return fail('invalid')
+
+  const maxStack = catalog.get(from.itemId)?.maxStack || 1
+  const moved = Math.min(from.quantity, maxStack - to.quantity)
+  if (moved <= 0) return fail('inventoryFull')
+
+  to.quantity += moved
+  from.quantity -= moved
+  if (from.quantity === 0) removeEntry(player, from)
+
+  return { success: true, moved }
+}
+
+/**
+ * Move a stack to another slot, swapping with whatever is there
+ * @param {Player} player - Player
+ * @param {ItemCatalog} catalog - Item catalog
+ * @param {number} fromSlot - Source slot
+ * @param {number} toSlot - Destination slot
+ * @returns {Object} `{ success }` or a failure
+ */
+export function moveItem(player, catalog, fromSlot, toSlot) {
+  const from = findSlot(player, fromSlot)
+  if (!from) return fail('notFound')
+  if (!Number.isInteger(toSlot) || toSlot < 0 || toSlot >= catalog.capacity) {
+    return fail('invalid')
+  }
+
+  const to = findSlot(player, toSlot)
+  if (to) to.slot = fromSlot
+  from.slot = toSlot
+
+  return { success: true }
+}
@@ -0,0 +1,64 @@
+/**
+ * @file Character session service
+ * @description Keeps each character online in one session at a time.
+ * Every session saves its own snapshot of the character, so two sessions
+ * of one character would overwrite each other's inventory and gold. The
+ * claim lives in the room presence, is renewed by the owning room and
+ * expires when that room stops renewing it; map changes hand it over to
+ * the next room.
+ */
+
+const CLAIM_TTL = 90 // Seconds; rooms renew claims with every autosave
+
+function claimKey(characterId) {
+  return `character:${characterId}:session`
+}
+
+/**
+ * Claim a character for a session
+ * @param {Presence} presence - Room presence
+ * @param {string} characterId - Character id
+ * @param {string} sessionId - Joining session
+ * @returns {Promise<boolean>} False while another session holds it
+ */
+export async function claimCharacter(presence, characterId, sessionId) {
+  const key = claimKey(characterId)
+  const held = await presence.get(key)
+  if (held) {
+    const claim = JSON.parse(held)
+    if (claim.sessionId !== sessionId && !claim.handover) return false
+  }
+
+  await presence.setex(key, JSON.stringify({ sessionId, handover: false }), CLAIM_TTL)
+
+  // Of two joins at the same time the last write wins; the other backs out
+  const current = await presence.get(key)
+  return Boolean(current) && JSON.parse(current).sessionId === sessionId
+}
+
+/**
+ * Renew a session's claim
+ * @param {Presence} presence - Room presence
+ * @param {string} characterId - Character id
+ * @param {string} sessionId - Session holding the claim
+ * @param {Object} [options]
+ * @param {boolean} [options.handover] - Let the next session take it over
+ * (the character is moving to another map room)
+ */
+export async function renewClaim(presence, characterId, sessionId, { handover = false } = {}) {
+  await presence.setex(claimKey(characterId), JSON.stringify({ sessionId, handover }), CLAIM_TTL)
+}
+
+/**
+ * Give up a session's claim, unless another session has taken it over
+ * @param {Presence} presence - Room presence
+ * @param {string} characterId - Character id
+ * @param {string} sessionId - Session leaving
+ */
+export async function releaseCharacter(presence, characterId, sessionId) {
+  const key = claimKey(characterId)
+  const held = await presence.get(key)
+  if (held && JSON.parse(held).sessionId === sessionId) {
+    await presence.del(key)
+  }
+}
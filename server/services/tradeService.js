@@ -0,0 +1,54 @@
+/**
+ * @file Trade log service
+ * @description Audit log of completed player-to-player trades
+ */
+
+import { query } from '../database/index.js'
+
+/**
+ * Record a completed trade
+ * @param {Object} trade - Trade record
+ * @param {string} trade.projectId - Project the trade happened in
+ * @param {string} trade.mapId - Map the trade happened on
+ * @param {string} trade.characterA - Character id of the requester
+ * @param {string} trade.characterB - Character id of the accepting player
+ * @param {Object} trade.offerA - What the requester gave `{ items, gold }`
+ * @param {Object} trade.offerB - What the accepting player gave
+ */
+export async function logTrade(trade) {
+  await query(
+    `INSERT INTO trade_logs (project_id, map_id, character_a, character_b, offer_a, offer_b)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      trade.projectId,
+      trade.mapId,
+      trade.characterA,
+      trade.characterB,
+      JSON.stringify({ items: trade.offerA.items, gold: trade.offerA.gold }),
+      JSON.stringify({ items: trade.offerB.items, gold: trade.offerB.gold })
+    ]
+  )
+}
+
+/**
+ * List a project's most recent trades, for GMs auditing the economy
+ * @param {string} projectId - Project id
+ * @param {Object} [options]
+ * @param {string} [options.characterId] - Only trades this character took part in
+ * @param {number} [options.limit=50] - Maximum number of entries
+ * @returns {Promise<Array<Object>>} Trade log rows with character names, newest first
+ */
+export async function getTradeLog(projectId, { characterId = null, limit = 50 } = {}) {
+  const result = await query(
+    `SELECT t.*, ca.name AS character_a_name, cb.name AS character_b_name
+     FROM trade_logs t
+     LEFT JOIN characters ca ON t.character_a = ca.id
+     LEFT JOIN characters cb ON t.character_b = cb.id
+     WHERE t.project_id = $1
+       AND ($2::uuid IS NULL OR t.character_a = $2 OR t.character_b = $2)
+     ORDER BY t.created_at DESC
+     LIMIT $3`,
+    [projectId, characterId, limit]
+  )
+  return result.rows
+}
@@ -0,0 +1,542 @@
+/**
+ * @file World loading service for game rooms
+ * @description Resolves a world id or slug to a published project and
+ * turns its JSONB data into schema instances for a GameRoom
+ */
+
+import { query } from '../database/index.js'
+import { NPC } from '../schemas/NPC.js'
+import { Item } from '../schemas/Item.js'
+import { normalizeStats } from '../game/CombatSystem.js'
+import { normalizeAI, BEHAVIOURS } from '../game/NPCAISystem.js'
+import { EQUIPMENT_SLOTS } from '../game/EquipmentSystem.js'
+import { OBJECTIVE_TYPES } from '../game/QuestSystem.js'
+import { CONDITION_TYPES, ACTION_TYPES } from '../game/DialogueSystem.js'
+import { EXPERIENCE_RULES, LOOT_RULES } from '../game/PartySystem.js'
+
+/**
+ * Load the published data for a world
+ * @param {string} worldId - Project ID or slug
+ * @returns {Promise<Object>} Project row fields and validated world data
+ */
+export async function loadPublishedWorld(worldId) {
+  if (!worldId) {
+    throw new Error('No world specified')
+  }
+
+  const result = await query(
+    `SELECT id, name, slug, data, version
+     FROM projects
+     WHERE (id::text = $1 OR slug = $1) AND is_published = true
+     LIMIT 1`,
+    [worldId]
+  )
+
+  if (result.rows.length === 0) {
+    throw new Error(`World "${worldId}" not found or not published`)
+  }
+
+  const project = result.rows[0]
+  const errors = validateWorldData(project.data)
+
+  if (errors.length > 0) {
+    throw new Error(`World "${project.slug}" has malformed data: ${errors.join('; ')}`)
+  }
+
+  return {
+    projectId: project.id,
+    name: project.name,
+    slug: project.slug,
+    version: project.version,
+    data: project.data
+  }
+}
+
+/**
+ * Validate the shape of a project's world data
+ * Each section of the data has its own validator; they run in the order
+ * of WORLD_SECTIONS, so a section can check references against the ids
+ * that the sections before it collected.
+ * @param {Object} data - Project data JSONB
+ * @returns {string[]} Validation errors, empty when the data is usable
+ */
+export function validateWorldData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['project data must be an object']
+  }
+
+  if (!Array.isArray(data.maps) || data.maps.length === 0) {
+    return ['project data must contain at least one map']
+  }
+
+  const ids = {} // Section name -> Set of ids defined there
+  return WORLD_SECTIONS.flatMap(validate => validate(data, ids))
+}
+
+function validateMaps(data, ids) {
+  const errors = []
+  const mapIds = ids.maps = new Set()
+
+  data.maps.forEach((map, index) => {
+    const label = map?.id ? `map "${map.id}"` : `map #${index}`
+
+    if (!map || typeof map !== 'object') {
+      errors.push(`${label} must be an object`)
+      return
+    }
+    if (typeof map.id !== 'string' || !map.id) {
+      errors.push(`${label} is missing an id`)
+    } else if (mapIds.has(map.id)) {
+      errors.push(`${label} is defined more than once`)
+    } else {
+      mapIds.add(map.id)
+    }
+    if (!Number.isInteger(map.width) || map.width <= 0) {
+      errors.push(`${label} has an invalid width`)
+    }
+    if (!Number.isInteger(map.height) || map.height <= 0) {
+      errors.push(`${label} has an invalid height`)
+    }
+
+    for (const key of ['layers', 'npcs', 'items', 'scripts', 'portals', 'zones']) {
+      if (map[key] !== undefined && !Array.isArray(map[key])) {
+        errors.push(`${label} ${key} must be an array`)
+      }
+    }
+
+    for (const npc of Array.isArray(map.npcs) ? map.npcs : []) {
+      if (!npc?.id) {
+        errors.push(`${label} has an NPC without an id`)
+      }
+      if (npc?.ai?.behaviour !== undefined && !BEHAVIOURS.includes(npc.ai.behaviour)) {
+        errors.push(`${label} NPC "${npc.id}" has unknown behaviour "${npc.ai.behaviour}"`)
+      }
+      if (npc?.ai?.waypoints !== undefined && !Array.isArray(npc.ai.waypoints)) {
+        errors.push(`${label} NPC "${npc.id}" waypoints must be an array`)
+      }
+    }
+    for (const item of Array.isArray(map.items) ? map.items : []) {
+      if (!item?.id) {
+        errors.push(`${label} has an item without an id`)
+      }
+    }
+    if (Array.isArray(map.portals)) {
+      map.portals.forEach((portal, portalIndex) => {
+        if (!Number.isFinite(portal?.x) || !Number.isFinite(portal?.y)) {
+          errors.push(`${label} portal #${portalIndex} needs numeric x and y`)
+        }
+      })
+    }
+    if (Array.isArray(map.zones)) {
+      errors.push(...validateZones(map.zones, label))
+    }
+  })
+
+  // Portal targets can only be checked once every map id is known
+  for (const map of data.maps) {
+    for (const portal of Array.isArray(map?.portals) ? map.portals : []) {
+      if (portal?.targetMap && !mapIds.has(portal.targetMap)) {
+        errors.push(`map "${map.id}" has a portal to unknown map "${portal.targetMap}"`)
+      }
+    }
+  }
+  return errors
+}
+
+function validateZones(zones, label) {
+  const errors = []
+  const zoneIds = new Set()
+
+  zones.forEach((zone, zoneIndex) => {
+    const zoneLabel = zone?.id ? `zone "${zone.id}"` : `zone #${zoneIndex}`
+    if (!zone?.id) {
+      errors.push(`${label} ${zoneLabel} is missing an id`)
+    } else if (zoneIds.has(zone.id)) {
+      errors.push(`${label} ${zoneLabel} is defined more than once`)
+    } else {
+      zoneIds.add(zone.id)
+    }
+
+    if (Array.isArray(zone?.points)) {
+      const points = zone.points.map(p => Array.isArray(p) ? { x: p[0], y: p[1] } : p)
+      if (points.length < 3 || !points.every(p => Number.isFinite(p?.x) && Number.isFinite(p?.y))) {
+        errors.push(`${label} ${zoneLabel} needs at least three numeric points`)
+      }
+    } else if (!['x', 'y', 'width', 'height'].every(key => Number.isFinite(zone?.[key])) ||
+      zone.width <= 0 || zone.height <= 0) {
+      errors.push(`${label} ${zoneLabel} needs numeric x, y, width and height or a points list`)
+    }
+  })
+  return errors
+}
+
+// Project-wide lists
+function validateLists(data) {
+  return ['items', 'scripts', 'effects', 'lootTables', 'classes', 'shops', 'recipes', 'quests', 'dialogues']
+    .filter(key => data[key] !== undefined && !Array.isArray(data[key]))
+    .map(key => `${key} must be an array`)
+}
+
+function validateItems(data, ids) {
+  const errors = []
+  const itemIds = ids.items = new Set()
+
+  for (const item of Array.isArray(data.items) ? data.items : []) {
+    if (!item?.id) {
+      errors.push('every item must have an id')
+      continue
+    }
+    if (itemIds.has(item.id)) {
+      errors.push(`item "${item.id}" is defined more than once`)
+    }
+    itemIds.add(item.id)
+
+    if (item.maxStack !== undefined && !(Number.isInteger(item.maxStack) && item.maxStack > 0)) {
+      errors.push(`item "${item.id}" maxStack must be a positive integer`)
+    }
+    for (const key of ['weight', 'value']) {
+      if (item[key] !== undefined && !(Number(item[key]) >= 0)) {
+        errors.push(`item "${item.id}" ${key} must be a non-negative number`)
+      }
+    }
+    if (item.equipSlot !== undefined && !EQUIPMENT_SLOTS.includes(item.equipSlot)) {
+      errors.push(`item "${item.id}" has unknown equip slot "${item.equipSlot}"`)
+    }
+  }
+  return errors
+}
+
+function validateInventory(data) {
+  const capacity = data.inventory?.capacity
+  if (capacity !== undefined && !(Number.isInteger(capacity) && capacity > 0)) {
+    return ['inventory capacity must be a positive integer']
+  }
+  return []
+}
+
+function validateChat(data) {
+  const errors = []
+  const chat = data.chat || {}
+
+  for (const key of ['maxLength', 'sayRange']) {
+    if (chat[key] !== undefined && !(Number(chat[key]) > 0)) {
+      errors.push(`chat ${key} must be a positive number`)
+    }
+  }
+  if (chat.blockedWords !== undefined && !Array.isArray(chat.blockedWords)) {
+    errors.push('chat blockedWords must be an array')
+  }
+  if (chat.filterMode !== undefined && !['mask', 'block'].includes(chat.filterMode)) {
+    errors.push('chat filterMode must be "mask" or "block"')
+  }
+  return errors
+}
+
+function validateParty(data) {
+  const errors = []
+  const party = data.party || {}
+
+  if (party.maxSize !== undefined && !(Number.isInteger(party.maxSize) && party.maxSize >= 2)) {
+    errors.push('party maxSize must be an integer of at least 2')
+  }
+  if (party.shareRange !== undefined && !(Number(party.shareRange) > 0)) {
+    errors.push('party shareRange must be a positive number')
+  }
+  if (party.experience !== undefined && !EXPERIENCE_RULES.includes(party.experience)) {
+    errors.push(`party experience must be one of ${EXPERIENCE_RULES.join(', ')}`)
+  }
+  if (party.loot !== undefined && !LOOT_RULES.includes(party.loot)) {
+    errors.push(`party loot must be one of ${LOOT_RULES.join(', ')}`)
+  }
+  return errors
+}
+
+function validateShops(data, ids) {
+  const errors = []
+  const shopIds = ids.shops = new Set()
+
+  for (const shop of Array.isArray(data.shops) ? data.shops : []) {
+    if (!shop?.id) {
+      errors.push('every shop must have an id')
+      continue
+    }
+    shopIds.add(shop.id)
+
+    for (const entry of Array.isArray(shop.stock) ? shop.stock : []) {
+      if (!ids.items.has(entry?.itemId)) {
+        errors.push(`shop "${shop.id}" sells unknown item "${entry?.itemId}"`)
+      }
+      if (!(Number(entry?.price) >= 0)) {
+        errors.push(`shop "${shop.id}" price of "${entry?.itemId}" must be a non-negative number`)
+      }
+      if (entry?.quantity !== undefined && !(Number.isInteger(entry.quantity) && entry.quantity >= 0)) {
+        errors.push(`shop "${shop.id}" quantity of "${entry.itemId}" must be a non-negative integer`)
+      }
+    }
+  }
+  return errors
+}
+
+function validateRecipes(data, ids) {
+  const errors = []
+
+  for (const recipe of Array.isArray(data.recipes) ? data.recipes : []) {
+    if (!recipe?.id) {
+      errors.push('every recipe must have an id')
+      continue
+    }
+    if (!ids.items.has(recipe.output?.itemId)) {
+      errors.push(`recipe "${recipe.id}" outputs unknown item "${recipe.output?.itemId}"`)
+    }
+    if (!Array.isArray(recipe.inputs) || recipe.inputs.length === 0) {
+      errors.push(`recipe "${recipe.id}" must have at least one input`)
+      continue
+    }
+    for (const input of recipe.inputs) {
+      if (!ids.items.has(input?.itemId)) {
+        errors.push(`recipe "${recipe.id}" uses unknown item "${input?.itemId}"`)
+      }
+    }
+  }
+  return errors
+}
+
+function validateQuests(data, ids) {
+  const errors = []
+  const quests = Array.isArray(data.quests) ? data.quests : []
+  const questIds = ids.quests = new Set(quests.map(quest => quest?.id))
+
+  for (const quest of quests) {
+    if (!quest?.id) {
+      errors.push('every quest must have an id')
+      continue
+    }
+    for (const objective of Array.isArray(quest.objectives) ? quest.objectives : []) {
+      if (!OBJECTIVE_TYPES.includes(objective?.type)) {
+        errors.push(`quest "${quest.id}" has unknown objective type "${objective?.type}"`)
+      } else if (objective.type === 'fetch' && !ids.items.has(objective.itemId)) {
+        errors.push(`quest "${quest.id}" fetches unknown item "${objective.itemId}"`)
+      }
+    }
+    if (quest.prerequisites !== undefined && !Array.isArray(quest.prerequisites)) {
+      errors.push(`quest "${quest.id}" prerequisites must be an array`)
+    }
+    const prerequisites = Array.isArray(quest.prerequisites) ? quest.prerequisites : []
+    for (const id of [...prerequisites, ...(quest.next ? [quest.next] : [])]) {
+      if (!questIds.has(id)) {
+        errors.push(`quest "${quest.id}" refers to unknown quest "${id}"`)
+      }
+    }
+    for (const item of Array.isArray(quest.rewards?.items) ? quest.rewards.items : []) {
+      if (!ids.items.has(item?.itemId)) {
+        errors.push(`quest "${quest.id}" rewards unknown item "${item?.itemId}"`)
+      }
+    }
+  }
+  return errors
+}
+
+function validateDialogues(data, ids) {
+  const errors = []
+  const dialogueIds = ids.dialogues = new Set()
+
+  for (const dialogue of Array.isArray(data.dialogues) ? data.dialogues : []) {
+    if (!dialogue?.id || !dialogue.nodes || typeof dialogue.nodes !== 'object') {
+      errors.push(`dialogue "${dialogue?.id || '?'}" must have an id and nodes`)
+      continue
+    }
+    dialogueIds.add(dialogue.id)
+    errors.push(...validateDialogue(dialogue))
+  }
+  return errors
+}
+
+// What map NPCs refer to: loot tables, shops and dialogues
+function validateSpawns(data, ids) {
+  const errors = []
+  const lootTableIds = new Set(Array.isArray(data.lootTables)
+    ? data.lootTables.map(table => table?.id)
+    : [])
+
+  for (const map of data.maps) {
+    for (const npc of Array.isArray(map?.npcs) ? map.npcs : []) {
+      if (typeof npc?.lootTable === 'string' && !lootTableIds.has(npc.lootTable)) {
+        errors.push(`NPC "${npc.id}" uses unknown loot table "${npc.lootTable}"`)
+      }
+      if (npc?.shop !== undefined && !ids.shops.has(npc.shop)) {
+        errors.push(`NPC "${npc.id}" uses unknown shop "${npc.shop}"`)
+      }
+      if (npc?.dialogueId !== undefined && !ids.dialogues.has(npc.dialogueId)) {
+        errors.push(`NPC "${npc.id}" uses unknown dialogue "${npc.dialogueId}"`)
+      }
+    }
+  }
+  return errors
+}
+
+function validateScripts(data) {
+  return collectScripts(data)
+    .filter(script => !script?.id || typeof script.content !== 'string')
+    .map(script => `script "${script?.id || '?'}" must have an id and string content`)
+}
+
+// Section validators in the order they run; each gets the data and the
+// ids collected so far, and returns its errors
+const WORLD_SECTIONS = [
+  validateMaps,
+  validateLists,
+  validateItems,
+  validateInventory,
+  validateChat,
+  validateParty,
+  validateShops,
+  validateRecipes,
+  validateQuests,
+  validateDialogues,
+  validateSpawns,
+  validateScripts
+]
+
+/**
+ * Check a dialogue tree's node references, conditions and actions
+ * @param {Object} dialogue - Dialogue from the world data
+ * @returns {Array<string>} Validation errors
+ */
+function validateDialogue(dialogue) {
+  const errors = []
+  const checkConditions = conditions => {
+    for (const condition of Array.isArray(conditions) ? conditions : []) {
+      if (!CONDITION_TYPES.includes(condition?.type)) {
+        errors.push(`dialogue "${dialogue.id}" has unknown condition type "${condition?.type}"`)
+      }
+    }
+  }
+  const checkActions = actions => {
+    for (const action of Array.isArray(actions) ? actions : []) {
+      if (!ACTION_TYPES.includes(action?.type)) {
+        errors.push(`dialogue "${dialogue.id}" has unknown action type "${action?.type}"`)
+      }
+    }
+  }
+  // `next` is a node id or a list of conditional branches
+  const checkNext = next => {
+    const branches = Array.isArray(next) ? next : [{ node: next }]
+    for (const branch of branches) {
+      if (branch?.node != null && !(branch.node in dialogue.nodes)) {
+        errors.push(`dialogue "${dialogue.id}" refers to unknown node "${branch.node}"`)
+      }
+      checkConditions(branch?.conditions)
+    }
+  }
+
+  if (!dialogue.start) {
+    errors.push(`dialogue "${dialogue.id}" must have a start node`)
+  }
+  checkNext(dialogue.start)
+  for (const node of Object.values(dialogue.nodes)) {
+    checkNext(node?.next)
+    checkActions(node?.actions)
+    for (const choice of Array.isArray(node?.choices) ? node.choices : []) {
+      checkNext(choice?.next)
+      checkConditions(choice?.conditions)
+      checkActions(choice?.actions)
+    }
+  }
+  return errors
+}
+
+/**
+ * Collect project-wide and per-map DSL scripts
+ * @param {Object} data - Project data JSONB
+ * @param {string} [mapId] - Only include scripts of this map
+ * @returns {Array<Object>} Script definitions
+ */
+export function collectScripts(data, mapId) {
+  const scripts = Array.isArray(data.scripts) ? [...data.scripts] : []
+  for (const map of data.maps || []) {
+    if (mapId && map?.id !== mapId) continue
+    if (Array.isArray(map?.scripts)) {
+      scripts.push(...map.scripts)
+    }
+  }
+  return scripts
+}
+
+/**
+ * Serialize a value for a JSON string schema field
+ * @param {any} value - Object or string value
+ * @returns {string} JSON string
+ */
+function toJSONField(value) {
+  if (value === undefined || value === null) return '{}'
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+/**
+ * Create an NPC schema instance from map data
+ * @param {Object} npcData - NPC definition from the map
+ * @param {string} mapId - Map the NPC belongs to
+ * @returns {NPC} NPC instance
+ */
+export function createNPC(npcData, mapId) {
+  const npc = new NPC()
+  npc.id = String(npcData.id)
+  npc.name = npcData.name || npc.id
+  npc.x = Number(npcData.x) || 0
+  npc.y = Number(npcData.y) || 0
+  npc.mapId = npcData.mapId || mapId
+  npc.spriteId = npcData.spriteId || ''
+  npc.facing = npcData.facing || 'down'
+  npc.moving = false
+  npc.maxHealth = Number(npcData.maxHealth) || 100
+  npc.health = Number(npcData.health) || npc.maxHealth
+  npc.level = Number(npcData.level) || 1
+  npc.hostile = Boolean(npcData.hostile)
+  npc.dialogue = npcData.dialogue || ''
+  npc.questId = npcData.questId || ''
+  npc.respawnTime = Number(npcData.respawnTime) || 0
+  npc.lastInteraction = 0
+  npc.stats = normalizeStats(npcData.stats)
+  npc.aggroRange = Number(npcData.ai?.aggroRange) || Number(npcData.aggroRange) || npc.aggroRange
+  npc.ai = normalizeAI(npcData, npc.x, npc.y)
+  npc.aiType = npc.ai.behaviour
+  npc.spawnData = npcData
+  npc.moveSpeed = Number(npcData.moveSpeed) || npc.moveSpeed
+  npc.onHit = Array.isArray(npcData.onHit) ? npcData.onHit : []
+  npc.immunities = Array.isArray(npcData.immunities) ? npcData.immunities : []
+  npc.experience = Math.max(0, Number(npcData.experience) || 0)
+  npc.shopId = npcData.shop || null
+  npc.dialogueId = npcData.dialogueId || null
+  return npc
+}
+
+/**
+ * Create a world item schema instance from map data
+ * @param {Object} itemData - Item placement from the map
+ * @param {string} mapId - Map the item belongs to
+ * @returns {Item} Item instance
+ */
+export function createItem(itemData, mapId) {
+  const item = new Item()
+  item.id = String(itemData.id)
+  item.itemId = itemData.itemId || item.id
+  item.name = itemData.name || item.itemId
+  item.description = itemData.description || ''
+  item.x = Number(itemData.x) || 0
+  item.y = Number(itemData.y) || 0
+  item.mapId = itemData.mapId || mapId
+  item.spriteId = itemData.spriteId || ''
+  item.type = itemData.type || 'misc'
+  item.rarity = itemData.rarity || 'common'
+  item.stackable = Boolean(itemData.stackable)
+  item.quantity = Number(itemData.quantity) || 1
+  item.value = Number(itemData.value) || 0
+  item.stats = toJSONField(itemData.stats)
+  item.requirements = toJSONField(itemData.requirements)
+  item.effects = toJSONField(itemData.effects)
+  item.respawnTime = Number(itemData.respawnTime) || 0
+  item.respawnTimer = 0
+  item.ownerId = ''
+  item.spawnData = itemData
+  return item
+}